@@ -1,4 +1,5 @@
 import React, { Component } from 'react'
+import PropTypes from 'prop-types'
 import moment from 'moment'
 import styled, { css } from 'styled-components'
 import SettingsInputAntennaIcon from '@material-ui/icons/SettingsInputAntenna'
@@ -8,16 +9,51 @@ import CloudDownloadIcon from '@material-ui/icons/CloudDownload'
 import LayersIcon from '@material-ui/icons/Layers'
 import PeopleIcon from '@material-ui/icons/People'
 import LinearScaleIcon from '@material-ui/icons/LinearScale'
+import HourglassEmptyIcon from '@material-ui/icons/HourglassEmpty'
+import StorageIcon from '@material-ui/icons/Storage'
+import Checkbox from '@material-ui/core/Checkbox'
+import FormControlLabel from '@material-ui/core/FormControlLabel'
+import Sparkline from './Sparkline'
 
 const numberWithCommas = (val = 0) => {
   return val.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')
 }
 
+const colorMainnet = '#7ed321'
+const colorTestnet = '#00aafa'
+
 const defaultIconProps = {
   fontSize: 'inherit'
 }
 
+const formatPercent = value => {
+  return value >= 100 ? '100%' : `${value.toFixed(1)}%`
+}
+
+const formatRate = (value, unit) => {
+  if (value === null || value === undefined) return `- ${unit}/s`
+  return `${numberWithCommas(Math.round(value))} ${unit}/s`
+}
+
+const formatEta = eta => {
+  if (eta === null || eta === undefined) return 'estimating...'
+  if (eta < 60) return 'less than a minute left'
+  return `${moment.duration(eta, 'seconds').humanize()} left`
+}
+
+const lastValue = series => {
+  return series.length ? series[series.length - 1].value : null
+}
+
 class NodeInfoBox extends Component {
+  static propTypes = {
+    plugin: PropTypes.object.isRequired,
+    diffTimestamp: PropTypes.number,
+    metrics: PropTypes.object,
+    persistMetrics: PropTypes.bool,
+    togglePersistMetrics: PropTypes.func
+  }
+
   renderStopped = () => {
     return (
       <StyledIconRow>
@@ -67,7 +103,7 @@ class NodeInfoBox extends Component {
   renderSyncProgress() {
     const { plugin } = this.props
     const { config, active } = plugin
-    const { peerCount, sync } = active
+    const { peerCount, sync, syncEstimate } = active
     const { network } = config
     const { highestBlock, currentBlock, startingBlock } = sync
 
@@ -94,10 +130,50 @@ class NodeInfoBox extends Component {
             value={progress || 0}
           />
         </StyledIconRow>
+        {syncEstimate && this.renderSyncEstimate()}
       </div>
     )
   }
 
+  renderSyncEstimate() {
+    const { plugin } = this.props
+    const { sync, syncEstimate } = plugin.active
+    const { knownStates, pulledStates } = sync
+    const {
+      phase,
+      blocksPerSecond,
+      statesPerSecond,
+      blocksRemaining,
+      eta
+    } = syncEstimate
+
+    if (phase === 'states') {
+      return (
+        <React.Fragment>
+          <StyledIconRow title="Downloading state entries">
+            <StorageIcon {...defaultIconProps} />
+            {`State sync: ${numberWithCommas(
+              pulledStates
+            )} / ${numberWithCommas(knownStates)}`}
+          </StyledIconRow>
+          <StyledIconRow title={formatRate(statesPerSecond, 'states')}>
+            <HourglassEmptyIcon {...defaultIconProps} />
+            {formatEta(eta)}
+          </StyledIconRow>
+        </React.Fragment>
+      )
+    }
+
+    return (
+      <StyledIconRow
+        title={`${numberWithCommas(blocksRemaining)} blocks remaining`}
+      >
+        <HourglassEmptyIcon {...defaultIconProps} />
+        {`${formatEta(eta)} (${formatRate(blocksPerSecond, 'blk')})`}
+      </StyledIconRow>
+    )
+  }
+
   renderSynced() {
     const { plugin, diffTimestamp } = this.props
     const { active, config } = plugin
@@ -179,6 +255,68 @@ class NodeInfoBox extends Component {
     )
   }
 
+  renderMetricRow(title, series, formatValue) {
+    const { plugin } = this.props
+    const { network } = plugin.config
+    const value = lastValue(series)
+
+    return (
+      <StyledMetricRow title={title}>
+        <StyledMetricLabel>{title}</StyledMetricLabel>
+        <Sparkline
+          data={series}
+          width={90}
+          height={16}
+          color={network !== 'main' ? colorTestnet : colorMainnet}
+        />
+        <StyledMetricValue>
+          {value === null ? '-' : formatValue(value)}
+        </StyledMetricValue>
+      </StyledMetricRow>
+    )
+  }
+
+  renderMetrics() {
+    const { metrics, persistMetrics, togglePersistMetrics } = this.props
+    if (!metrics) return null
+
+    const { blockNumber, peerCount, syncProgress, blockInterval } = metrics
+    const hasSamples = [
+      blockNumber,
+      peerCount,
+      syncProgress,
+      blockInterval
+    ].some(series => series.length > 1)
+    if (!hasSamples && !persistMetrics) return null
+
+    return (
+      <StyledSection>
+        {this.renderMetricRow('Blocks', blockNumber, numberWithCommas)}
+        {this.renderMetricRow('Peers', peerCount, value => value)}
+        {syncProgress.length > 0 &&
+          this.renderMetricRow('Sync', syncProgress, formatPercent)}
+        {this.renderMetricRow('Interval', blockInterval, value => `${value}s`)}
+        {togglePersistMetrics && (
+          <StyledPersistToggle
+            // Don't toggle the sticky state of the info box
+            onMouseUp={event => event.stopPropagation()}
+          >
+            <FormControlLabel
+              control={
+                <Checkbox
+                  color="primary"
+                  checked={!!persistMetrics}
+                  onChange={() => togglePersistMetrics(!persistMetrics)}
+                />
+              }
+              label="Keep history across restarts"
+            />
+          </StyledPersistToggle>
+        )}
+      </StyledSection>
+    )
+  }
+
   render() {
     const { plugin } = this.props
     const { config } = plugin
@@ -195,6 +333,7 @@ class NodeInfoBox extends Component {
               </StyledSubtitle>
             </StyledSection>
             {this.renderStats()}
+            {this.renderMetrics()}
           </section>
         </StyledSubmenuContainer>
       </StyledBox>
@@ -277,9 +416,6 @@ const StyledPill = styled.span`
   text-transform: none;
 `
 
-const colorMainnet = '#7ed321'
-const colorTestnet = '#00aafa'
-
 const StyledTitle = styled.div`
   font-size: 18px;
   font-weight: 200;
@@ -349,6 +485,43 @@ const StyledBox = styled.div`
   }
 `
 
+const StyledMetricRow = styled.div`
+  display: flex;
+  align-items: center;
+  margin-bottom: 4px;
+  font-size: 11px;
+  svg {
+    flex-shrink: 0;
+  }
+`
+
+const StyledMetricLabel = styled.span`
+  width: 50px;
+  color: #aaa;
+  text-transform: uppercase;
+  font-size: 9px;
+`
+
+const StyledMetricValue = styled.span`
+  flex-grow: 1;
+  text-align: right;
+  white-space: nowrap;
+`
+
+const StyledPersistToggle = styled.div`
+  margin-top: 6px;
+  label {
+    margin: 0;
+  }
+  label > span:first-child {
+    padding: 0 5px 0 0;
+  }
+  label > span:last-child {
+    font-size: 10px;
+    color: #aaa;
+  }
+`
+
 const StyledIconRow = styled.div`
   margin-bottom: 6px;
   display: flex;
@@ -0,0 +1,66 @@
+import React, { Component } from 'react'
+import PropTypes from 'prop-types'
+
+class Sparkline extends Component {
+  static displayName = 'Sparkline'
+
+  static propTypes = {
+    /** Samples as `{ time, value }`, oldest first */
+    data: PropTypes.arrayOf(
+      PropTypes.shape({ time: PropTypes.number, value: PropTypes.number })
+    ).isRequired,
+    width: PropTypes.number,
+    height: PropTypes.number,
+    color: PropTypes.string
+  }
+
+  static defaultProps = {
+    width: 120,
+    height: 20,
+    color: '#fff'
+  }
+
+  buildPoints() {
+    const { data, width, height } = this.props
+    const times = data.map(sample => sample.time)
+    const values = data.map(sample => sample.value)
+    const minTime = Math.min(...times)
+    const maxTime = Math.max(...times)
+    const minValue = Math.min(...values)
+    const maxValue = Math.max(...values)
+    const timeRange = maxTime - minTime || 1
+    const valueRange = maxValue - minValue || 1
+    // Leave 1px so the stroke isn't clipped at the edges
+    const drawHeight = height - 2
+
+    return data
+      .map(({ time, value }) => {
+        const x = ((time - minTime) / timeRange) * width
+        const y =
+          1 + drawHeight - ((value - minValue) / valueRange) * drawHeight
+        return `${x.toFixed(1)},${y.toFixed(1)}`
+      })
+      .join(' ')
+  }
+
+  render() {
+    const { data, width, height, color } = this.props
+
+    if (data.length < 2) {
+      return <svg width={width} height={height} />
+    }
+
+    return (
+      <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+        <polyline
+          fill="none"
+          stroke={color}
+          strokeWidth="1"
+          points={this.buildPoints()}
+        />
+      </svg>
+    )
+  }
+}
+
+export default Sparkline
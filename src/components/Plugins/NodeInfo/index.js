@@ -7,13 +7,17 @@ import moment from 'moment'
 
 import NodeInfoDot from './NodeInfoDot'
 import NodeInfoBox from './NodeInfoBox'
+import setPersistMetrics from '../../../store/metrics/actions'
 
 class NodeInfo extends Component {
   static displayName = 'NodeInfo'
 
   static propTypes = {
     pluginState: PropTypes.object,
-    selectedPlugin: PropTypes.string
+    selectedPlugin: PropTypes.string,
+    metrics: PropTypes.object,
+    persistMetrics: PropTypes.bool,
+    dispatch: PropTypes.func
   }
 
   state = {
@@ -32,8 +36,13 @@ class NodeInfo extends Component {
     clearInterval(this.diffInterval)
   }
 
+  togglePersistMetrics = persist => {
+    const { dispatch } = this.props
+    dispatch(setPersistMetrics(persist))
+  }
+
   render() {
-    const { pluginState, selectedPlugin } = this.props
+    const { pluginState, selectedPlugin, metrics, persistMetrics } = this.props
     const plugin = pluginState[selectedPlugin]
     if (!plugin) return null
 
@@ -64,7 +73,13 @@ class NodeInfo extends Component {
             sticky={sticky}
           />
           {showSubmenu && (
-            <NodeInfoBox diffTimestamp={diffTimestamp} plugin={plugin} />
+            <NodeInfoBox
+              diffTimestamp={diffTimestamp}
+              plugin={plugin}
+              metrics={metrics}
+              persistMetrics={persistMetrics}
+              togglePersistMetrics={this.togglePersistMetrics}
+            />
           )}
         </div>
       </StyledNode>
@@ -75,7 +90,9 @@ class NodeInfo extends Component {
 function mapStateToProps(state) {
   return {
     pluginState: state.plugin,
-    selectedPlugin: state.plugin.selected
+    selectedPlugin: state.plugin.selected,
+    metrics: state.metrics.plugins[state.plugin.selected],
+    persistMetrics: state.metrics.persist
   }
 }
 
@@ -114,7 +114,9 @@ class AboutPlugin extends Component {
 
   renderDependencies = dependencies => {
     const { classes } = this.props
-    const { runtime: runtimeDependencies } = dependencies
+    // Manifests may only declare plugin dependencies
+    const { runtime: runtimeDependencies = [] } = dependencies
+    if (!runtimeDependencies.length) return null
     return (
       <Fragment>
         <Typography
@@ -0,0 +1,99 @@
+import React, { Component } from 'react'
+import { connect } from 'react-redux'
+import PropTypes from 'prop-types'
+import Checkbox from '@material-ui/core/Checkbox'
+import FormControlLabel from '@material-ui/core/FormControlLabel'
+import Grid from '@material-ui/core/Grid'
+import TextField from '@material-ui/core/TextField'
+import Typography from '@material-ui/core/Typography'
+import Select from '../../shared/Select'
+import { setAutostart } from '../../../store/plugin/actions'
+
+// Select needs a value for "no profile"
+const ACTIVE_PROFILE = ''
+
+class Autostart extends Component {
+  static propTypes = {
+    plugin: PropTypes.object.isRequired,
+    enabled: PropTypes.bool,
+    delay: PropTypes.number,
+    profile: PropTypes.string,
+    profiles: PropTypes.object,
+    dispatch: PropTypes.func.isRequired
+  }
+
+  static defaultProps = {
+    profiles: {}
+  }
+
+  setAutostart = autostart => {
+    const { plugin, dispatch } = this.props
+    dispatch(setAutostart(plugin.name, autostart))
+  }
+
+  handleDelayChange = event => {
+    const delay = parseInt(event.target.value, 10)
+    this.setAutostart({ delay: delay > 0 ? delay : 0 })
+  }
+
+  render() {
+    const { plugin, enabled, delay, profile, profiles } = this.props
+    const profileOptions = [
+      { value: ACTIVE_PROFILE, label: 'Active profile' },
+      ...Object.keys(profiles).map(name => ({ value: name, label: name }))
+    ]
+
+    return (
+      <div data-test-id="autostart" style={{ marginBottom: 30 }}>
+        <Typography variant="subtitle1" gutterBottom>
+          Autostart
+        </Typography>
+        <Grid container spacing={8} alignItems="center">
+          <Grid item xs={4}>
+            <FormControlLabel
+              control={
+                <Checkbox
+                  color="primary"
+                  checked={enabled}
+                  onChange={event =>
+                    this.setAutostart({ enabled: event.target.checked })
+                  }
+                />
+              }
+              label={`Start ${plugin.displayName} when Grid opens`}
+            />
+          </Grid>
+          <Grid item xs={4}>
+            <TextField
+              data-test-id="input-autostart-delay"
+              type="number"
+              label="Delay (seconds)"
+              value={delay}
+              inputProps={{ min: 0 }}
+              disabled={!enabled}
+              onChange={this.handleDelayChange}
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={4}>
+            <Select
+              id="autostart-profile"
+              name="Profile"
+              value={profile || ACTIVE_PROFILE}
+              options={profileOptions}
+              disabled={!enabled}
+              onChange={value => this.setAutostart({ profile: value || null })}
+            />
+          </Grid>
+        </Grid>
+      </div>
+    )
+  }
+}
+
+function mapStateToProps(state, ownProps) {
+  const { autostart, profiles } = state.plugin[ownProps.plugin.name]
+  return { ...autostart, profiles }
+}
+
+export default connect(mapStateToProps)(Autostart)
@@ -0,0 +1,222 @@
+import React, { Component } from 'react'
+import { connect } from 'react-redux'
+import PropTypes from 'prop-types'
+import { withSnackbar } from 'notistack'
+import Button from '@material-ui/core/Button'
+import Dialog from '@material-ui/core/Dialog'
+import DialogTitle from '@material-ui/core/DialogTitle'
+import DialogContent from '@material-ui/core/DialogContent'
+import DialogContentText from '@material-ui/core/DialogContentText'
+import DialogActions from '@material-ui/core/DialogActions'
+import Table from '@material-ui/core/Table'
+import TableHead from '@material-ui/core/TableHead'
+import TableBody from '@material-ui/core/TableBody'
+import TableRow from '@material-ui/core/TableRow'
+import TableCell from '@material-ui/core/TableCell'
+import { applyConfigImport } from '../../../store/plugin/actions'
+import {
+  buildConfigExport,
+  diffConfigImport,
+  parseConfigImport
+} from '../../../lib/configTransfer'
+import {
+  getPluginSettingsConfig,
+  getSettingsIds,
+  saveFile
+} from '../../../lib/utils'
+
+const readFile = file => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsText(file)
+  })
+}
+
+class ConfigTransfer extends Component {
+  static propTypes = {
+    plugin: PropTypes.object.isRequired,
+    pluginState: PropTypes.object.isRequired,
+    isPluginRunning: PropTypes.bool,
+    dispatch: PropTypes.func,
+    enqueueSnackbar: PropTypes.func
+  }
+
+  state = {
+    // Parsed import and its changes while waiting for confirmation
+    pendingImport: null,
+    changes: []
+  }
+
+  fileInputRef = React.createRef()
+
+  handleExport = async () => {
+    const { plugin, pluginState, enqueueSnackbar } = this.props
+    const { config, flags, release } = pluginState
+    const doc = buildConfigExport({
+      pluginName: plugin.name,
+      config,
+      flags,
+      release
+    })
+    try {
+      const saved = await saveFile(
+        `${plugin.name}-config.json`,
+        JSON.stringify(doc, null, 2)
+      )
+      if (saved) {
+        const message = saved.isDownload
+          ? `Config downloaded as ${saved.path}`
+          : `Config exported to ${saved.path}`
+        enqueueSnackbar(message, { variant: 'success' })
+      }
+    } catch (error) {
+      enqueueSnackbar(`Could not export config: ${error.message}`, {
+        variant: 'error'
+      })
+    }
+  }
+
+  handleImportClick = () => {
+    this.fileInputRef.current.click()
+  }
+
+  handleFileSelected = async event => {
+    const { plugin, pluginState, enqueueSnackbar } = this.props
+    const { target } = event
+    const [file] = target.files
+    // Allow selecting the same file again
+    target.value = ''
+    if (!file) return
+
+    try {
+      const text = await readFile(file)
+      const pendingImport = parseConfigImport(text, {
+        pluginName: plugin.name,
+        settingsIds: getSettingsIds(plugin),
+        settings: getPluginSettingsConfig(plugin)
+      })
+      const changes = diffConfigImport(pluginState, pendingImport)
+      if (!changes.length) {
+        enqueueSnackbar('Imported config matches the current settings', {
+          variant: 'info'
+        })
+        return
+      }
+      this.setState({ pendingImport, changes })
+    } catch (error) {
+      enqueueSnackbar(`Could not import config: ${error.message}`, {
+        variant: 'error'
+      })
+    }
+  }
+
+  handleCancel = () => {
+    this.setState({ pendingImport: null, changes: [] })
+  }
+
+  handleApply = async () => {
+    const { plugin, dispatch, enqueueSnackbar } = this.props
+    const { pendingImport } = this.state
+    let result
+    try {
+      result = await dispatch(applyConfigImport(plugin, pendingImport))
+    } catch (error) {
+      // Keep the dialog open so the import can be retried
+      enqueueSnackbar(`Could not import config: ${error.message}`, {
+        variant: 'error'
+      })
+      return
+    }
+    this.setState({ pendingImport: null, changes: [] })
+    if (result.releaseFound) {
+      enqueueSnackbar('Config imported', { variant: 'success' })
+    } else {
+      enqueueSnackbar(
+        `Config imported, but release ${
+          pendingImport.release.version
+        } is not available`,
+        { variant: 'warning' }
+      )
+    }
+  }
+
+  renderDiffDialog() {
+    const { pendingImport, changes } = this.state
+
+    return (
+      <Dialog open={!!pendingImport} onClose={this.handleCancel} maxWidth="md">
+        <DialogTitle>Import config</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The following settings will change:
+          </DialogContentText>
+          <Table padding="dense">
+            <TableHead>
+              <TableRow>
+                <TableCell>Setting</TableCell>
+                <TableCell>Current</TableCell>
+                <TableCell>Imported</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {changes.map(change => (
+                <TableRow key={change.label}>
+                  <TableCell>{change.label}</TableCell>
+                  <TableCell>{change.from}</TableCell>
+                  <TableCell>{change.to}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={this.handleCancel}>Cancel</Button>
+          <Button
+            onClick={this.handleApply}
+            color="primary"
+            data-test-id="config-import-apply"
+          >
+            Apply
+          </Button>
+        </DialogActions>
+      </Dialog>
+    )
+  }
+
+  render() {
+    const { isPluginRunning } = this.props
+
+    return (
+      <div style={{ textAlign: 'right' }}>
+        <Button onClick={this.handleExport} data-test-id="config-export">
+          Export config
+        </Button>
+        <Button
+          onClick={this.handleImportClick}
+          disabled={isPluginRunning}
+          data-test-id="config-import"
+        >
+          Import config
+        </Button>
+        <input
+          ref={this.fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          style={{ display: 'none' }}
+          onChange={this.handleFileSelected}
+        />
+        {this.renderDiffDialog()}
+      </div>
+    )
+  }
+}
+
+function mapStateToProps(state, ownProps) {
+  return {
+    pluginState: state.plugin[ownProps.plugin.name]
+  }
+}
+
+export default connect(mapStateToProps)(withSnackbar(ConfigTransfer))
@@ -9,18 +9,27 @@ import FormGroup from '@material-ui/core/FormGroup'
 import FormControlLabel from '@material-ui/core/FormControlLabel'
 import Checkbox from '@material-ui/core/Checkbox'
 import Grid from '@material-ui/core/Grid'
+import Typography from '@material-ui/core/Typography'
 import {
+  applyCustomFlags,
   dismissFlagWarning,
+  getUnrecognizedFlags,
+  lintPluginFlags,
   restoreDefaultSettings,
   setCustomFlags
 } from '../../../../store/plugin/actions'
 import { getDefaultFlags } from '../../../../lib/utils'
 
+const SEVERITY_COLORS = {
+  error: '#f44336',
+  warning: '#ff9800',
+  info: 'inherit'
+}
+
 class FlagPreview extends Component {
   static propTypes = {
     config: PropTypes.object,
     plugin: PropTypes.object,
-    pluginName: PropTypes.string,
     isPluginRunning: PropTypes.bool,
     flags: PropTypes.array,
     isEditingFlags: PropTypes.bool,
@@ -43,7 +52,7 @@ class FlagPreview extends Component {
     }
   }
 
-  componentDidUpdate() {
+  componentDidUpdate(prevProps) {
     const { flags: localFlags, warningHasBeenShown } = this.state
     const { flags, isEditingFlags, showWarning } = this.props
 
@@ -52,9 +61,10 @@ class FlagPreview extends Component {
     }
 
     // If props update from outside of this component,
-    // e.g. restore defaults, update local state
+    // e.g. restore defaults or a form change, update local state
     const newFlags = flags.join(' ')
-    if (localFlags !== newFlags && !isEditingFlags) {
+    const isOutsideUpdate = !isEditingFlags || prevProps.flags !== flags
+    if (localFlags !== newFlags && isOutsideUpdate) {
       this.updateFlags(newFlags)
     }
   }
@@ -100,14 +110,23 @@ class FlagPreview extends Component {
 
   handleChange = event => {
     const flags = event.target.value
-    const { pluginName } = this.props
     this.setState({ flags })
-    this.updateRedux(pluginName, flags)
+    this.updateRedux(flags)
   }
 
-  updateRedux = (pluginName, flags) => {
-    const { dispatch } = this.props
-    dispatch(setCustomFlags(pluginName, flags.split(' ')))
+  updateRedux = flags => {
+    const { dispatch, plugin } = this.props
+    dispatch(setCustomFlags(plugin.name, flags.split(' ')))
+  }
+
+  // Mapping flags back to settings on every keystroke would rewrite the
+  // form while the flags are half typed
+  handleBlur = () => {
+    const { dispatch, plugin, isEditingFlags } = this.props
+    const { flags } = this.state
+    if (!isEditingFlags) return
+    this.updateRedux.cancel()
+    dispatch(applyCustomFlags(plugin, flags.split(' ')))
   }
 
   dismissFlagWarning = () => {
@@ -141,6 +160,44 @@ class FlagPreview extends Component {
     })
   }
 
+  renderUnrecognizedFlags() {
+    const { plugin, flags, config } = this.props
+    const unrecognizedFlags = getUnrecognizedFlags(plugin, flags, config)
+    if (!unrecognizedFlags.length) return null
+
+    return (
+      <Typography
+        variant="caption"
+        style={{ marginTop: 5 }}
+        data-test-id="unrecognized-flags"
+      >
+        Not mapped to a setting:{' '}
+        {unrecognizedFlags.map(group => group.join(' ')).join(', ')}
+      </Typography>
+    )
+  }
+
+  renderLintFindings() {
+    const { plugin, flags } = this.props
+    const findings = lintPluginFlags(plugin, flags)
+    if (!findings.length) return null
+
+    return (
+      <div style={{ marginTop: 5 }} data-test-id="flag-lint-findings">
+        {findings.map(finding => (
+          <Typography
+            key={`${finding.rule}-${finding.flag}`}
+            variant="caption"
+            style={{ color: SEVERITY_COLORS[finding.severity] }}
+          >
+            <strong>{finding.severity.toUpperCase()}</strong> {finding.flag}:{' '}
+            {finding.message}
+          </Typography>
+        ))}
+      </div>
+    )
+  }
+
   render() {
     const { isEditingFlags, isPluginRunning } = this.props
     const { flags } = this.state
@@ -154,10 +211,13 @@ class FlagPreview extends Component {
             multiline
             value={flags}
             onChange={this.handleChange}
+            onBlur={this.handleBlur}
             disabled={isPluginRunning || !isEditingFlags}
             fullWidth
           />
         </FormGroup>
+        {isEditingFlags && this.renderUnrecognizedFlags()}
+        {this.renderLintFindings()}
         <Grid container style={{ marginTop: 5, marginBottom: 15 }}>
           <Grid item xs={6}>
             <FormControlLabel
@@ -190,7 +250,6 @@ class FlagPreview extends Component {
 
 function mapStateToProps(state) {
   return {
-    pluginName: state.plugin.selected,
     showWarning: state.plugin.showCustomFlagWarning
   }
 }
@@ -5,20 +5,66 @@ import debounce from 'lodash/debounce'
 import TextField from '@material-ui/core/TextField'
 import InputAdornment from '@material-ui/core/InputAdornment'
 import IconButton from '@material-ui/core/IconButton'
+import MenuItem from '@material-ui/core/MenuItem'
+import Checkbox from '@material-ui/core/Checkbox'
+import FormControlLabel from '@material-ui/core/FormControlLabel'
+import ListItemText from '@material-ui/core/ListItemText'
 import FolderOpenIcon from '@material-ui/icons/FolderOpen'
 import Select from '../../../shared/Select'
+import KeyValueList from './KeyValueList'
 import { Grid as GridAPI } from '../../../../API'
+import { validateSetting } from '../../../../lib/validation'
+import {
+  canCheckPaths,
+  checkPathExists,
+  getKnownPathExists
+} from '../../../../lib/utils'
+
+// Local field value for the setting's type
+const toFieldValue = (type, value) => {
+  switch (type) {
+    case 'boolean':
+      return value === true || value === 'true'
+    case 'multiselect':
+    case 'keyvalue':
+      return Array.isArray(value) ? value : []
+    default:
+      return (value || '').toString()
+  }
+}
+
+const getOptions = item => {
+  return item.options.map(el => {
+    if (typeof el === 'string') {
+      // eg: ['light', 'full', 'fast']
+      return { label: el, value: el }
+    }
+    if (typeof el === 'object') {
+      // eg: [{ label: 'Ropsten (testnet)', value: 'Ropsten', flag: '--testnet' }]
+      return { label: el.label, value: el.value }
+    }
+    throw Error(`el was not properly set: ${el}`)
+  })
+}
+
+const hasPathRule = item => !!(item.validation || {}).pathExists
 
 class DynamicConfigFormItem extends Component {
   static propTypes = {
     itemKey: PropTypes.string,
-    itemValue: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    itemValue: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.number,
+      PropTypes.bool,
+      PropTypes.array
+    ]),
     item: PropTypes.object,
     pluginState: PropTypes.object,
     pluginName: PropTypes.string,
     isPluginRunning: PropTypes.bool,
-    handlePluginConfigChanged: PropTypes.func,
-    isEditingFlags: PropTypes.bool
+    // Set when the setting's enabledIf doesn't hold
+    isDisabled: PropTypes.bool,
+    handlePluginConfigChanged: PropTypes.func
   }
 
   constructor(props) {
@@ -28,24 +74,41 @@ class DynamicConfigFormItem extends Component {
     // NOTE: for performance, form fields are populated by local state.
     // Redux state doesn't need to update on every keystroke.
     this.updateRedux = debounce(this.updateRedux, 500)
+    this.checkPath = debounce(this.checkPath, 500)
     this.state = {
-      fieldValue: (props.itemValue || '').toString()
+      fieldValue: toFieldValue(props.item.type, props.itemValue)
     }
   }
 
+  componentDidMount() {
+    const { fieldValue } = this.state
+    this.checkPath(fieldValue)
+  }
+
   componentDidUpdate(prevProps) {
-    const { itemValue } = this.props
+    const { item, itemValue } = this.props
     if (prevProps.itemValue !== itemValue) {
-      this.updateField(itemValue)
+      this.updateField(toFieldValue(item.type, itemValue))
     }
   }
 
   componentWillUnmount() {
+    this.isUnmounted = true
     this.updateRedux.cancel()
+    this.checkPath.cancel()
   }
 
   updateField = fieldValue => {
     this.setState({ fieldValue })
+    this.checkPath(fieldValue)
+  }
+
+  // The host answers asynchronously, re-render once it has
+  checkPath = async value => {
+    const { item } = this.props
+    if (!hasPathRule(item) || !value || !canCheckPaths()) return
+    await checkPathExists(String(value))
+    if (!this.isUnmounted) this.forceUpdate()
   }
 
   showOpenDialog = key => async event => {
@@ -68,6 +131,7 @@ class DynamicConfigFormItem extends Component {
   handleChange = (key, value) => {
     this.setState({ fieldValue: value })
     this.updateRedux(key, value)
+    this.checkPath(value)
   }
 
   updateRedux = (key, value) => {
@@ -77,45 +141,94 @@ class DynamicConfigFormItem extends Component {
 
   render() {
     const { fieldValue } = this.state
-    const { itemKey, item, isPluginRunning, isEditingFlags } = this.props
+    const { itemKey, item, isPluginRunning, isDisabled } = this.props
     const label = item.label || itemKey
-    const disabled = isPluginRunning || isEditingFlags
+    // Custom flags and the form stay in sync, so editing is always allowed
+    const disabled = isPluginRunning || isDisabled
+    // Disabled settings generate no flags, so their value doesn't matter
+    const error = isDisabled
+      ? null
+      : validateSetting(item, fieldValue, { pathExists: getKnownPathExists })
+    // Without a host check the path rule is skipped, say so instead
+    const warning =
+      !isDisabled && hasPathRule(item) && fieldValue && !canCheckPaths()
+        ? "Can't check that this path exists"
+        : null
     let { type } = item
     if (!type) type = item.options ? 'select' : 'text'
-    let options
 
     switch (type) {
       case 'select':
-        options = item.options.map(el => {
-          let optionLabel
-          let optionValue
-
-          if (typeof el === 'string') {
-            // eg: ['light', 'full', 'fast']
-            optionLabel = el
-            optionValue = el
-          } else if (typeof el === 'object') {
-            // eg: [{ label: 'Ropsten (testnet)', value: 'Ropsten', flag: '--testnet' }]
-            optionLabel = el.label
-            optionValue = el.value
-          } else {
-            throw Error(`el was not properly set: ${el}`)
-          }
-
-          return { label: optionLabel, value: optionValue }
-        })
-
         return (
           <div data-test-id={`input-select-${item.id}`}>
             <Select
               name={label}
               value={fieldValue}
-              options={options}
+              options={getOptions(item)}
               disabled={disabled}
               onChange={value => this.handleChange(itemKey, value)}
             />
           </div>
         )
+      case 'boolean':
+        return (
+          <FormControlLabel
+            data-test-id={`input-checkbox-${item.id}`}
+            control={
+              <Checkbox
+                checked={fieldValue}
+                disabled={disabled}
+                onChange={event =>
+                  this.handleChange(itemKey, event.target.checked)
+                }
+                color="primary"
+              />
+            }
+            label={label}
+          />
+        )
+      case 'multiselect': {
+        const options = getOptions(item)
+        const getLabel = value => {
+          const option = options.find(o => o.value === value)
+          return option ? option.label : value
+        }
+        return (
+          <TextField
+            data-test-id={`input-multiselect-${item.id}`}
+            select
+            variant="outlined"
+            label={label}
+            value={fieldValue}
+            error={!!error}
+            helperText={error}
+            disabled={disabled}
+            onChange={event => this.handleChange(itemKey, event.target.value)}
+            SelectProps={{
+              multiple: true,
+              renderValue: selected => selected.map(getLabel).join(', ')
+            }}
+            fullWidth
+          >
+            {options.map(option => (
+              <MenuItem key={option.value} value={option.value}>
+                <Checkbox checked={fieldValue.includes(option.value)} />
+                <ListItemText primary={option.label} />
+              </MenuItem>
+            ))}
+          </TextField>
+        )
+      }
+      case 'keyvalue':
+        return (
+          <KeyValueList
+            id={item.id}
+            label={label}
+            pairs={fieldValue}
+            disabled={disabled}
+            onChange={pairs => this.handleChange(itemKey, pairs)}
+          />
+        )
       case 'file':
       case 'file_multiple':
       case 'directory':
@@ -131,6 +244,8 @@ class DynamicConfigFormItem extends Component {
               placeholder={
                 item.ignoreIfEmpty ? '(Leave empty to use default)' : ''
               }
+              error={!!error}
+              helperText={error || warning}
               disabled={disabled}
               InputProps={{
                 endAdornment: (
@@ -176,6 +291,8 @@ class DynamicConfigFormItem extends Component {
             variant="outlined"
             label={label}
             value={fieldValue}
+            error={!!error}
+            helperText={error || warning}
             disabled={disabled}
             onChange={event => this.handleChange(itemKey, event.target.value)}
             fullWidth
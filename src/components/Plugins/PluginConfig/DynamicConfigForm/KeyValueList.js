@@ -0,0 +1,96 @@
+import React, { Component } from 'react'
+import PropTypes from 'prop-types'
+import Grid from '@material-ui/core/Grid'
+import TextField from '@material-ui/core/TextField'
+import Button from '@material-ui/core/Button'
+import IconButton from '@material-ui/core/IconButton'
+import Typography from '@material-ui/core/Typography'
+import AddIcon from '@material-ui/icons/Add'
+import DeleteIcon from '@material-ui/icons/Delete'
+
+export default class KeyValueList extends Component {
+  static propTypes = {
+    id: PropTypes.string,
+    label: PropTypes.string,
+    // [{ key: 'name', value: 'geth' }]
+    pairs: PropTypes.array,
+    disabled: PropTypes.bool,
+    onChange: PropTypes.func.isRequired
+  }
+
+  static defaultProps = {
+    pairs: [],
+    disabled: false
+  }
+
+  handlePairChange = (index, field, fieldValue) => {
+    const { pairs, onChange } = this.props
+    onChange(
+      pairs.map((pair, i) => {
+        return i === index ? { ...pair, [field]: fieldValue } : pair
+      })
+    )
+  }
+
+  handleAdd = () => {
+    const { pairs, onChange } = this.props
+    onChange([...pairs, { key: '', value: '' }])
+  }
+
+  handleRemove = index => {
+    const { pairs, onChange } = this.props
+    onChange(pairs.filter((pair, i) => i !== index))
+  }
+
+  render() {
+    const { id, label, pairs, disabled } = this.props
+
+    return (
+      <div data-test-id={`input-keyvalue-${id}`}>
+        <Typography variant="caption" color="textSecondary">
+          {label}
+        </Typography>
+        {pairs.map((pair, index) => (
+          // Pairs have no stable id and may share keys while being edited
+          // eslint-disable-next-line react/no-array-index-key
+          <Grid container spacing={8} alignItems="center" key={index}>
+            <Grid item xs={5}>
+              <TextField
+                label="Key"
+                value={pair.key}
+                disabled={disabled}
+                onChange={event =>
+                  this.handlePairChange(index, 'key', event.target.value)
+                }
+                fullWidth
+              />
+            </Grid>
+            <Grid item xs={5}>
+              <TextField
+                label="Value"
+                value={pair.value}
+                disabled={disabled}
+                onChange={event =>
+                  this.handlePairChange(index, 'value', event.target.value)
+                }
+                fullWidth
+              />
+            </Grid>
+            <Grid item xs={2}>
+              <IconButton
+                aria-label="Remove"
+                disabled={disabled}
+                onClick={() => this.handleRemove(index)}
+              >
+                <DeleteIcon />
+              </IconButton>
+            </Grid>
+          </Grid>
+        ))}
+        <Button size="small" disabled={disabled} onClick={this.handleAdd}>
+          <AddIcon /> Add
+        </Button>
+      </div>
+    )
+  }
+}
@@ -5,6 +5,10 @@ import Grid from '@material-ui/core/Grid'
 import FormItem from './FormItem'
 import FlagPreview from './FlagPreview'
 import { getGeneratedFlags, setFlags } from '../../../../store/plugin/actions'
+import {
+  getActiveSettingIds,
+  getSettingState
+} from '../../../../lib/conditions'
 
 class DynamicConfigForm extends Component {
   static propTypes = {
@@ -29,6 +33,22 @@ class DynamicConfigForm extends Component {
     this.state = { isEditingFlags }
   }
 
+  componentWillReceiveProps({ pluginState: nextPluginState }) {
+    const { pluginState } = this.props
+    const { isEditingFlags } = this.state
+    const { config, flags } = nextPluginState[nextPluginState.selected]
+    // Custom flags set from outside the form, e.g. by a config import
+    if (!isEditingFlags && flags !== pluginState[pluginState.selected].flags) {
+      const preloadPlugin = window.Grid.PluginHost.getPluginByName(
+        nextPluginState.selected
+      )
+      const generatedFlags = getGeneratedFlags(preloadPlugin, config)
+      if (!flags.every(f => generatedFlags.includes(f))) {
+        this.setState({ isEditingFlags: true })
+      }
+    }
+  }
+
   toggleEditGeneratedFlags = checked => {
     const { pluginState, dispatch } = this.props
     const { config } = pluginState[pluginState.selected]
@@ -49,9 +69,8 @@ class DynamicConfigForm extends Component {
     )
   }
 
-  wrapFormItem = item => {
+  wrapFormItem = ({ setting: item, isEnabled }) => {
     const { plugin, isPluginRunning, handlePluginConfigChanged } = this.props
-    const { isEditingFlags } = this.state
     return (
       <FormItem
         key={item.id}
@@ -59,8 +78,8 @@ class DynamicConfigForm extends Component {
         item={item}
         pluginName={plugin.name}
         isPluginRunning={isPluginRunning}
+        isDisabled={!isEnabled}
         handlePluginConfigChanged={handlePluginConfigChanged}
-        isEditingFlags={isEditingFlags}
       />
     )
   }
@@ -72,8 +91,15 @@ class DynamicConfigForm extends Component {
 
     if (!settings) return <h4>No configuration settings found</h4>
 
+    // Hidden settings keep their value but don't show up or generate flags
+    const activeIds = getActiveSettingIds(config, settings)
     const formItems = settings
       .filter(setting => !setting.required) // Omit required flags from UI
+      .map(setting => ({
+        setting,
+        ...getSettingState(setting, config, activeIds)
+      }))
+      .filter(({ isVisible }) => isVisible)
       .map(this.wrapFormItem)
       .map(this.wrapGridItem)
 
@@ -0,0 +1,174 @@
+import React, { Component } from 'react'
+import { connect } from 'react-redux'
+import PropTypes from 'prop-types'
+import Button from '@material-ui/core/Button'
+import Grid from '@material-ui/core/Grid'
+import IconButton from '@material-ui/core/IconButton'
+import List from '@material-ui/core/List'
+import ListItem from '@material-ui/core/ListItem'
+import ListItemText from '@material-ui/core/ListItemText'
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction'
+import Typography from '@material-ui/core/Typography'
+import DeleteIcon from '@material-ui/icons/Delete'
+import Select from '../../shared/Select'
+import {
+  getDependencyMap,
+  setDependencies
+} from '../../../store/plugin/actions'
+import {
+  DEFAULT_DEPENDENCY_STATE,
+  DEPENDENCY_STATES,
+  findDependencyCycle,
+  getDependencies
+} from '../../../lib/pluginDependencies'
+
+const getStateLabel = state => {
+  const option = DEPENDENCY_STATES.find(o => o.value === state)
+  return option ? option.label : state
+}
+
+class PluginDependencies extends Component {
+  static propTypes = {
+    plugin: PropTypes.object.isRequired,
+    pluginStates: PropTypes.object.isRequired,
+    dispatch: PropTypes.func.isRequired
+  }
+
+  state = {
+    name: '',
+    requiredState: DEFAULT_DEPENDENCY_STATE
+  }
+
+  getPluginState = () => {
+    const { plugin, pluginStates } = this.props
+    return pluginStates[plugin.name]
+  }
+
+  // Error message if adding the dependency would create a cycle
+  getCycleError = name => {
+    const { plugin, pluginStates } = this.props
+    const dependencyMap = getDependencyMap(pluginStates)
+    dependencyMap[plugin.name] = [
+      ...dependencyMap[plugin.name],
+      { name, state: DEFAULT_DEPENDENCY_STATE }
+    ]
+    const cycle = findDependencyCycle(plugin.name, dependencyMap)
+    return cycle
+      ? `Would create a dependency cycle: ${cycle.join(' → ')}`
+      : null
+  }
+
+  handleAdd = () => {
+    const { plugin, dispatch } = this.props
+    const { name, requiredState } = this.state
+    const { userDependencies } = this.getPluginState()
+    dispatch(
+      setDependencies(plugin.name, [
+        ...userDependencies.filter(d => d.name !== name),
+        { name, state: requiredState }
+      ])
+    )
+    this.setState({ name: '' })
+  }
+
+  handleRemove = name => {
+    const { plugin, dispatch } = this.props
+    const { userDependencies } = this.getPluginState()
+    dispatch(
+      setDependencies(
+        plugin.name,
+        userDependencies.filter(dependency => dependency.name !== name)
+      )
+    )
+  }
+
+  renderDependency = dependency => {
+    const { pluginStates } = this.props
+    const { name, state, source } = dependency
+    const isInstalled = !!pluginStates[name]
+    const parts = [`Must be ${getStateLabel(state).toLowerCase()}`]
+    if (source === 'manifest') parts.push('required by the plugin')
+    if (!isInstalled) parts.push('not installed')
+    return (
+      <ListItem key={name} dense>
+        <ListItemText
+          primary={isInstalled ? pluginStates[name].displayName || name : name}
+          secondary={parts.join(' - ')}
+        />
+        {source === 'user' && (
+          <ListItemSecondaryAction>
+            <IconButton
+              aria-label="Remove Dependency"
+              onClick={() => this.handleRemove(name)}
+            >
+              <DeleteIcon />
+            </IconButton>
+          </ListItemSecondaryAction>
+        )}
+      </ListItem>
+    )
+  }
+
+  render() {
+    const { plugin, pluginStates } = this.props
+    const { name, requiredState } = this.state
+    const dependencies = getDependencies(this.getPluginState())
+    const pluginOptions = Object.keys(getDependencyMap(pluginStates))
+      .filter(pluginName => pluginName !== plugin.name)
+      .map(pluginName => ({
+        value: pluginName,
+        label: pluginStates[pluginName].displayName || pluginName
+      }))
+    const cycleError = name ? this.getCycleError(name) : null
+
+    return (
+      <div data-test-id="plugin-dependencies" style={{ marginBottom: 30 }}>
+        <Typography variant="subtitle1" gutterBottom>
+          Dependencies
+        </Typography>
+        <Typography variant="caption" gutterBottom>
+          Started first, and waited for, when {plugin.displayName} starts.
+        </Typography>
+        {dependencies.length > 0 && (
+          <List dense>{dependencies.map(this.renderDependency)}</List>
+        )}
+        <Grid container spacing={8} alignItems="center">
+          <Grid item xs={4}>
+            <Select
+              id="dependency-plugin"
+              name="Plugin"
+              value={name}
+              options={pluginOptions}
+              onChange={value => this.setState({ name: value })}
+            />
+          </Grid>
+          <Grid item xs={4}>
+            <Select
+              id="dependency-state"
+              name="Must be"
+              value={requiredState}
+              options={DEPENDENCY_STATES}
+              onChange={value => this.setState({ requiredState: value })}
+            />
+          </Grid>
+          <Grid item xs={4}>
+            <Button disabled={!name || !!cycleError} onClick={this.handleAdd}>
+              Add dependency
+            </Button>
+          </Grid>
+        </Grid>
+        {cycleError && (
+          <Typography variant="caption" color="error">
+            {cycleError}
+          </Typography>
+        )}
+      </div>
+    )
+  }
+}
+
+function mapStateToProps(state) {
+  return { pluginStates: state.plugin }
+}
+
+export default connect(mapStateToProps)(PluginDependencies)
@@ -0,0 +1,147 @@
+import React, { Component } from 'react'
+import { connect } from 'react-redux'
+import PropTypes from 'prop-types'
+import debounce from 'lodash/debounce'
+import TextField from '@material-ui/core/TextField'
+import Typography from '@material-ui/core/Typography'
+import InputAdornment from '@material-ui/core/InputAdornment'
+import IconButton from '@material-ui/core/IconButton'
+import FolderOpenIcon from '@material-ui/icons/FolderOpen'
+import KeyValueList from './DynamicConfigForm/KeyValueList'
+import { Grid as GridAPI } from '../../../API'
+import { setEnvironment } from '../../../store/plugin/actions'
+import { validateEnvironment } from '../../../lib/environment'
+import { canSetProcessOptions } from '../../../lib/utils'
+
+class ProcessEnvironment extends Component {
+  static propTypes = {
+    plugin: PropTypes.object.isRequired,
+    environment: PropTypes.array,
+    workingDir: PropTypes.string,
+    isPluginRunning: PropTypes.bool,
+    dispatch: PropTypes.func
+  }
+
+  static defaultProps = {
+    environment: [],
+    workingDir: ''
+  }
+
+  constructor(props) {
+    super(props)
+    // NOTE: for performance, fields are populated by local state.
+    // Redux state doesn't need to update on every keystroke.
+    this.updateRedux = debounce(this.updateRedux, 500)
+    this.state = {
+      environment: props.environment,
+      workingDir: props.workingDir
+    }
+  }
+
+  componentWillReceiveProps(nextProps) {
+    const { plugin } = this.props
+    // Switching plugins replaces the whole environment
+    if (nextProps.plugin.name !== plugin.name) {
+      this.updateRedux.flush()
+      this.setState({
+        environment: nextProps.environment,
+        workingDir: nextProps.workingDir
+      })
+    }
+  }
+
+  componentWillUnmount() {
+    this.updateRedux.flush()
+  }
+
+  updateRedux = () => {
+    const { plugin, dispatch } = this.props
+    const { environment, workingDir } = this.state
+    dispatch(setEnvironment(plugin.name, environment, workingDir))
+  }
+
+  handleEnvironmentChange = environment => {
+    this.setState({ environment }, this.updateRedux)
+  }
+
+  handleWorkingDirChange = workingDir => {
+    this.setState({ workingDir }, this.updateRedux)
+  }
+
+  handleBrowse = async () => {
+    const { showOpenDialog } = GridAPI
+    if (!showOpenDialog) return
+    const { workingDir } = this.state
+    const path = await showOpenDialog('directory', false, workingDir)
+    if (path) this.handleWorkingDirChange(path)
+  }
+
+  render() {
+    const { plugin, isPluginRunning } = this.props
+    const { environment, workingDir } = this.state
+    const errors = validateEnvironment(environment)
+
+    return (
+      <div style={{ marginBottom: 30 }}>
+        <Typography variant="subtitle1" gutterBottom>
+          Process
+        </Typography>
+        {!canSetProcessOptions(plugin) && (
+          <Typography
+            data-test-id="process-options-unsupported"
+            variant="body1"
+            color="textSecondary"
+            gutterBottom
+          >
+            This version of Grid starts the plugin without these settings. They
+            are saved and used once it can apply them.
+          </Typography>
+        )}
+        <TextField
+          data-test-id="input-working-dir"
+          variant="outlined"
+          label="Working Directory"
+          value={workingDir}
+          placeholder="(Leave empty to use default)"
+          disabled={isPluginRunning}
+          onChange={event => this.handleWorkingDirChange(event.target.value)}
+          InputProps={{
+            endAdornment: GridAPI.showOpenDialog && (
+              <InputAdornment position="end">
+                <IconButton
+                  disabled={isPluginRunning}
+                  aria-label="Show Open Dialog"
+                  onClick={this.handleBrowse}
+                >
+                  <FolderOpenIcon />
+                </IconButton>
+              </InputAdornment>
+            )
+          }}
+          fullWidth
+        />
+        <div style={{ marginTop: 15 }}>
+          <KeyValueList
+            id="environment"
+            label="Environment Variables"
+            pairs={environment}
+            disabled={isPluginRunning}
+            onChange={this.handleEnvironmentChange}
+          />
+          {errors.map(error => (
+            <Typography key={error} variant="caption" color="error">
+              {error}
+            </Typography>
+          ))}
+        </div>
+      </div>
+    )
+  }
+}
+
+function mapStateToProps(state, ownProps) {
+  const { environment, workingDir } = state.plugin[ownProps.plugin.name]
+  return { environment, workingDir }
+}
+
+export default connect(mapStateToProps)(ProcessEnvironment)
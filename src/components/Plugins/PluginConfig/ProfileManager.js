@@ -0,0 +1,180 @@
+import React, { Component } from 'react'
+import { connect } from 'react-redux'
+import PropTypes from 'prop-types'
+import Grid from '@material-ui/core/Grid'
+import Button from '@material-ui/core/Button'
+import Dialog from '@material-ui/core/Dialog'
+import DialogTitle from '@material-ui/core/DialogTitle'
+import DialogContent from '@material-ui/core/DialogContent'
+import DialogActions from '@material-ui/core/DialogActions'
+import TextField from '@material-ui/core/TextField'
+import Select from '../../shared/Select'
+import {
+  createProfile,
+  deleteProfile,
+  duplicateProfile,
+  renameProfile,
+  switchProfile
+} from '../../../store/plugin/actions'
+import { getCopyName, validateProfileName } from '../../../lib/profiles'
+
+const DIALOG_TITLES = {
+  create: 'New profile',
+  duplicate: 'Duplicate profile',
+  rename: 'Rename profile'
+}
+
+class ProfileManager extends Component {
+  static propTypes = {
+    plugin: PropTypes.object.isRequired,
+    activeProfile: PropTypes.string,
+    profileNames: PropTypes.array,
+    isPluginRunning: PropTypes.bool,
+    dispatch: PropTypes.func
+  }
+
+  static defaultProps = {
+    profileNames: []
+  }
+
+  state = {
+    // One of DIALOG_TITLES' keys while the name dialog is open
+    dialog: null,
+    name: ''
+  }
+
+  openDialog = dialog => {
+    const { activeProfile, profileNames } = this.props
+    let name = ''
+    if (dialog === 'duplicate') name = getCopyName(activeProfile, profileNames)
+    if (dialog === 'rename') name = activeProfile
+    this.setState({ dialog, name })
+  }
+
+  closeDialog = () => {
+    this.setState({ dialog: null, name: '' })
+  }
+
+  getNameError = () => {
+    const { activeProfile, profileNames } = this.props
+    const { dialog, name } = this.state
+    // Renaming may keep the name, e.g. to only change its case
+    const existingNames =
+      dialog === 'rename'
+        ? profileNames.filter(n => n !== activeProfile)
+        : profileNames
+    return validateProfileName(name, existingNames)
+  }
+
+  handleSubmit = event => {
+    event.preventDefault()
+    const { plugin, activeProfile, dispatch } = this.props
+    const { dialog, name: rawName } = this.state
+    const name = rawName.trim()
+    if (this.getNameError()) return
+
+    if (dialog === 'create') {
+      dispatch(createProfile(plugin, name))
+    } else if (dialog === 'duplicate') {
+      dispatch(duplicateProfile(plugin, activeProfile, name))
+    } else if (dialog === 'rename') {
+      dispatch(renameProfile(plugin.name, activeProfile, name))
+    }
+    this.closeDialog()
+  }
+
+  handleSwitch = name => {
+    const { plugin, dispatch } = this.props
+    dispatch(switchProfile(plugin, name))
+  }
+
+  handleDelete = () => {
+    const { plugin, activeProfile, dispatch } = this.props
+    if (window.confirm(`Delete profile "${activeProfile}"?`)) {
+      dispatch(deleteProfile(plugin, activeProfile))
+    }
+  }
+
+  renderDialog() {
+    const { dialog, name } = this.state
+    const error = dialog ? this.getNameError() : null
+
+    return (
+      <Dialog open={!!dialog} onClose={this.closeDialog}>
+        <form onSubmit={this.handleSubmit}>
+          <DialogTitle>{DIALOG_TITLES[dialog]}</DialogTitle>
+          <DialogContent>
+            <TextField
+              autoFocus
+              label="Profile name"
+              value={name}
+              onChange={event => this.setState({ name: event.target.value })}
+              error={!!name && !!error}
+              helperText={name ? error : ''}
+              fullWidth
+              data-test-id="profile-name-input"
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={this.closeDialog}>Cancel</Button>
+            <Button type="submit" color="primary" disabled={!!error}>
+              Save
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    )
+  }
+
+  render() {
+    const { activeProfile, profileNames, isPluginRunning } = this.props
+    const options = profileNames.map(name => ({ label: name, value: name }))
+
+    return (
+      <Grid container spacing={16} alignItems="center" style={{ marginTop: 5 }}>
+        <Grid item xs={4}>
+          <Select
+            id="profile-select"
+            name="Profile"
+            value={activeProfile}
+            options={options}
+            onChange={this.handleSwitch}
+            disabled={isPluginRunning}
+          />
+        </Grid>
+        <Grid item xs={8}>
+          <Button
+            onClick={() => this.openDialog('create')}
+            disabled={isPluginRunning}
+          >
+            New
+          </Button>
+          <Button
+            onClick={() => this.openDialog('duplicate')}
+            disabled={isPluginRunning}
+          >
+            Duplicate
+          </Button>
+          <Button onClick={() => this.openDialog('rename')}>Rename</Button>
+          <Button
+            onClick={this.handleDelete}
+            disabled={isPluginRunning || profileNames.length < 2}
+          >
+            Delete
+          </Button>
+        </Grid>
+        {this.renderDialog()}
+      </Grid>
+    )
+  }
+}
+
+function mapStateToProps(state, ownProps) {
+  const { activeProfile, profiles } = state.plugin[ownProps.plugin.name]
+  return {
+    activeProfile,
+    profileNames: Object.keys(profiles)
+  }
+}
+
+export default connect(mapStateToProps)(ProfileManager)
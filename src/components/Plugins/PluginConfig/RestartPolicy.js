@@ -0,0 +1,88 @@
+import React, { Component } from 'react'
+import { connect } from 'react-redux'
+import PropTypes from 'prop-types'
+import Grid from '@material-ui/core/Grid'
+import TextField from '@material-ui/core/TextField'
+import Typography from '@material-ui/core/Typography'
+import Select from '../../shared/Select'
+import { setRestartPolicy } from '../../../store/plugin/actions'
+import { RESTART_MODES } from '../../../lib/restartPolicy'
+
+class RestartPolicy extends Component {
+  static propTypes = {
+    plugin: PropTypes.object.isRequired,
+    mode: PropTypes.string,
+    maxRetries: PropTypes.number,
+    windowMinutes: PropTypes.number,
+    dispatch: PropTypes.func.isRequired
+  }
+
+  setPolicy = policy => {
+    const { plugin, dispatch } = this.props
+    dispatch(setRestartPolicy(plugin.name, policy))
+  }
+
+  handleNumberChange = field => event => {
+    const value = parseInt(event.target.value, 10)
+    if (value > 0) this.setPolicy({ [field]: value })
+  }
+
+  render() {
+    const { mode, maxRetries, windowMinutes } = this.props
+    const isDisabled = mode === 'never'
+
+    return (
+      <div data-test-id="restart-policy" style={{ marginBottom: 30 }}>
+        <Typography variant="subtitle1" gutterBottom>
+          Restart
+        </Typography>
+        <Grid container spacing={8} alignItems="center">
+          <Grid item xs={4}>
+            <Select
+              id="restart-mode"
+              name="Restart on exit"
+              value={mode}
+              options={RESTART_MODES}
+              onChange={value => this.setPolicy({ mode: value })}
+            />
+          </Grid>
+          <Grid item xs={4}>
+            <TextField
+              data-test-id="input-max-retries"
+              type="number"
+              label="Max restarts"
+              value={maxRetries}
+              inputProps={{ min: 1 }}
+              disabled={isDisabled}
+              onChange={this.handleNumberChange('maxRetries')}
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={4}>
+            <TextField
+              data-test-id="input-restart-window"
+              type="number"
+              label="Within minutes"
+              value={windowMinutes}
+              inputProps={{ min: 1 }}
+              disabled={isDisabled}
+              onChange={this.handleNumberChange('windowMinutes')}
+              fullWidth
+            />
+          </Grid>
+        </Grid>
+        <Typography variant="caption">
+          On failure restarts after an error, always also after a clean exit.
+          Restarts wait 1s, 2s, 4s, ... up to 5 minutes.
+        </Typography>
+      </div>
+    )
+  }
+}
+
+function mapStateToProps(state, ownProps) {
+  const { restartPolicy } = state.plugin[ownProps.plugin.name]
+  return { ...restartPolicy }
+}
+
+export default connect(mapStateToProps)(RestartPolicy)
@@ -0,0 +1,120 @@
+import React, { Component } from 'react'
+import PropTypes from 'prop-types'
+import debounce from 'lodash/debounce'
+import Grid from '@material-ui/core/Grid'
+import TextField from '@material-ui/core/TextField'
+import Typography from '@material-ui/core/Typography'
+import Select from '../../../shared/Select'
+import { RELEASE_CHANNELS } from '../../../../lib/releaseFilters'
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1)
+
+const withAll = values => [
+  { label: 'All', value: 'all' },
+  ...values.map(value => ({ label: capitalize(value), value }))
+]
+
+const LOCATION_OPTIONS = [
+  { label: 'All', value: 'all' },
+  { label: 'Downloaded', value: 'local' },
+  { label: 'Available', value: 'remote' }
+]
+
+const SORT_OPTIONS = [
+  { label: 'Newest first', value: 'desc' },
+  { label: 'Oldest first', value: 'asc' }
+]
+
+export default class ReleaseFilterBar extends Component {
+  static propTypes = {
+    filter: PropTypes.object.isRequired,
+    platforms: PropTypes.array,
+    archs: PropTypes.array,
+    shownCount: PropTypes.number,
+    totalCount: PropTypes.number,
+    onChange: PropTypes.func.isRequired
+  }
+
+  static defaultProps = {
+    platforms: [],
+    archs: []
+  }
+
+  constructor(props) {
+    super(props)
+    // Filter while typing, but don't persist every keystroke
+    this.updateSearch = debounce(this.updateSearch, 300)
+    this.state = { search: props.filter.search }
+  }
+
+  componentWillReceiveProps({ filter }) {
+    const { filter: oldFilter } = this.props
+    // e.g. switching plugins
+    if (filter.search !== oldFilter.search) {
+      this.setState({ search: filter.search })
+    }
+  }
+
+  componentWillUnmount() {
+    this.updateSearch.cancel()
+  }
+
+  updateSearch = search => {
+    const { onChange } = this.props
+    onChange({ search })
+  }
+
+  handleSearchChange = event => {
+    const search = event.target.value
+    this.setState({ search })
+    this.updateSearch(search)
+  }
+
+  renderSelect(id, name, options) {
+    const { filter, onChange } = this.props
+    return (
+      <Grid item xs={2}>
+        <Select
+          id={`release-filter-${id}`}
+          name={name}
+          value={filter[id]}
+          options={options}
+          onChange={value => onChange({ [id]: value })}
+        />
+      </Grid>
+    )
+  }
+
+  render() {
+    const { platforms, archs, shownCount, totalCount } = this.props
+    const { search } = this.state
+
+    return (
+      <div data-test-id="release-filter-bar" style={{ marginBottom: 10 }}>
+        <Grid container spacing={8} alignItems="center">
+          <Grid item xs={12}>
+            <TextField
+              data-test-id="release-search"
+              variant="outlined"
+              label="Search versions"
+              placeholder="e.g. 1.9, ^1.8.20 or >=1.8 <1.9"
+              value={search}
+              onChange={this.handleSearchChange}
+              fullWidth
+            />
+          </Grid>
+          {this.renderSelect('channel', 'Channel', withAll(RELEASE_CHANNELS))}
+          {this.renderSelect('platform', 'Platform', withAll(platforms))}
+          {this.renderSelect('arch', 'Arch', withAll(archs))}
+          {this.renderSelect('location', 'Location', LOCATION_OPTIONS)}
+          {this.renderSelect('sort', 'Sort', SORT_OPTIONS)}
+          <Grid item xs={2}>
+            <Typography variant="caption" align="right">
+              Showing {shownCount} of {totalCount}
+            </Typography>
+          </Grid>
+        </Grid>
+      </div>
+    )
+  }
+}
@@ -0,0 +1,225 @@
+import React, { Component } from 'react'
+import { connect } from 'react-redux'
+import PropTypes from 'prop-types'
+import Button from '@material-ui/core/Button'
+import Grid from '@material-ui/core/Grid'
+import IconButton from '@material-ui/core/IconButton'
+import List from '@material-ui/core/List'
+import ListItem from '@material-ui/core/ListItem'
+import ListItemText from '@material-ui/core/ListItemText'
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction'
+import TextField from '@material-ui/core/TextField'
+import Tooltip from '@material-ui/core/Tooltip'
+import Typography from '@material-ui/core/Typography'
+import DeleteIcon from '@material-ui/icons/Delete'
+import {
+  deleteRelease,
+  getProtectedFileNames,
+  pruneReleases,
+  setKeepReleases
+} from '../../../../store/plugin/actions'
+import {
+  getReleasesToPrune,
+  getStorageEntries,
+  getTotalSize
+} from '../../../../lib/releaseStorage'
+import { formatBytes } from '../../../../lib/downloadStats'
+
+const describeEntry = entry => {
+  const {
+    size,
+    lastUsed,
+    isSelected,
+    isRunning,
+    isPrevious,
+    isPending,
+    isLastWorking
+  } = entry
+  const parts = [
+    size ? formatBytes(size) : 'Unknown size',
+    lastUsed ? `last used ${new Date(lastUsed).toLocaleString()}` : 'never used'
+  ]
+  if (isRunning) parts.push('running')
+  else if (isSelected) parts.push('selected')
+  if (isPrevious) parts.push('kept to revert the last update')
+  if (isPending) parts.push('pending update')
+  if (isLastWorking) parts.push('last working release')
+  return parts.join(' - ')
+}
+
+const getProtectedReason = ({
+  isRunning,
+  isSelected,
+  isPending,
+  isPrevious
+}) => {
+  if (isRunning) return 'The running release cannot be deleted'
+  if (isSelected) return 'The selected release cannot be deleted'
+  if (isPending) return 'The pending update cannot be deleted'
+  if (!isPrevious) return 'Needed to go back to the last working release'
+  return 'Needed to revert the last update'
+}
+
+class ReleaseStorage extends Component {
+  static propTypes = {
+    plugin: PropTypes.object.isRequired,
+    // Local releases, as loaded by the VersionList
+    releases: PropTypes.array.isRequired,
+    // Called when releases were deleted, to reload them
+    onReleasesDeleted: PropTypes.func.isRequired,
+    releaseUsage: PropTypes.object,
+    keepReleases: PropTypes.number,
+    // Protected releases, see getProtectedFileNames
+    selectedFileName: PropTypes.string,
+    runningFileName: PropTypes.string,
+    previousFileName: PropTypes.string,
+    pendingFileName: PropTypes.string,
+    lastWorkingFileName: PropTypes.string,
+    dispatch: PropTypes.func.isRequired
+  }
+
+  static defaultProps = {
+    releaseUsage: {},
+    keepReleases: 0
+  }
+
+  state = {
+    errors: [],
+    isDeleting: false
+  }
+
+  getEntries = () => {
+    const {
+      releases,
+      releaseUsage,
+      selectedFileName,
+      runningFileName,
+      previousFileName,
+      pendingFileName,
+      lastWorkingFileName
+    } = this.props
+    return getStorageEntries(releases, {
+      usage: releaseUsage,
+      selectedFileName,
+      runningFileName,
+      previousFileName,
+      pendingFileName,
+      lastWorkingFileName
+    })
+  }
+
+  handleDelete = async release => {
+    const { plugin, dispatch, onReleasesDeleted } = this.props
+    if (!window.confirm(`Delete ${release.fileName} from disk?`)) return
+    this.setState({ isDeleting: true })
+    const { error } = await dispatch(deleteRelease(plugin, release))
+    this.setState({ isDeleting: false, errors: error ? [error] : [] })
+    if (!error) onReleasesDeleted()
+  }
+
+  handleKeepChange = event => {
+    const { plugin, dispatch } = this.props
+    const keep = parseInt(event.target.value, 10)
+    dispatch(setKeepReleases(plugin.name, keep > 0 ? keep : 0))
+  }
+
+  handlePrune = async () => {
+    const {
+      plugin,
+      releases,
+      keepReleases,
+      dispatch,
+      onReleasesDeleted
+    } = this.props
+    const count = getReleasesToPrune(this.getEntries(), keepReleases).length
+    if (!window.confirm(`Delete ${count} release(s) from disk?`)) return
+    this.setState({ isDeleting: true })
+    const { deleted, errors } = await dispatch(pruneReleases(plugin, releases))
+    this.setState({ isDeleting: false, errors })
+    if (deleted.length) onReleasesDeleted()
+  }
+
+  renderEntry = entry => {
+    const { isDeleting } = this.state
+    const { release, isProtected } = entry
+    return (
+      <ListItem key={release.fileName} dense>
+        <ListItemText
+          primary={release.fileName}
+          secondary={describeEntry(entry)}
+        />
+        <ListItemSecondaryAction>
+          <Tooltip title={isProtected ? getProtectedReason(entry) : 'Delete'}>
+            <span>
+              <IconButton
+                aria-label="Delete Release"
+                disabled={isProtected || isDeleting}
+                onClick={() => this.handleDelete(release)}
+              >
+                <DeleteIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </ListItemSecondaryAction>
+      </ListItem>
+    )
+  }
+
+  render() {
+    const { keepReleases } = this.props
+    const { errors, isDeleting } = this.state
+    const entries = this.getEntries()
+    const pruneCount = getReleasesToPrune(entries, keepReleases).length
+
+    return (
+      <div data-test-id="release-storage" style={{ marginTop: 30 }}>
+        <Typography variant="subtitle1" gutterBottom>
+          Storage
+        </Typography>
+        <Typography variant="caption" gutterBottom>
+          {entries.length} downloaded release(s) using{' '}
+          {formatBytes(getTotalSize(entries))}
+        </Typography>
+        <Grid container spacing={8} alignItems="center">
+          <Grid item xs={4}>
+            <TextField
+              data-test-id="input-keep-releases"
+              type="number"
+              label="Keep last N releases"
+              helperText="0 keeps all releases"
+              value={keepReleases}
+              inputProps={{ min: 0 }}
+              onChange={this.handleKeepChange}
+              fullWidth
+            />
+          </Grid>
+          <Grid item xs={4}>
+            <Button
+              disabled={!pruneCount || isDeleting}
+              onClick={this.handlePrune}
+            >
+              Delete {pruneCount} old release(s)
+            </Button>
+          </Grid>
+        </Grid>
+        {errors.map(error => (
+          <Typography key={error} variant="caption" color="error">
+            {error}
+          </Typography>
+        ))}
+        <List dense>{entries.map(this.renderEntry)}</List>
+      </div>
+    )
+  }
+}
+
+function mapStateToProps(state, ownProps) {
+  const pluginState = state.plugin[ownProps.plugin.name]
+  return {
+    releaseUsage: pluginState.releaseUsage,
+    keepReleases: pluginState.keepReleases,
+    ...getProtectedFileNames(pluginState)
+  }
+}
+
+export default connect(mapStateToProps)(ReleaseStorage)
@@ -0,0 +1,143 @@
+import React, { Component } from 'react'
+import { connect } from 'react-redux'
+import PropTypes from 'prop-types'
+import { withSnackbar } from 'notistack'
+import Button from '@material-ui/core/Button'
+import Grid from '@material-ui/core/Grid'
+import Typography from '@material-ui/core/Typography'
+import Select from '../../../shared/Select'
+import {
+  RUNNING_STATUSES,
+  applyUpdate,
+  checkForUpdate,
+  revertUpdate,
+  setUpdatePolicy
+} from '../../../../store/plugin/actions'
+import { UPDATE_POLICIES } from '../../../../lib/updates'
+
+class UpdatePolicy extends Component {
+  static propTypes = {
+    plugin: PropTypes.object.isRequired,
+    updatePolicy: PropTypes.string,
+    pendingUpdate: PropTypes.object,
+    previousRelease: PropTypes.object,
+    isRunning: PropTypes.bool,
+    dispatch: PropTypes.func.isRequired,
+    enqueueSnackbar: PropTypes.func
+  }
+
+  state = {
+    isBusy: false
+  }
+
+  run = async action => {
+    const { enqueueSnackbar } = this.props
+    this.setState({ isBusy: true })
+    try {
+      await action()
+    } catch (error) {
+      enqueueSnackbar(error.message, { variant: 'error' })
+    } finally {
+      this.setState({ isBusy: false })
+    }
+  }
+
+  handlePolicyChange = policy => {
+    const { plugin, dispatch } = this.props
+    dispatch(setUpdatePolicy(plugin.name, policy))
+    // Act on an already known update with the new policy
+    dispatch(checkForUpdate(plugin))
+  }
+
+  renderPendingUpdate() {
+    const { plugin, pendingUpdate, isRunning, dispatch } = this.props
+    const { isBusy } = this.state
+    return (
+      <Grid item xs={12} data-test-id="pending-update">
+        <Typography variant="body2" inline>
+          {pendingUpdate.version} is downloaded and will be used on the next
+          restart.
+        </Typography>
+        <Button
+          color="primary"
+          disabled={isBusy}
+          onClick={() => this.run(() => dispatch(applyUpdate(plugin)))}
+        >
+          {isRunning ? 'Restart now' : `Use ${pendingUpdate.version}`}
+        </Button>
+      </Grid>
+    )
+  }
+
+  renderPreviousRelease() {
+    const { plugin, previousRelease, dispatch } = this.props
+    const { isBusy } = this.state
+    return (
+      <Grid item xs={12} data-test-id="previous-release">
+        <Typography variant="body2" inline>
+          Updated from {previousRelease.version}.
+        </Typography>
+        <Button
+          disabled={isBusy}
+          onClick={() => this.run(() => dispatch(revertUpdate(plugin)))}
+        >
+          Revert to {previousRelease.version}
+        </Button>
+      </Grid>
+    )
+  }
+
+  render() {
+    const {
+      plugin,
+      updatePolicy,
+      pendingUpdate,
+      previousRelease,
+      dispatch
+    } = this.props
+    const { isBusy } = this.state
+
+    return (
+      <Grid
+        container
+        spacing={8}
+        alignItems="center"
+        style={{ marginBottom: 10 }}
+      >
+        <Grid item xs={6}>
+          <Select
+            id="update-policy"
+            name="Updates"
+            value={updatePolicy}
+            options={UPDATE_POLICIES}
+            onChange={this.handlePolicyChange}
+          />
+        </Grid>
+        <Grid item xs={6}>
+          <Button
+            disabled={isBusy}
+            onClick={() => this.run(() => dispatch(checkForUpdate(plugin)))}
+          >
+            Check for updates
+          </Button>
+        </Grid>
+        {pendingUpdate && this.renderPendingUpdate()}
+        {previousRelease && this.renderPreviousRelease()}
+      </Grid>
+    )
+  }
+}
+
+function mapStateToProps(state, ownProps) {
+  const { updatePolicy, pendingUpdate, previousRelease, active } = state.plugin[
+    ownProps.plugin.name
+  ]
+  return {
+    updatePolicy,
+    pendingUpdate,
+    previousRelease,
+    isRunning: RUNNING_STATUSES.includes(active.status)
+  }
+}
+
+export default connect(mapStateToProps)(withSnackbar(UpdatePolicy))
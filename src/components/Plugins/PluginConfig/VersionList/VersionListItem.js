@@ -1,4 +1,5 @@
 import React, { Component } from 'react'
+import { connect } from 'react-redux'
 import PropTypes from 'prop-types'
 import ListItem from '@material-ui/core/ListItem'
 import ListItemIcon from '@material-ui/core/ListItemIcon'
@@ -9,34 +10,33 @@ import CheckBoxIcon from '@material-ui/icons/CheckBox'
 import styled, { css } from 'styled-components'
 import Spinner from '../../../shared/Spinner'
 import { without } from '../../../../lib/utils'
-
-export default class VersionListItem extends Component {
+import { describeDownload } from '../../../../lib/downloadStats'
+import {
+  cancelDownload,
+  canCancelDownload,
+  canResumeDownloads,
+  enqueueDownload,
+  resumeDownload
+} from '../../../../store/downloads/actions'
+import {
+  getDownloadId,
+  PENDING_STATUSES
+} from '../../../../store/downloads/reducer'
+
+class VersionListItem extends Component {
   static propTypes = {
     plugin: PropTypes.object.isRequired,
     release: PropTypes.object.isRequired,
-    handleDownloadError: PropTypes.func.isRequired,
-    handleReleaseDownloaded: PropTypes.func.isRequired,
+    download: PropTypes.object,
+    dispatch: PropTypes.func.isRequired,
     handleReleaseSelect: PropTypes.func,
     isSelectedRelease: PropTypes.func
   }
 
   state = {
-    isDownloading: false,
-    downloadProgress: 0,
-    extractionProgress: 0,
-    extractedFile: '',
     isHovered: false
   }
 
-  componentDidMount() {
-    // @see https://reactjs.org/blog/2015/12/16/ismounted-antipattern.html
-    this._isMounted = true
-  }
-
-  componentWillUnmount() {
-    this._isMounted = false
-  }
-
   releaseDisplayName = release => {
     const { plugin } = this.props
     const { displayName } = plugin
@@ -58,66 +58,36 @@ export default class VersionListItem extends Component {
     return `${displayName} ${displayVersion}${metadata}`
   }
 
-  downloadRelease = release => {
-    const { plugin, handleDownloadError, handleReleaseDownloaded } = this.props
-    const { isDownloading } = this.state
-    // Return if already downloading
-    if (isDownloading) return
-    this.setState({ isDownloading: true }, async () => {
-      let localRelease
-      try {
-        localRelease = await plugin.download(
-          release,
-          downloadProgress => {
-            if (this._isMounted) this.setState({ downloadProgress })
-          },
-          (extractionProgress, extractedFile) => {
-            if (this._isMounted) {
-              this.setState({ extractionProgress, extractedFile })
-            }
-          }
-        )
-      } catch (error) {
-        handleDownloadError(error)
-      }
-      if (this._isMounted) {
-        this.setState({
-          isDownloading: false,
-          downloadProgress: 0,
-          extractionProgress: 0,
-          extractedFile: ''
-        })
-      }
-      handleReleaseDownloaded(localRelease)
-    })
-  }
-
   handleReleaseSelect = release => {
-    const { handleReleaseSelect } = this.props
-    if (release.remote) {
-      this.downloadRelease(release)
-    } else {
+    const { plugin, download, dispatch, handleReleaseSelect } = this.props
+    if (!release.remote) {
       handleReleaseSelect(release)
+    } else if (download && PENDING_STATUSES.includes(download.status)) {
+      if (canCancelDownload(plugin, download)) {
+        dispatch(cancelDownload(download.id))
+      }
+    } else if (download && download.status !== 'done') {
+      dispatch(resumeDownload(plugin, download.id))
+    } else {
+      dispatch(enqueueDownload(plugin, release))
     }
   }
 
   renderIcon = release => {
-    const { isSelectedRelease } = this.props
-    const {
-      downloadProgress,
-      isDownloading,
-      extractionProgress,
-      isHovered
-    } = this.state
+    const { isSelectedRelease, download } = this.props
+    const { isHovered } = this.state
     let icon = <BlankIconPlaceholder />
-    if (isDownloading) {
-      icon = (
-        <Spinner
-          variant="determinate"
-          size={20}
-          value={extractionProgress || downloadProgress}
-        />
-      )
+    if (this.isDownloading()) {
+      icon =
+        download.status === 'queued' ? (
+          <Spinner size={20} />
+        ) : (
+          <Spinner
+            variant="determinate"
+            size={20}
+            value={download.extractionProgress || download.progress}
+          />
+        )
     } else if (release.remote) {
       icon = <CloudDownloadIcon color={isHovered ? 'primary' : 'inherit'} />
     } else if (isSelectedRelease(release)) {
@@ -133,14 +103,44 @@ export default class VersionListItem extends Component {
     this.setState({ isHovered: !isHovered })
   }
 
+  isDownloading = () => {
+    const { download } = this.props
+    return !!download && PENDING_STATUSES.includes(download.status)
+  }
+
+  getSecondaryText = () => {
+    const { download, release } = this.props
+    if (!download || !release.remote) return null
+    if (download.status === 'extracting') {
+      return `${download.extractionProgress}% - ${download.extractedFile}`
+    }
+    return download.status === 'done' ? null : describeDownload(download)
+  }
+
+  getDownloadActionLabel = () => {
+    const { plugin, download } = this.props
+    const { isHovered } = this.state
+    if (!download) return 'Download'
+    const showCancel = isHovered && canCancelDownload(plugin, download)
+    switch (download.status) {
+      case 'queued':
+        return showCancel ? 'Cancel' : 'Queued'
+      case 'downloading':
+        return showCancel ? 'Cancel' : 'Downloading'
+      case 'extracting':
+        return showCancel ? 'Cancel' : 'Extracting'
+      case 'interrupted':
+        return canResumeDownloads(plugin) ? 'Resume' : 'Retry'
+      case 'error':
+        return 'Retry'
+      default:
+        return 'Download'
+    }
+  }
+
   render() {
     const { isSelectedRelease, release } = this.props
-    const {
-      downloadProgress,
-      isDownloading,
-      extractionProgress,
-      extractedFile
-    } = this.state
+    const isDownloading = this.isDownloading()
     let actionLabel = 'Use'
     if (!release.remote) {
       actionLabel = 'Use'
@@ -148,10 +148,7 @@ export default class VersionListItem extends Component {
         actionLabel = 'Selected'
       }
     } else {
-      actionLabel = 'Download'
-      if (isDownloading) {
-        actionLabel = extractionProgress > 0 ? 'Extracting' : 'Downloading'
-      }
+      actionLabel = this.getDownloadActionLabel()
     }
 
     return (
@@ -170,14 +167,7 @@ export default class VersionListItem extends Component {
         <ListItemTextVersion
           primary={this.releaseDisplayName(release)}
           isLocalRelease={!release.remote}
-          secondary={
-            // eslint-disable-next-line no-nested-ternary
-            extractionProgress > 0
-              ? `${extractionProgress}% - ${extractedFile}`
-              : downloadProgress > 0
-              ? `${downloadProgress}%`
-              : null
-          }
+          secondary={this.getSecondaryText()}
         />
         <StyledListItemAction>
           <Typography
@@ -192,6 +182,15 @@ export default class VersionListItem extends Component {
   }
 }
 
+function mapStateToProps(state, ownProps) {
+  const { plugin, release } = ownProps
+  return {
+    download: state.downloads.items[getDownloadId(plugin.name, release)]
+  }
+}
+
+export default connect(mapStateToProps)(VersionListItem)
+
 const StyledListItemAction = styled.span`
   text-transform: uppercase;
 `
@@ -4,8 +4,17 @@ import PropTypes from 'prop-types'
 import styled from 'styled-components'
 import List from '@material-ui/core/List'
 import Notification from '../../../shared/Notification'
-import { setRelease } from '../../../../store/plugin/actions'
+import { setRelease, setReleaseFilter } from '../../../../store/plugin/actions'
+import {
+  filterReleases,
+  getReleaseFilterOptions,
+  sortReleases
+} from '../../../../lib/releaseFilters'
+import { getDownloads } from '../../../../store/downloads/reducer'
 import VersionListItem from './VersionListItem'
+import ReleaseFilterBar from './ReleaseFilterBar'
+import ReleaseStorage from './ReleaseStorage'
+import UpdatePolicy from './UpdatePolicy'
 import VersionsAvailableText from './VersionsAvailableText'
 import LatestVersionWarning from './LatestVersionWarning'
 import { Grid } from '../../../../API'
@@ -15,7 +24,10 @@ class VersionList extends Component {
     dispatch: PropTypes.func.isRequired,
     handleReleaseSelect: PropTypes.func.isRequired,
     plugin: PropTypes.object.isRequired,
-    selectedRelease: PropTypes.object
+    selectedRelease: PropTypes.object,
+    releaseFilter: PropTypes.object,
+    keepReleases: PropTypes.number,
+    downloads: PropTypes.object
   }
 
   state = {
@@ -29,15 +41,36 @@ class VersionList extends Component {
     this.loadReleases()
   }
 
-  componentWillReceiveProps({ plugin: nextPlugin }) {
-    const { plugin: oldPlugin } = this.props
+  componentWillReceiveProps({ plugin: nextPlugin, downloads: nextDownloads }) {
+    const { plugin: oldPlugin, downloads } = this.props
     if (oldPlugin && nextPlugin !== oldPlugin) {
       // this.loadLocalReleases()
       this.setState({ releases: [] })
       this.loadReleases(nextPlugin)
+    } else if (nextDownloads !== downloads) {
+      this.handleDownloadUpdates(downloads, nextDownloads)
     }
   }
 
+  // Downloads run in the store, so they can finish while unmounted.
+  // Releases loaded afterwards are already up to date.
+  handleDownloadUpdates = (downloads, nextDownloads) => {
+    const { plugin, keepReleases, handleReleaseSelect } = this.props
+    getDownloads(nextDownloads, plugin.name).forEach(download => {
+      const previous = downloads.items[download.id]
+      if (previous && previous.status === download.status) return
+      if (download.status === 'done' && keepReleases > 0) {
+        // The storage policy may have deleted older releases
+        handleReleaseSelect(download.release)
+        this.loadReleases()
+      } else if (download.status === 'done') {
+        this.handleReleaseDownloaded(download.release)
+      } else if (download.status === 'error') {
+        this.setState({ downloadError: download.error })
+      }
+    })
+  }
+
   dismissDownloadError = () => {
     this.setState({ downloadError: null })
   }
@@ -105,8 +138,10 @@ class VersionList extends Component {
 
   handleReleaseDownloaded = release => {
     const releaseDownloaded = { ...release, remote: false }
+    const { handleReleaseSelect } = this.props
     const { releases, localReleaseCount } = this.state
     const index = releases.findIndex(r => r.fileName === release.fileName)
+    if (index === -1 || !releases[index].remote) return
     // releases.splice(index, 0, releaseDownloaded)
     releases[index] = releaseDownloaded
     this.setState(
@@ -115,27 +150,58 @@ class VersionList extends Component {
         localReleaseCount: localReleaseCount + 1
       },
       () => {
-        this.handleReleaseSelect(release)
+        // The download already selected it in the store
+        handleReleaseSelect(releaseDownloaded)
       }
     )
   }
 
+  handleFilterChange = filter => {
+    const { plugin, dispatch } = this.props
+    dispatch(setReleaseFilter(plugin.name, filter))
+  }
+
+  getVisibleReleases = () => {
+    const { releaseFilter } = this.props
+    const { releases } = this.state
+    // Cache, since releases can be in the hundreds
+    if (
+      this.visibleReleases &&
+      this.visibleReleases.releases === releases &&
+      this.visibleReleases.filter === releaseFilter
+    ) {
+      return this.visibleReleases.result
+    }
+    const result = sortReleases(
+      filterReleases(releases, releaseFilter),
+      releaseFilter.sort
+    )
+    this.visibleReleases = { releases, filter: releaseFilter, result }
+    return result
+  }
+
+  getLocalReleases = () => {
+    const { releases } = this.state
+    if (!this.localReleases || this.localReleases.releases !== releases) {
+      this.localReleases = {
+        releases,
+        result: releases.filter(this.isLocalRelease)
+      }
+    }
+    return this.localReleases.result
+  }
+
   renderVersionList = () => {
     const { plugin } = this.props
-    const { releases } = this.state
     const renderListItems = () => {
-      const list = releases.map((release, i) => {
+      const list = this.getVisibleReleases().map(release => {
         return (
           <VersionListItem
             plugin={plugin}
             release={release}
-            key={i}
+            key={release.fileName}
             isSelectedRelease={this.isSelectedRelease}
             handleReleaseSelect={this.handleReleaseSelect}
-            handleDownloadError={downloadError =>
-              this.setState({ downloadError })
-            }
-            handleReleaseDownloaded={this.handleReleaseDownloaded}
           />
         )
       })
@@ -149,7 +215,7 @@ class VersionList extends Component {
   }
 
   render() {
-    const { plugin, selectedRelease } = this.props
+    const { plugin, selectedRelease, releaseFilter } = this.props
     const {
       downloadError,
       loadingReleases,
@@ -181,6 +247,8 @@ class VersionList extends Component {
           }}
         />
 
+        <UpdatePolicy plugin={plugin} />
+
         <LatestVersionWarning
           displayName={plugin.displayName}
           selectedVersion={selectedRelease.version}
@@ -188,7 +256,21 @@ class VersionList extends Component {
           handleReleaseSelect={this.handleReleaseSelect}
         />
 
+        <ReleaseFilterBar
+          filter={releaseFilter}
+          {...getReleaseFilterOptions(releases)}
+          shownCount={this.getVisibleReleases().length}
+          totalCount={releases.length}
+          onChange={this.handleFilterChange}
+        />
+
         {this.renderVersionList()}
+
+        <ReleaseStorage
+          plugin={plugin}
+          releases={this.getLocalReleases()}
+          onReleasesDeleted={this.handleRefresh}
+        />
       </Fragment>
     )
   }
@@ -196,7 +278,10 @@ class VersionList extends Component {
 
 function mapStateToProps(state) {
   return {
-    selectedRelease: state.plugin[state.plugin.selected].release
+    selectedRelease: state.plugin[state.plugin.selected].release,
+    releaseFilter: state.plugin[state.plugin.selected].releaseFilter,
+    keepReleases: state.plugin[state.plugin.selected].keepReleases,
+    downloads: state.downloads
   }
 }
 
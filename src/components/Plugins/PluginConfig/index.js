@@ -12,15 +12,28 @@ import Typography from '@material-ui/core/Typography'
 import VersionList from './VersionList'
 import DynamicConfigForm from './DynamicConfigForm'
 import AboutPlugin from './AboutPlugin'
+import ProfileManager from './ProfileManager'
+import ConfigTransfer from './ConfigTransfer'
+import ProcessEnvironment from './ProcessEnvironment'
+import RestartPolicy from './RestartPolicy'
+import Autostart from './Autostart'
+import PluginDependencies from './PluginDependencies'
 import Terminal from '../Terminal'
 import NodeInfo from '../NodeInfo'
 import Metadata from '../Metadata'
 import {
+  RUNNING_STATUSES,
   clearError,
+  dismissStartOutcome,
+  revertToPreviousRelease,
   selectTab,
   setAppBadges,
   getPluginErrors
 } from '../../../store/plugin/actions'
+import {
+  getPreviousRelease,
+  isFailedFirstStart
+} from '../../../lib/releaseHistory'
 
 import ErrorBoundary from '../../GenericErrorBoundary'
 import { getPluginSettingsConfig } from '../../../lib/utils'
@@ -62,6 +75,10 @@ class PluginConfig extends Component {
     pluginErrors: PropTypes.array,
     appBadges: PropTypes.object,
     selectedTab: PropTypes.number,
+    activeProfile: PropTypes.string,
+    // Last release that ran successfully, other than the selected one
+    lastWorkingRelease: PropTypes.object,
+    failedFirstStart: PropTypes.bool,
     enqueueSnackbar: PropTypes.func,
     closeSnackbar: PropTypes.func
   }
@@ -79,7 +96,7 @@ class PluginConfig extends Component {
   }
 
   componentDidUpdate(prevProps) {
-    const { plugin, pluginStatus } = this.props
+    const { plugin, pluginStatus, failedFirstStart } = this.props
 
     // On plugin start, show Terminal
     if (prevProps.pluginStatus === 'STOPPED' && pluginStatus === 'STARTING') {
@@ -98,6 +115,10 @@ class PluginConfig extends Component {
     }
 
     this.enqueueErrors()
+
+    if (failedFirstStart && !prevProps.failedFirstStart) {
+      this.offerRevert()
+    }
   }
 
   componentWillUnmount() {
@@ -167,6 +188,59 @@ class PluginConfig extends Component {
     dispatch(clearError(plugin, index))
   }
 
+  handleRevert = async () => {
+    const { plugin, dispatch, enqueueSnackbar } = this.props
+    try {
+      await dispatch(revertToPreviousRelease(plugin))
+    } catch (error) {
+      enqueueSnackbar(
+        `Could not revert ${plugin.displayName}: ${error.message}`,
+        { variant: 'error' }
+      )
+    }
+  }
+
+  // A new release failed its first start, suggest the last working one
+  offerRevert() {
+    const {
+      plugin,
+      lastWorkingRelease,
+      enqueueSnackbar,
+      closeSnackbar,
+      dispatch
+    } = this.props
+    if (!lastWorkingRelease) return
+    const dismiss = key => {
+      closeSnackbar(key)
+      dispatch(dismissStartOutcome(plugin.name))
+    }
+    enqueueSnackbar(
+      `${plugin.displayName} failed to start. Revert to ${
+        lastWorkingRelease.version
+      }, the last version that worked?`,
+      {
+        variant: 'warning',
+        persist: true,
+        action: key => (
+          <Fragment>
+            <Button
+              style={{ color: '#000' }}
+              onClick={() => {
+                closeSnackbar(key)
+                this.handleRevert()
+              }}
+            >
+              Revert
+            </Button>
+            <Button style={{ color: '#000' }} onClick={() => dismiss(key)}>
+              Dismiss
+            </Button>
+          </Fragment>
+        )
+      }
+    )
+  }
+
   appBadgesCount() {
     const { appBadges } = this.props
     return Object.values(appBadges).reduce((a, b) => a + b, 0)
@@ -181,20 +255,34 @@ class PluginConfig extends Component {
       dispatch,
       closeSnackbar
     } = this.props
+    // Error keys are per plugin, e.g. every plugin may have 'invalid-config'
+    const prefix = `${plugin.name}:`
 
-    const onClose = (thisPlugin, key) => {
-      dispatch(clearError(thisPlugin, key))
-      delete displayedErrors[key]
+    const onClose = (thisPlugin, errorKey) => {
+      dispatch(clearError(thisPlugin, errorKey))
+      delete displayedErrors[`${thisPlugin.name}:${errorKey}`]
     }
 
     dispatch(getPluginErrors(plugin))
+    // An error that was cleared or replaced takes its snackbar with it
+    Object.keys(displayedErrors)
+      .filter(id => id.startsWith(prefix))
+      .forEach(id => {
+        const error = pluginErrors.find(e => prefix + e.key === id)
+        if (!error || error.message !== displayedErrors[id].message) {
+          closeSnackbar(displayedErrors[id].snackbarKey)
+          delete displayedErrors[id]
+        }
+      })
     pluginErrors.forEach(error => {
-      if (displayedErrors[error.key]) return
-      enqueueSnackbar(error.message, {
-        key: error.key,
+      const id = prefix + error.key
+      if (displayedErrors[id]) return
+      const snackbarKey = enqueueSnackbar(error.message, {
+        // A replaced error reuses its key, its snackbar must not
+        key: `${id}:${Date.now()}`,
         variant: 'error',
-        onClose: (event, reason, key) => {
-          onClose(plugin, key)
+        onClose: () => {
+          onClose(plugin, error.key)
         },
         action: key => (
           <Fragment>
@@ -202,7 +290,7 @@ class PluginConfig extends Component {
               style={{ color: '#000' }}
               onClick={() => {
                 closeSnackbar(key)
-                onClose(plugin, key)
+                onClose(plugin, error.key)
               }}
             >
               {'Dismiss'}
@@ -210,7 +298,7 @@ class PluginConfig extends Component {
           </Fragment>
         )
       })
-      displayedErrors[error.key] = true
+      displayedErrors[id] = { message: error.message, snackbarKey }
     })
   }
 
@@ -222,17 +310,13 @@ class PluginConfig extends Component {
       isActivePlugin,
       handleReleaseSelect,
       selectedTab,
-      pluginErrors
+      pluginErrors,
+      activeProfile,
+      lastWorkingRelease
     } = this.props
     const { setupState } = this.state
     const { displayName: pluginName } = plugin || {}
-    const isRunning = [
-      'DOWNLOADING',
-      'EXTRACTING',
-      'STARTING',
-      'STARTED',
-      'CONNECTED'
-    ].includes(plugin.state)
+    const isRunning = RUNNING_STATUSES.includes(plugin.state)
 
     return (
       <Fragment>
@@ -249,6 +333,15 @@ class PluginConfig extends Component {
           <StyledState data-test-id="node-state">
             {isActivePlugin ? pluginStatus : 'STOPPED'}
           </StyledState>
+          {lastWorkingRelease && (
+            <Button
+              size="small"
+              data-test-id="button-revert-release"
+              onClick={this.handleRevert}
+            >
+              Revert to previous version ({lastWorkingRelease.version})
+            </Button>
+          )}
         </Typography>
         <StyledAppBar position="static">
           <Tabs
@@ -293,13 +386,21 @@ class PluginConfig extends Component {
         {selectedTab === 2 && (
           <TabContainer>
             <ErrorBoundary>
+              <ProfileManager plugin={plugin} isPluginRunning={isRunning} />
+              <ConfigTransfer plugin={plugin} isPluginRunning={isRunning} />
+              {/* Remount on profile switch to pick up its custom flags */}
               <DynamicConfigForm
+                key={activeProfile}
                 plugin={plugin}
                 settings={getPluginSettingsConfig(plugin)}
                 handlePluginConfigChanged={this.handlePluginConfigChanged}
                 isPluginRunning={isRunning}
                 pluginConfigChanged={pluginConfigChanged}
               />
+              <ProcessEnvironment plugin={plugin} isPluginRunning={isRunning} />
+              <PluginDependencies plugin={plugin} />
+              <Autostart plugin={plugin} />
+              <RestartPolicy plugin={plugin} />
             </ErrorBoundary>
           </TabContainer>
         )}
@@ -318,13 +419,17 @@ class PluginConfig extends Component {
 
 function mapStateToProps(state) {
   const { selected } = state.plugin
+  const { releaseHistory, release } = state.plugin[selected]
 
   return {
+    lastWorkingRelease: getPreviousRelease(releaseHistory, release),
+    failedFirstStart: isFailedFirstStart(state.plugin[selected]),
     pluginStatus: state.plugin[selected].active.status,
     pluginErrors: state.plugin[selected].errors,
     appBadges: state.plugin[selected].appBadges,
     isActivePlugin: state.plugin[selected].active.name !== 'STOPPED',
-    selectedTab: state.plugin.selectedTab
+    selectedTab: state.plugin.selectedTab,
+    activeProfile: state.plugin[selected].activeProfile
   }
 }
 
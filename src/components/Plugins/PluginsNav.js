@@ -5,7 +5,10 @@ import { withStyles } from '@material-ui/core/styles'
 import Drawer from '@material-ui/core/Drawer'
 import List from '@material-ui/core/List'
 import ListSubheader from '@material-ui/core/ListSubheader'
+import Checkbox from '@material-ui/core/Checkbox'
+import FormControlLabel from '@material-ui/core/FormControlLabel'
 import PluginsNavListItem from './PluginsNavListItem'
+import { RUNNING_STATUSES, setSkipAutostart } from '../../store/plugin/actions'
 
 const drawerWidth = 240
 
@@ -33,6 +36,12 @@ const styles = theme => ({
     textTransform: 'uppercase',
     fontSize: '80%',
     height: '40px'
+  },
+  skipAutostart: {
+    margin: `0 ${theme.spacing.unit}px`
+  },
+  skipAutostartLabel: {
+    fontSize: '80%'
   }
 })
 
@@ -44,18 +53,14 @@ class PluginsNav extends Component {
     children: PropTypes.node,
     handleToggle: PropTypes.func.isRequired,
     handleSelectPlugin: PropTypes.func.isRequired,
-    selectedPluginName: PropTypes.string
+    selectedPluginName: PropTypes.string,
+    skipAutostart: PropTypes.bool,
+    dispatch: PropTypes.func.isRequired
   }
 
   isRunning = plugin => {
     const { pluginState } = this.props
-    return [
-      'DOWNLOADING',
-      'EXTRACTING',
-      'STARTING',
-      'STARTED',
-      'CONNECTED'
-    ].includes(pluginState[plugin.name].active.status)
+    return RUNNING_STATUSES.includes(pluginState[plugin.name].active.status)
   }
 
   buildListItem = plugin => {
@@ -73,6 +78,8 @@ class PluginsNav extends Component {
       drawerPaper,
       toolbar,
       listSubheader,
+      skipAutostart,
+      skipAutostartLabel,
       ...restClasses
     } = classes
 
@@ -118,6 +125,26 @@ class PluginsNav extends Component {
     return renderPlugins
   }
 
+  renderSkipAutostart = () => {
+    const { classes, skipAutostart, dispatch } = this.props
+    return (
+      <FormControlLabel
+        control={
+          <Checkbox
+            checked={skipAutostart}
+            onChange={event => dispatch(setSkipAutostart(event.target.checked))}
+          />
+        }
+        label="Don't autostart this session"
+        classes={{
+          root: classes.skipAutostart,
+          label: classes.skipAutostartLabel
+        }}
+        data-test-id="skip-autostart"
+      />
+    )
+  }
+
   render() {
     const { classes, children } = this.props
     const showDrawer = true
@@ -130,6 +157,7 @@ class PluginsNav extends Component {
           classes={{ paper: classes.drawerPaper }}
         >
           {this.renderLists()}
+          {this.renderSkipAutostart()}
         </Drawer>
         <main className={classes.content}>{children}</main>
       </React.Fragment>
@@ -140,7 +168,8 @@ class PluginsNav extends Component {
 function mapStateToProps(state) {
   return {
     pluginState: state.plugin,
-    selectedPluginName: state.plugin.selected
+    selectedPluginName: state.plugin.selected,
+    skipAutostart: state.plugin.skipAutostart
   }
 }
 
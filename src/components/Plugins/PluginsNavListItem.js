@@ -7,6 +7,23 @@ import ListItem from '@material-ui/core/ListItem'
 import ListItemText from '@material-ui/core/ListItemText'
 import Badge from '@material-ui/core/Badge'
 import Switch from '@material-ui/core/Switch'
+import IconButton from '@material-ui/core/IconButton'
+import LinearProgress from '@material-ui/core/LinearProgress'
+import CloseIcon from '@material-ui/icons/Close'
+import ReplayIcon from '@material-ui/icons/Replay'
+import { describeDownload } from '../../lib/downloadStats'
+import { describeCrashes } from '../../lib/restartPolicy'
+import {
+  cancelDownload,
+  canCancelDownload,
+  canResumeDownloads,
+  removeDownload,
+  resumeDownload
+} from '../../store/downloads/actions'
+import {
+  getPluginDownload,
+  PENDING_STATUSES
+} from '../../store/downloads/reducer'
 
 const styles = () => ({
   pluginName: {
@@ -22,6 +39,19 @@ const styles = () => ({
   versionInfo: {
     fontSize: '80%',
     visibility: 'hidden'
+  },
+  downloadInfo: {
+    fontSize: '75%'
+  },
+  crashInfo: {
+    fontSize: '75%',
+    display: 'block',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  downloadButton: {
+    padding: 4
   }
 })
 
@@ -34,7 +64,14 @@ class PluginsNavListItem extends Component {
     isRunning: PropTypes.bool,
     isSelected: PropTypes.bool,
     secondaryText: PropTypes.string,
-    appBadges: PropTypes.object
+    appBadges: PropTypes.object,
+    download: PropTypes.object,
+    availableUpdate: PropTypes.object,
+    crashCount: PropTypes.number,
+    lastExit: PropTypes.object,
+    scheduledRestart: PropTypes.object,
+    restartStoppedReason: PropTypes.string,
+    dispatch: PropTypes.func.isRequired
   }
 
   state = {
@@ -53,12 +90,105 @@ class PluginsNavListItem extends Component {
     }
   }
 
-  handleSwitch = plugin => {
+  handleSwitch = async plugin => {
     const { handleToggle } = this.props
     this.setState({ isToggled: true }, () => {
       plugin.on('newState', this.toggleOff(plugin))
     })
-    handleToggle(plugin)
+    const result = await handleToggle(plugin)
+    // The plugin never changes state if it was refused to start
+    if (result && result.error) {
+      this.setState({ isToggled: false })
+    }
+  }
+
+  renderDownload = () => {
+    const { classes, download } = this.props
+    const isPending = PENDING_STATUSES.includes(download.status)
+    let value = download.progress
+    if (download.status === 'extracting') value = download.extractionProgress
+    return (
+      <div data-test-id="nav-download">
+        <span className={classes.downloadInfo}>
+          {describeDownload(download)}
+        </span>
+        {isPending && (
+          <LinearProgress
+            variant={download.status === 'queued' ? 'query' : 'determinate'}
+            value={value}
+          />
+        )}
+      </div>
+    )
+  }
+
+  renderCrashes = () => {
+    const {
+      classes,
+      secondaryText,
+      availableUpdate,
+      crashCount,
+      lastExit,
+      scheduledRestart,
+      restartStoppedReason
+    } = this.props
+    const crashes = describeCrashes({
+      crashCount,
+      lastExit,
+      scheduledRestart,
+      restartStoppedReason
+    })
+    return (
+      <div data-test-id="nav-crashes">
+        {availableUpdate ? (
+          <span className={classes.downloadInfo}>
+            Update: {availableUpdate.version}
+          </span>
+        ) : (
+          <span className={classes.versionInfo}>{secondaryText}</span>
+        )}
+        <span className={classes.crashInfo} title={crashes}>
+          {crashes}
+        </span>
+      </div>
+    )
+  }
+
+  renderDownloadActions = () => {
+    const { classes, download, dispatch, plugin } = this.props
+    if (PENDING_STATUSES.includes(download.status)) {
+      // The host can't stop it, it runs until done
+      if (!canCancelDownload(plugin, download)) return null
+      return (
+        <IconButton
+          className={classes.downloadButton}
+          aria-label="Cancel Download"
+          onClick={() => dispatch(cancelDownload(download.id))}
+        >
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      )
+    }
+    return (
+      <React.Fragment>
+        <IconButton
+          className={classes.downloadButton}
+          aria-label={
+            canResumeDownloads(plugin) ? 'Resume Download' : 'Retry Download'
+          }
+          onClick={() => dispatch(resumeDownload(plugin, download.id))}
+        >
+          <ReplayIcon fontSize="small" />
+        </IconButton>
+        <IconButton
+          className={classes.downloadButton}
+          aria-label="Dismiss Download"
+          onClick={() => dispatch(removeDownload(download.id))}
+        >
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </React.Fragment>
+    )
   }
 
   render() {
@@ -69,8 +199,15 @@ class PluginsNavListItem extends Component {
       isRunning,
       isSelected,
       secondaryText,
-      plugin
+      plugin,
+      download,
+      availableUpdate,
+      crashCount
     } = this.props
+    let secondary = secondaryText
+    if (availableUpdate) secondary = `Update: ${availableUpdate.version}`
+    if (crashCount) secondary = this.renderCrashes()
+    if (download) secondary = this.renderDownload()
 
     return (
       <ListItem
@@ -90,18 +227,27 @@ class PluginsNavListItem extends Component {
               {plugin.displayName}
             </Badge>
           }
-          secondary={secondaryText}
+          secondary={secondary}
           primaryTypographyProps={{
             inline: true,
             classes: { root: classes.pluginName }
           }}
-          secondaryTypographyProps={{
-            inline: true,
-            classes: { root: classes.versionInfo }
-          }}
+          secondaryTypographyProps={
+            download || crashCount
+              ? { component: 'div' }
+              : {
+                  inline: true,
+                  classes: {
+                    root: availableUpdate
+                      ? classes.downloadInfo
+                      : classes.versionInfo
+                  }
+                }
+          }
         />
         <ListItemSecondaryAction>
           <span>
+            {download && this.renderDownloadActions()}
             <Switch
               color="primary"
               onChange={() => this.handleSwitch(plugin)}
@@ -117,8 +263,15 @@ class PluginsNavListItem extends Component {
 }
 
 function mapStateToProps(state, ownProps) {
+  const pluginState = state.plugin[ownProps.plugin.name]
   return {
-    appBadges: state.plugin[ownProps.plugin.name].appBadges
+    appBadges: pluginState.appBadges,
+    download: getPluginDownload(state.downloads, ownProps.plugin.name),
+    availableUpdate: pluginState.availableUpdate,
+    crashCount: pluginState.crashCount,
+    lastExit: pluginState.lastExit,
+    scheduledRestart: pluginState.scheduledRestart,
+    restartStoppedReason: pluginState.restartStoppedReason
   }
 }
 
@@ -0,0 +1,228 @@
+import React, { Component } from 'react'
+import PropTypes from 'prop-types'
+import { withStyles } from '@material-ui/core/styles'
+import Chip from '@material-ui/core/Chip'
+import TextField from '@material-ui/core/TextField'
+import FormControlLabel from '@material-ui/core/FormControlLabel'
+import Checkbox from '@material-ui/core/Checkbox'
+import Select from '@material-ui/core/Select'
+import MenuItem from '@material-ui/core/MenuItem'
+import Button from '@material-ui/core/Button'
+import { LOG_LEVELS } from '../../../lib/logParser'
+import { EXPORT_FORMATS } from '../../../lib/logExport'
+
+const CAPACITY_OPTIONS = [1000, 5000, 10000, 50000]
+
+const styles = () => ({
+  toolbar: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginBottom: 10
+  },
+  chip: {
+    marginRight: 5,
+    height: 24,
+    fontSize: 11
+  },
+  search: {
+    marginLeft: 10,
+    marginRight: 10,
+    minWidth: 200,
+    flexGrow: 1
+  },
+  searchInput: {
+    fontSize: 12
+  },
+  checkboxLabel: {
+    fontSize: 12
+  },
+  capacity: {
+    fontSize: 12
+  },
+  exportFormat: {
+    fontSize: 12,
+    marginLeft: 10
+  },
+  exportButton: {
+    fontSize: 11,
+    marginLeft: 5
+  }
+})
+
+class LogToolbar extends Component {
+  static propTypes = {
+    classes: PropTypes.object.isRequired,
+    levels: PropTypes.array.isRequired,
+    levelCounts: PropTypes.object,
+    query: PropTypes.string,
+    isRegex: PropTypes.bool,
+    searchError: PropTypes.string,
+    matchCount: PropTypes.number,
+    autoScroll: PropTypes.bool,
+    capacity: PropTypes.number.isRequired,
+    exportFormat: PropTypes.oneOf(Object.keys(EXPORT_FORMATS)),
+    handleToggleLevel: PropTypes.func.isRequired,
+    handleQueryChange: PropTypes.func.isRequired,
+    handleToggleRegex: PropTypes.func.isRequired,
+    handleToggleAutoScroll: PropTypes.func.isRequired,
+    handleCapacityChange: PropTypes.func.isRequired,
+    handleExportFormatChange: PropTypes.func.isRequired,
+    handleSaveLogs: PropTypes.func.isRequired,
+    handleCopyVisibleLogs: PropTypes.func.isRequired
+  }
+
+  static defaultProps = {
+    levelCounts: {},
+    query: '',
+    isRegex: false,
+    autoScroll: true,
+    exportFormat: 'text'
+  }
+
+  renderLevelChips() {
+    const { classes, levels, levelCounts, handleToggleLevel } = this.props
+
+    return LOG_LEVELS.map(level => {
+      const isSelected = levels.includes(level)
+      const count = levelCounts[level] || 0
+      return (
+        <Chip
+          key={level}
+          label={count ? `${level} ${count}` : level}
+          color={isSelected ? 'primary' : 'default'}
+          variant={isSelected ? 'default' : 'outlined'}
+          onClick={() => handleToggleLevel(level)}
+          className={classes.chip}
+          data-test-id={`terminal-level-${level.toLowerCase()}`}
+        />
+      )
+    })
+  }
+
+  renderCapacitySelect() {
+    const { classes, capacity, handleCapacityChange } = this.props
+    const options = CAPACITY_OPTIONS.includes(capacity)
+      ? CAPACITY_OPTIONS
+      : [...CAPACITY_OPTIONS, capacity].sort((a, b) => a - b)
+
+    return (
+      <Select
+        value={capacity}
+        onChange={event => handleCapacityChange(event.target.value)}
+        className={classes.capacity}
+        data-test-id="terminal-capacity"
+      >
+        {options.map(option => (
+          <MenuItem key={option} value={option}>
+            Keep {option.toLocaleString()} lines
+          </MenuItem>
+        ))}
+      </Select>
+    )
+  }
+
+  renderExportActions() {
+    const {
+      classes,
+      exportFormat,
+      handleExportFormatChange,
+      handleSaveLogs,
+      handleCopyVisibleLogs
+    } = this.props
+
+    return (
+      <React.Fragment>
+        <Select
+          value={exportFormat}
+          onChange={event => handleExportFormatChange(event.target.value)}
+          className={classes.exportFormat}
+          data-test-id="terminal-export-format"
+        >
+          {Object.keys(EXPORT_FORMATS).map(format => (
+            <MenuItem key={format} value={format}>
+              {EXPORT_FORMATS[format].label}
+            </MenuItem>
+          ))}
+        </Select>
+        <Button
+          size="small"
+          onClick={handleSaveLogs}
+          className={classes.exportButton}
+          data-test-id="terminal-save-logs"
+        >
+          Save logs
+        </Button>
+        <Button
+          size="small"
+          onClick={handleCopyVisibleLogs}
+          className={classes.exportButton}
+          data-test-id="terminal-copy-logs"
+        >
+          Copy visible logs
+        </Button>
+      </React.Fragment>
+    )
+  }
+
+  render() {
+    const {
+      classes,
+      query,
+      isRegex,
+      searchError,
+      matchCount,
+      autoScroll,
+      handleQueryChange,
+      handleToggleRegex,
+      handleToggleAutoScroll
+    } = this.props
+
+    let helperText = searchError
+    if (!helperText && query) {
+      helperText = `${matchCount} ${matchCount === 1 ? 'match' : 'matches'}`
+    }
+
+    return (
+      <div className={classes.toolbar}>
+        {this.renderLevelChips()}
+        <TextField
+          placeholder={isRegex ? 'Search (regex)' : 'Search'}
+          value={query}
+          onChange={event => handleQueryChange(event.target.value)}
+          error={!!searchError}
+          helperText={helperText}
+          className={classes.search}
+          InputProps={{ className: classes.searchInput }}
+          data-test-id="terminal-search"
+        />
+        <FormControlLabel
+          control={
+            <Checkbox
+              color="primary"
+              checked={isRegex}
+              onChange={event => handleToggleRegex(event.target.checked)}
+            />
+          }
+          label="Regex"
+          classes={{ label: classes.checkboxLabel }}
+        />
+        <FormControlLabel
+          control={
+            <Checkbox
+              color="primary"
+              checked={!autoScroll}
+              onChange={event => handleToggleAutoScroll(!event.target.checked)}
+            />
+          }
+          label="Pause autoscroll"
+          classes={{ label: classes.checkboxLabel }}
+        />
+        {this.renderCapacitySelect()}
+        {this.renderExportActions()}
+      </div>
+    )
+  }
+}
+
+export default withStyles(styles)(LogToolbar)
@@ -1,4 +1,5 @@
 import React, { Component } from 'react'
+import { connect } from 'react-redux'
 import PropTypes from 'prop-types'
 import { withStyles } from '@material-ui/core/styles'
 import TextField from '@material-ui/core/TextField'
@@ -7,6 +8,19 @@ import Typography from '@material-ui/core/Typography'
 import FormGroup from '@material-ui/core/FormGroup'
 import FormControlLabel from '@material-ui/core/FormControlLabel'
 import Checkbox from '@material-ui/core/Checkbox'
+import {
+  completeMethod,
+  formatRpcResult,
+  getMethodSuggestions,
+  isRpcError,
+  parseRpcInput
+} from '../../../lib/rpcConsole'
+import { completeFromHistory, searchHistory } from '../../../lib/commandHistory'
+import { addCommandHistory } from '../../../store/plugin/actions'
+
+const ANSI_RED = '\u001b[31m'
+const ANSI_RESET = '\u001b[0m'
+const MAX_SUGGESTIONS = 8
 
 const styles = () => ({
   textField: {
@@ -24,6 +38,13 @@ const styles = () => ({
     fontSize: '11px',
     overflowX: 'auto',
     padding: '5px'
+  },
+  suggestions: {
+    color: '#999',
+    fontFamily:
+      'Lucida Console, Lucida Sans Typewriter, monaco, Bitstream Vera Sans Mono, monospace',
+    fontSize: '11px',
+    padding: '2px 5px'
   }
 })
 
@@ -31,16 +52,31 @@ class TerminalInput extends Component {
   static propTypes = {
     plugin: PropTypes.object.isRequired,
     addNewLog: PropTypes.func,
+    history: PropTypes.array,
+    dispatch: PropTypes.func.isRequired,
     classes: PropTypes.object
   }
 
+  static defaultProps = {
+    history: []
+  }
+
   constructor(props) {
     super(props)
     this.state = {
       input: '',
-      history: [''],
       historyIndex: 0,
-      protectInput: false
+      protectInput: false,
+      rpcMode: false,
+      // Ctrl+R reverse search: { query, index } while active
+      search: null
+    }
+  }
+
+  componentWillReceiveProps({ plugin: nextPlugin }) {
+    const { plugin } = this.props
+    if (nextPlugin.name !== plugin.name) {
+      this.setState({ input: '', historyIndex: 0, search: null })
     }
   }
 
@@ -48,50 +84,166 @@ class TerminalInput extends Component {
     this.setState({ protectInput: event.target.checked })
   }
 
+  toggleRpcMode = event => {
+    this.setState({ rpcMode: event.target.checked })
+  }
+
   handleChange = event => {
-    this.setState({ input: event.target.value })
+    const { history } = this.props
+    const { search } = this.state
+    const { value } = event.target
+    if (search) {
+      const index = searchHistory(history, value)
+      this.setState({ search: { query: value, index } })
+      return
+    }
+    this.setState({ input: value })
+  }
+
+  handleSearchKeyDown = event => {
+    const { history } = this.props
+    const { search } = this.state
+    if (event.ctrlKey && event.keyCode === 82) {
+      // Ctrl+R again steps to the next older match
+      event.preventDefault()
+      const index = searchHistory(history, search.query, search.index)
+      if (index !== -1) {
+        this.setState({ search: { ...search, index } })
+      }
+    } else if (event.keyCode === 13) {
+      // Enter accepts the match for editing instead of running it
+      event.preventDefault()
+      const input = search.index === -1 ? '' : history[search.index]
+      this.setState({ input, search: null, historyIndex: 0 })
+    } else if (event.keyCode === 27) {
+      // Escape cancels the search
+      event.preventDefault()
+      this.setState({ search: null })
+    }
+  }
+
+  // Completed input for tab, or null if there is nothing to complete
+  getCompletion = () => {
+    const { history } = this.props
+    const { input, rpcMode } = this.state
+    if (rpcMode) {
+      const completed = completeMethod(input)
+      if (completed !== input) return completed
+    }
+    const entry = completeFromHistory(history, input)
+    return entry && entry !== input ? entry : null
   }
 
   handleKeyDown = event => {
+    const { history } = this.props
+    const { search } = this.state
+    if (search) {
+      this.handleSearchKeyDown(event)
+      return
+    }
+    // On ctrl+r, start reverse search through history
+    if (event.ctrlKey && event.keyCode === 82) {
+      event.preventDefault()
+      this.setState({ search: { query: '', index: -1 } })
+      return
+    }
+    // On tab, complete the RPC method name or from history
+    // Without a completion tab keeps moving the focus
+    if (event.keyCode === 9) {
+      const completion = this.getCompletion()
+      if (completion) {
+        event.preventDefault()
+        this.setState({ input: completion })
+      }
+      return
+    }
     // On up or down arrow, navigate through history
     if (event.keyCode === 38 || event.keyCode === 40) {
       event.preventDefault()
-      const { history, historyIndex } = this.state
+      const { historyIndex } = this.state
       let newIndex = historyIndex
       if (event.keyCode === 38) {
         // up arrow
-        newIndex += 1
-        if (newIndex > history.length) {
-          newIndex = 0
-        }
+        newIndex = Math.min(newIndex + 1, history.length)
       } else if (event.keyCode === 40) {
         // down arrow
-        newIndex -= 1
-        if (newIndex < 0) {
-          newIndex = history.length
-        }
+        newIndex = Math.max(newIndex - 1, 0)
       }
-      const input = history[history.length - newIndex]
+      const input = newIndex === 0 ? '' : history[history.length - newIndex]
       this.setState({ input, historyIndex: newIndex })
     }
   }
 
-  submit = () => {
+  sendRpc = async input => {
     const { plugin, addNewLog } = this.props
-    const { input, history, protectInput } = this.state
-    plugin.write(input)
-    addNewLog(protectInput ? '***' : input)
+    let call
+    try {
+      call = parseRpcInput(input)
+    } catch (error) {
+      addNewLog(`${ANSI_RED}${error.message}${ANSI_RESET}`)
+      return
+    }
+    try {
+      const result = await plugin.rpc(call.method, call.params)
+      if (isRpcError(result)) {
+        formatRpcResult(result).forEach(line => {
+          addNewLog(`${ANSI_RED}${line}${ANSI_RESET}`)
+        })
+      } else {
+        formatRpcResult(result).forEach(line => addNewLog(line))
+      }
+    } catch (error) {
+      addNewLog(`${ANSI_RED}${error.message}${ANSI_RESET}`)
+    }
+  }
+
+  submit = event => {
+    if (event) event.preventDefault()
+    const { plugin, addNewLog, dispatch } = this.props
+    const { input, protectInput, rpcMode } = this.state
+    const displayInput = protectInput ? '***' : input
+    if (rpcMode) {
+      addNewLog(`rpc ${displayInput}`)
+      this.sendRpc(input)
+    } else {
+      plugin.write(input)
+      addNewLog(displayInput)
+    }
     this.setState({ input: '', historyIndex: 0 })
-    // Add to history if not same as last history entry
-    if (history[-1] !== input) {
-      const newHistory = [...history, input]
-      this.setState({ history: newHistory })
+    // Hidden input, e.g. passwords, must never end up on disk
+    if (!protectInput) {
+      dispatch(addCommandHistory(plugin.name, input))
     }
   }
 
+  renderSearch() {
+    const { classes, history } = this.props
+    const { search } = this.state
+    const match = search.index === -1 ? '' : history[search.index]
+    return (
+      <div className={classes.suggestions}>
+        {`(reverse-i-search)\`${search.query}': ${match}`}
+      </div>
+    )
+  }
+
+  renderSuggestions() {
+    const { classes } = this.props
+    const { input } = this.state
+    const suggestions = getMethodSuggestions(input)
+    if (!suggestions.length) return null
+    const more = suggestions.length - MAX_SUGGESTIONS
+    return (
+      <div className={classes.suggestions}>
+        {suggestions.slice(0, MAX_SUGGESTIONS).join('  ')}
+        {more > 0 && `  (+${more} more, Tab to complete)`}
+      </div>
+    )
+  }
+
   render() {
     const { classes, plugin } = this.props
-    const { input, protectInput } = this.state
+    const { input, protectInput, rpcMode, search } = this.state
 
     const isPluginRunning = ['STARTED', 'CONNECTED'].includes(plugin.state)
 
@@ -104,7 +256,8 @@ class TerminalInput extends Component {
         <FormGroup row>
           <TextField
             data-test-id="terminal-input"
-            value={input}
+            value={search ? search.query : input}
+            placeholder={search ? 'Search history' : ''}
             onChange={this.handleChange}
             onKeyDown={this.handleKeyDown}
             disabled={!isPluginRunning}
@@ -118,7 +271,7 @@ class TerminalInput extends Component {
                   className={classes.inputAdornment}
                 >
                   <Typography className={classes.inputAdornment}>
-                    &gt;
+                    {rpcMode ? 'rpc' : ''}&gt;
                   </Typography>
                 </InputAdornment>
               )
@@ -136,10 +289,30 @@ class TerminalInput extends Component {
             }
             label="Hide Input"
           />
+          <FormControlLabel
+            control={
+              <Checkbox
+                color="primary"
+                checked={rpcMode}
+                onChange={this.toggleRpcMode}
+                data-test-id="terminal-rpc-mode"
+              />
+            }
+            label="RPC console"
+          />
         </FormGroup>
+        {search && this.renderSearch()}
+        {!search && rpcMode && this.renderSuggestions()}
       </form>
     )
   }
 }
 
-export default withStyles(styles)(TerminalInput)
+function mapStateToProps(state, ownProps) {
+  const pluginState = state.plugin[ownProps.plugin.name]
+  return {
+    history: pluginState ? pluginState.commandHistory : []
+  }
+}
+
+export default connect(mapStateToProps)(withStyles(styles)(TerminalInput))
@@ -0,0 +1,121 @@
+import React, { Component } from 'react'
+import PropTypes from 'prop-types'
+
+// Renders only the rows inside the viewport (plus some overscan),
+// so the cost of a render doesn't grow with the number of log lines.
+export default class VirtualLogList extends Component {
+  static displayName = 'VirtualLogList'
+
+  static propTypes = {
+    className: PropTypes.string,
+    /** A RingBuffer, or anything else with `length` and `get(index)` */
+    rows: PropTypes.shape({
+      length: PropTypes.number.isRequired,
+      get: PropTypes.func.isRequired
+    }).isRequired,
+    renderRow: PropTypes.func.isRequired,
+    /** Changes whenever rows change, even if their count doesn't */
+    version: PropTypes.number,
+    rowHeight: PropTypes.number,
+    overscan: PropTypes.number,
+    autoScroll: PropTypes.bool
+  }
+
+  static defaultProps = {
+    rowHeight: 16,
+    overscan: 20,
+    autoScroll: true
+  }
+
+  state = {
+    scrollTop: 0,
+    viewportHeight: 0
+  }
+
+  scrollViewRef = React.createRef()
+
+  componentDidMount() {
+    window.addEventListener('resize', this.measure)
+    this.measure()
+    this.scrollToBottom()
+  }
+
+  componentDidUpdate(prevProps) {
+    const { autoScroll, rows, version } = this.props
+    const rowsChanged =
+      prevProps.rows.length !== rows.length || prevProps.version !== version
+    if (autoScroll && (rowsChanged || !prevProps.autoScroll)) {
+      this.scrollToBottom()
+    }
+  }
+
+  componentWillUnmount() {
+    window.removeEventListener('resize', this.measure)
+    cancelAnimationFrame(this.scrollFrame)
+  }
+
+  measure = () => {
+    const scrollView = this.scrollViewRef.current
+    if (!scrollView) return
+    this.setState({ viewportHeight: scrollView.clientHeight })
+  }
+
+  scrollToBottom = () => {
+    const scrollView = this.scrollViewRef.current
+    if (!scrollView) return
+    scrollView.scrollTop = scrollView.scrollHeight
+  }
+
+  handleScroll = () => {
+    // Scroll events can fire faster than frames are painted
+    if (this.scrollFrame) return
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null
+      const scrollView = this.scrollViewRef.current
+      if (!scrollView) return
+      this.setState({ scrollTop: scrollView.scrollTop })
+    })
+  }
+
+  render() {
+    const { className, rows, renderRow, rowHeight, overscan } = this.props
+    const { scrollTop, viewportHeight } = this.state
+
+    const firstRow = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan)
+    const lastRow = Math.min(
+      rows.length,
+      Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan
+    )
+    const rowStyle = { height: rowHeight, lineHeight: `${rowHeight}px` }
+
+    const renderRows = []
+    for (let index = firstRow; index < lastRow; index += 1) {
+      renderRows.push(
+        <div key={index} style={rowStyle}>
+          {renderRow(rows.get(index), index)}
+        </div>
+      )
+    }
+
+    return (
+      <div
+        ref={this.scrollViewRef}
+        className={className}
+        onScroll={this.handleScroll}
+      >
+        <div style={{ position: 'relative', height: rows.length * rowHeight }}>
+          <div
+            style={{
+              position: 'absolute',
+              top: firstRow * rowHeight,
+              left: 0,
+              minWidth: '100%'
+            }}
+          >
+            {renderRows}
+          </div>
+        </div>
+      </div>
+    )
+  }
+}
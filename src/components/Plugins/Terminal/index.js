@@ -1,8 +1,32 @@
 import React, { Component } from 'react'
+import { connect } from 'react-redux'
 import PropTypes from 'prop-types'
+import { withSnackbar } from 'notistack'
 import Ansi from 'ansi-to-react'
 import { withStyles } from '@material-ui/core/styles'
 import TerminalInput from './TerminalInput'
+import LogToolbar from './LogToolbar'
+import VirtualLogList from './VirtualLogList'
+import RingBuffer from '../../../lib/ringBuffer'
+import {
+  LOG_LEVELS,
+  buildSearchPattern,
+  filterLogs,
+  matchesLevels,
+  matchesSearch,
+  parseLogLine,
+  splitMatches
+} from '../../../lib/logParser'
+import {
+  buildLogHeader,
+  formatLogs,
+  getLogFileName
+} from '../../../lib/logExport'
+import { copyToClipboard, saveFile } from '../../../lib/utils'
+import {
+  getLogExportInfo,
+  setTerminalCapacity
+} from '../../../store/plugin/actions'
 
 const styles = () => ({
   terminalWrapper: {
@@ -21,55 +45,268 @@ const styles = () => ({
     overflowX: 'auto',
     overflowY: 'auto',
     whiteSpace: 'nowrap'
+  },
+  highlight: {
+    background: '#ffd54f',
+    color: '#111'
   }
 })
 
 class Terminal extends Component {
   static propTypes = {
     plugin: PropTypes.object.isRequired,
+    capacity: PropTypes.number.isRequired,
+    dispatch: PropTypes.func.isRequired,
+    enqueueSnackbar: PropTypes.func,
     classes: PropTypes.object
   }
 
   constructor(props) {
     super(props)
     this.state = {
-      logs: []
+      logVersion: 0,
+      levels: LOG_LEVELS,
+      query: '',
+      isRegex: false,
+      autoScroll: true,
+      exportFormat: 'text'
     }
-    this.terminalScrollViewRef = React.createRef()
+    this.logBuffer = new RingBuffer(props.capacity)
+    // Log events are batched and flushed once per animation frame
+    this.pendingLogs = []
+    this.flushRequest = null
+    // Lines per level, kept as running totals while lines come and go
+    this.levelCounts = {}
+    // Goes up whenever the buffer is refilled or resized
+    this.bufferVersion = 0
+    this.visibleLogsCache = {}
   }
 
   componentDidMount = async () => {
+    const { plugin } = this.props
+    this.resetLogs(plugin.getLogs())
     this.subscribeLogs()
   }
 
-  componentWillReceiveProps({ plugin: nextPlugin }) {
-    const { plugin: oldPlugin } = this.props
-    const logs = nextPlugin.getLogs()
-    this.setState({ logs })
-    if (oldPlugin && nextPlugin !== oldPlugin) {
+  componentWillReceiveProps({ plugin: nextPlugin, capacity: nextCapacity }) {
+    const { plugin: oldPlugin, capacity } = this.props
+    if (nextCapacity !== capacity) {
+      this.logBuffer.resize(nextCapacity)
+      this.rebuildLogs()
+    }
+    // Other prop updates must not wipe lines added through addNewLog
+    if (nextPlugin !== oldPlugin) {
+      this.resetLogs(nextPlugin.getLogs())
       this.unsubscribeLogs(oldPlugin)
       this.subscribeLogs(nextPlugin)
     }
   }
 
-  componentDidUpdate = () => {
-    this.terminalScrollToBottom()
-  }
-
   componentWillUnmount() {
     this.unsubscribeLogs()
+    cancelAnimationFrame(this.flushRequest)
+  }
+
+  resetLogs = (logs = []) => {
+    cancelAnimationFrame(this.flushRequest)
+    this.flushRequest = null
+    this.pendingLogs = []
+    this.logBuffer.clear()
+    this.logBuffer.pushAll(
+      logs.slice(-this.logBuffer.capacity).map(parseLogLine)
+    )
+    this.rebuildLogs()
+  }
+
+  countLevel = (entry, delta) => {
+    const { level } = entry
+    if (level) this.levelCounts[level] = (this.levelCounts[level] || 0) + delta
+  }
+
+  // The buffer's contents were replaced, recount and refilter everything
+  rebuildLogs = () => {
+    this.levelCounts = {}
+    this.logBuffer.toArray().forEach(entry => this.countLevel(entry, 1))
+    this.bufferVersion += 1
+    this.setState(({ logVersion }) => ({ logVersion: logVersion + 1 }))
+  }
+
+  // Only the new lines, and the ones they push out, are looked at
+  appendLogs = entries => {
+    const { filters, logs: visibleLogs } = this.visibleLogsCache
+    entries.forEach(entry => {
+      const evicted = this.logBuffer.push(entry)
+      if (evicted) {
+        this.countLevel(evicted, -1)
+        if (visibleLogs && visibleLogs.get(0) === evicted) {
+          visibleLogs.shift()
+        }
+      }
+      this.countLevel(entry, 1)
+      if (
+        visibleLogs &&
+        matchesLevels(entry, filters.levels) &&
+        matchesSearch(entry, filters.pattern)
+      ) {
+        visibleLogs.push(entry)
+      }
+    })
+    this.setState(({ logVersion }) => ({ logVersion: logVersion + 1 }))
   }
 
   addNewLog = async newLog => {
-    const { logs } = this.state
-    this.setState({
-      logs: [...logs, newLog]
+    this.pendingLogs.push(newLog)
+    if (!this.flushRequest) {
+      this.flushRequest = requestAnimationFrame(this.flushLogs)
+    }
+  }
+
+  flushLogs = () => {
+    const { pendingLogs } = this
+    this.flushRequest = null
+    this.pendingLogs = []
+    this.appendLogs(pendingLogs.map(parseLogLine))
+  }
+
+  handleToggleLevel = level => {
+    const { levels } = this.state
+    const newLevels = levels.includes(level)
+      ? levels.filter(l => l !== level)
+      : LOG_LEVELS.filter(l => l === level || levels.includes(l))
+    this.setState({ levels: newLevels })
+  }
+
+  handleQueryChange = query => {
+    this.setState({ query })
+  }
+
+  handleToggleRegex = isRegex => {
+    this.setState({ isRegex })
+  }
+
+  handleToggleAutoScroll = autoScroll => {
+    this.setState({ autoScroll })
+  }
+
+  handleCapacityChange = capacity => {
+    const { dispatch } = this.props
+    dispatch(setTerminalCapacity(capacity))
+  }
+
+  handleExportFormatChange = exportFormat => {
+    this.setState({ exportFormat })
+  }
+
+  buildExport = (entries, filtered) => {
+    const { plugin, dispatch } = this.props
+    const { exportFormat } = this.state
+    const { version, flags } = dispatch(getLogExportInfo(plugin.name))
+    const date = new Date()
+    const header = buildLogHeader({
+      pluginName: plugin.name,
+      version,
+      flags,
+      date,
+      lineCount: entries.length,
+      filtered
+    })
+    return {
+      fileName: getLogFileName(plugin.name, exportFormat, date),
+      content: formatLogs(entries, header, exportFormat)
+    }
+  }
+
+  handleSaveLogs = async () => {
+    const { enqueueSnackbar } = this.props
+    const { fileName, content } = this.buildExport(
+      this.logBuffer.toArray(),
+      false
+    )
+    try {
+      const saved = await saveFile(fileName, content)
+      if (saved) {
+        const message = saved.isDownload
+          ? `Logs downloaded as ${saved.path}`
+          : `Logs saved to ${saved.path}`
+        enqueueSnackbar(message, { variant: 'success' })
+      }
+    } catch (error) {
+      enqueueSnackbar(`Could not save logs: ${error.message}`, {
+        variant: 'error'
+      })
+    }
+  }
+
+  handleCopyVisibleLogs = async () => {
+    const { enqueueSnackbar } = this.props
+    const { pattern } = this.getSearchPattern()
+    const { logs: visibleLogs } = this.getVisibleLogs(pattern)
+    const { levels } = this.state
+    const filtered = !!pattern || levels.length !== LOG_LEVELS.length
+    const { content } = this.buildExport(visibleLogs.toArray(), filtered)
+    try {
+      await copyToClipboard(content)
+      enqueueSnackbar(
+        `Copied ${visibleLogs.length} ${
+          visibleLogs.length === 1 ? 'line' : 'lines'
+        } to clipboard`,
+        { variant: 'success' }
+      )
+    } catch (error) {
+      enqueueSnackbar(`Could not copy logs: ${error.message}`, {
+        variant: 'error'
+      })
+    }
+  }
+
+  getSearchPattern = () => {
+    const { query, isRegex } = this.state
+    try {
+      return { pattern: buildSearchPattern(query, isRegex), error: null }
+    } catch (error) {
+      return { pattern: null, error: 'Invalid regular expression' }
+    }
+  }
+
+  // Filtering walks the whole buffer, so it's only redone when the filters
+  // change or the buffer is refilled. appendLogs keeps the view current.
+  getVisibleLogs = pattern => {
+    const { levels, query, isRegex } = this.state
+    const cacheKey = [this.bufferVersion, levels.join(), query, isRegex].join(
+      '|'
+    )
+    if (this.visibleLogsCache.key !== cacheKey) {
+      const filters = { levels, pattern }
+      const logs = new RingBuffer(this.logBuffer.capacity)
+      logs.pushAll(filterLogs(this.logBuffer.toArray(), filters))
+      this.visibleLogsCache = { key: cacheKey, filters, logs }
+    }
+    return {
+      logs: this.visibleLogsCache.logs,
+      levelCounts: { ...this.levelCounts }
+    }
+  }
+
+  renderLogLine = (entry, pattern) => {
+    const { classes } = this.props
+    if (!pattern) {
+      return <Ansi>{entry.raw}</Ansi>
+    }
+    return splitMatches(entry.text, pattern).map((segment, index) => {
+      if (!segment.match) {
+        return <span key={index}>{segment.text}</span>
+      }
+      return (
+        <mark key={index} className={classes.highlight}>
+          {segment.text}
+        </mark>
+      )
     })
   }
 
   clearLogs = newState => {
     if (newState === 'started') {
-      this.setState({ logs: [] })
+      this.resetLogs()
     }
   }
 
@@ -88,46 +325,70 @@ class Terminal extends Component {
     plugin.removeListener('newState', this.clearLogs)
   }
 
-  terminalScrollToBottom = () => {
-    const scrollView = this.terminalScrollViewRef.current
-    if (!scrollView) {
-      return
-    }
-    const { scrollHeight } = scrollView
-    scrollView.scrollTo({
-      top: scrollHeight,
-      behavior: 'smooth'
-    })
-  }
-
   render() {
-    const { classes, plugin } = this.props
-    const { logs } = this.state
+    const { classes, plugin, capacity } = this.props
+    const {
+      logVersion,
+      levels,
+      query,
+      isRegex,
+      autoScroll,
+      exportFormat
+    } = this.state
 
-    if (logs.length === 0) {
+    if (this.logBuffer.length === 0) {
       return <div>No logs yet.</div>
     }
 
-    const renderLogs = logs.map((l, index) => (
-      <div key={index}>
-        {' '}
-        &gt; <Ansi>{l}</Ansi>
-      </div>
-    ))
+    const { pattern, error: searchError } = this.getSearchPattern()
+    const { logs: visibleLogs, levelCounts } = this.getVisibleLogs(pattern)
 
     return (
       <div key="terminalContainer">
-        <div
+        <LogToolbar
+          levels={levels}
+          levelCounts={levelCounts}
+          query={query}
+          isRegex={isRegex}
+          searchError={searchError}
+          matchCount={visibleLogs.length}
+          autoScroll={autoScroll}
+          capacity={capacity}
+          exportFormat={exportFormat}
+          handleToggleLevel={this.handleToggleLevel}
+          handleQueryChange={this.handleQueryChange}
+          handleToggleRegex={this.handleToggleRegex}
+          handleToggleAutoScroll={this.handleToggleAutoScroll}
+          handleCapacityChange={this.handleCapacityChange}
+          handleExportFormatChange={this.handleExportFormatChange}
+          handleSaveLogs={this.handleSaveLogs}
+          handleCopyVisibleLogs={this.handleCopyVisibleLogs}
+        />
+        <VirtualLogList
           key="terminalWrapper"
-          ref={this.terminalScrollViewRef}
           className={classes.terminalWrapper}
-        >
-          {renderLogs}
-        </div>
+          rows={visibleLogs}
+          version={logVersion}
+          autoScroll={autoScroll}
+          renderRow={entry => (
+            <React.Fragment>
+              {' '}
+              &gt; {this.renderLogLine(entry, pattern)}
+            </React.Fragment>
+          )}
+        />
         <TerminalInput plugin={plugin} addNewLog={this.addNewLog} />
       </div>
     )
   }
 }
 
-export default withStyles(styles)(Terminal)
+function mapStateToProps(state) {
+  return {
+    capacity: state.plugin.terminalCapacity
+  }
+}
+
+export default connect(mapStateToProps)(
+  withSnackbar(withStyles(styles)(Terminal))
+)
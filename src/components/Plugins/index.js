@@ -4,15 +4,20 @@ import PropTypes from 'prop-types'
 import PluginConfig from './PluginConfig'
 import PluginsNav from './PluginsNav'
 import {
+  autostartPlugins,
+  cancelAutostart,
+  checkForUpdate,
   initPlugin,
   selectPlugin,
   setConfig,
+  stopSupervision,
   togglePlugin
 } from '../../store/plugin/actions'
 import {
   getPersistedPluginSelection,
   getPersistedTabSelection
 } from '../../lib/utils'
+import { UPDATE_CHECK_INTERVAL } from '../../lib/updates'
 
 import Grid from '../../API/Grid'
 
@@ -33,6 +38,19 @@ class PluginsTab extends Component {
     if (!PluginHost) return
     const plugins = PluginHost.getAllPlugins()
     this.initPlugins(plugins)
+    window.addEventListener('beforeunload', stopSupervision)
+  }
+
+  componentWillUnmount() {
+    clearInterval(this.updateCheckInterval)
+    cancelAutostart()
+    stopSupervision()
+    window.removeEventListener('beforeunload', stopSupervision)
+  }
+
+  checkForUpdates = plugins => {
+    const { dispatch } = this.props
+    plugins.forEach(plugin => dispatch(checkForUpdate(plugin)))
   }
 
   initPlugins = plugins => {
@@ -52,6 +70,14 @@ class PluginsTab extends Component {
 
     // TODO: two sources of truth - local and redux state
     this.setState({ plugins })
+
+    dispatch(autostartPlugins(plugins))
+
+    this.checkForUpdates(plugins)
+    this.updateCheckInterval = setInterval(
+      () => this.checkForUpdates(plugins),
+      UPDATE_CHECK_INTERVAL
+    )
   }
 
   isDisabled = plugin => {
@@ -77,7 +103,7 @@ class PluginsTab extends Component {
     const newConfig = { ...config }
     newConfig[key] = value
 
-    dispatch(setConfig(activePlugin, newConfig))
+    dispatch(setConfig(activePlugin, newConfig, true))
   }
 
   handleReleaseSelect = release => {
@@ -86,12 +112,23 @@ class PluginsTab extends Component {
     this.setState({ selectedPlugin, selectedRelease: release })
   }
 
-  handleToggle = plugin => {
+  handleToggle = async plugin => {
     const { pluginState, dispatch } = this.props
     // TODO: refactor to only require pluginName to toggle,
     // then function can be placed in PlguinsNavListItem.js
     // instead of needing to be passed through props.
-    dispatch(togglePlugin(plugin, pluginState[plugin.name].release))
+    const { release } = pluginState[plugin.name]
+    const result = await dispatch(togglePlugin(plugin, release))
+    if (result && result.type === 'PLUGIN:STOP:REFUSED') {
+      const { dependents } = result.payload
+      const message = `${dependents.join(', ')} depend on ${
+        plugin.displayName
+      }. Stop ${plugin.displayName} anyway?`
+      if (window.confirm(message)) {
+        return dispatch(togglePlugin(plugin, release, { force: true }))
+      }
+    }
+    return result
   }
 
   render() {
@@ -0,0 +1,28 @@
+export const DEFAULT_AUTOSTART = {
+  enabled: false,
+  // Seconds to wait after Grid opens
+  delay: 0,
+  // Profile to start with, null keeps the active one
+  profile: null
+}
+
+/**
+ * Plugins that should be started now that Grid has opened, with the
+ * delay in ms before starting each. Plugins that are already running,
+ * e.g. resumed from the last session, are left alone.
+ */
+export const getAutostartPlugins = (plugins, pluginStates) =>
+  plugins
+    .filter(plugin => {
+      const pluginState = pluginStates[plugin.name]
+      return (
+        pluginState &&
+        pluginState.autostart.enabled &&
+        !plugin.isRunning &&
+        !!pluginState.release.version
+      )
+    })
+    .map(plugin => ({
+      plugin,
+      delay: Math.max(pluginStates[plugin.name].autostart.delay || 0, 0) * 1000
+    }))
@@ -0,0 +1,50 @@
+// Upper bound of commands kept per plugin
+export const MAX_HISTORY_LENGTH = 500
+
+/**
+ * Appends a command, dropping earlier copies of it so every command
+ * appears once, at its most recent position:
+ * input: ['a', 'b', 'c'], 'a'
+ * output: ['b', 'c', 'a']
+ */
+export const addToHistory = (
+  history = [],
+  command,
+  maxLength = MAX_HISTORY_LENGTH
+) => {
+  if (!command || !command.trim()) return history
+  const newHistory = history.filter(entry => entry !== command)
+  newHistory.push(command)
+  return newHistory.slice(-maxLength)
+}
+
+/**
+ * Reverse search like bash's Ctrl+R: finds the newest entry containing
+ * query, starting at `before` (exclusive) to step to older matches.
+ * Returns the matching index or -1.
+ */
+export const searchHistory = (history, query, before = history.length) => {
+  if (!query) return -1
+  const needle = query.toLowerCase()
+  for (let index = before - 1; index >= 0; index -= 1) {
+    if (history[index].toLowerCase().includes(needle)) {
+      return index
+    }
+  }
+  return -1
+}
+
+/**
+ * Returns the newest entry that starts with, and is longer than, prefix,
+ * or null if there is none.
+ */
+export const completeFromHistory = (history, prefix) => {
+  if (!prefix) return null
+  for (let index = history.length - 1; index >= 0; index -= 1) {
+    const entry = history[index]
+    if (entry.length > prefix.length && entry.startsWith(prefix)) {
+      return entry
+    }
+  }
+  return null
+}
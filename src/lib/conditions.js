@@ -0,0 +1,287 @@
+/**
+ * Evaluates `visibleIf` / `enabledIf` expressions of the settings schema
+ * without eval. Expressions reference other setting ids:
+ *
+ *   rpc == 'on'
+ *   syncMode == 'full' || syncMode == 'archive'
+ *   syncMode in ['full', 'archive'] && !light
+ *
+ * Supported: ids, 'strings', "strings", numbers, true/false, [lists],
+ * == != < <= > >= in, ! && || and parentheses. A bare id is true when
+ * its value is set and not false/off/no/0.
+ */
+
+const FALSY_VALUES = ['', 'false', 'off', 'no', '0']
+
+const TOKEN_PATTERN = /\s*(?:(==|!=|<=|>=|&&|\|\||[()[\],!<>])|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(-?\d+(?:\.\d+)?)|([A-Za-z_$][\w$.-]*))/y
+
+const tokenize = expression => {
+  const tokens = []
+  let index = 0
+  while (index < expression.length) {
+    if (/^\s*$/.test(expression.slice(index))) break
+    TOKEN_PATTERN.lastIndex = index
+    const match = TOKEN_PATTERN.exec(expression)
+    if (!match) {
+      throw new Error(`Unexpected "${expression.slice(index).trim()}"`)
+    }
+    const [text, operator, string, number, identifier] = match
+    if (operator) tokens.push({ type: 'op', value: operator })
+    else if (string) {
+      tokens.push({
+        type: 'literal',
+        value: string.slice(1, -1).replace(/\\(.)/g, '$1')
+      })
+    } else if (number) tokens.push({ type: 'literal', value: Number(number) })
+    else if (identifier === 'true' || identifier === 'false') {
+      tokens.push({ type: 'literal', value: identifier === 'true' })
+    } else if (identifier === 'in') tokens.push({ type: 'op', value: 'in' })
+    else tokens.push({ type: 'id', value: identifier })
+    index += text.length
+  }
+  return tokens
+}
+
+// Recursive descent parser producing a small AST
+const parse = expression => {
+  const tokens = tokenize(expression)
+  let position = 0
+
+  const peek = () => tokens[position]
+  const isOp = value => {
+    const token = peek()
+    return !!token && token.type === 'op' && token.value === value
+  }
+  const expect = value => {
+    if (!isOp(value)) throw new Error(`Expected "${value}"`)
+    position += 1
+  }
+
+  let parseOr
+
+  const parsePrimary = () => {
+    const token = peek()
+    if (!token) throw new Error('Unexpected end of expression')
+    if (isOp('(')) {
+      position += 1
+      const node = parseOr()
+      expect(')')
+      return node
+    }
+    if (isOp('[')) {
+      position += 1
+      const items = []
+      while (!isOp(']')) {
+        items.push(parsePrimary())
+        if (!isOp(']')) expect(',')
+      }
+      position += 1
+      return { type: 'list', items }
+    }
+    if (token.type === 'literal' || token.type === 'id') {
+      position += 1
+      return token
+    }
+    throw new Error(`Unexpected "${token.value}"`)
+  }
+
+  const parseUnary = () => {
+    if (isOp('!')) {
+      position += 1
+      return { type: 'not', operand: parseUnary() }
+    }
+    return parsePrimary()
+  }
+
+  const parseComparison = () => {
+    const left = parseUnary()
+    const token = peek()
+    if (
+      token &&
+      token.type === 'op' &&
+      ['==', '!=', '<', '<=', '>', '>=', 'in'].includes(token.value)
+    ) {
+      position += 1
+      return {
+        type: 'compare',
+        operator: token.value,
+        left,
+        right: parseUnary()
+      }
+    }
+    return left
+  }
+
+  const parseAnd = () => {
+    let node = parseComparison()
+    while (isOp('&&')) {
+      position += 1
+      node = { type: 'and', left: node, right: parseComparison() }
+    }
+    return node
+  }
+
+  parseOr = () => {
+    let node = parseAnd()
+    while (isOp('||')) {
+      position += 1
+      node = { type: 'or', left: node, right: parseAnd() }
+    }
+    return node
+  }
+
+  const ast = parseOr()
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}"`)
+  }
+  return ast
+}
+
+const isTruthy = value => {
+  if (value === undefined || value === null || value === false) return false
+  return !FALSY_VALUES.includes(String(value).toLowerCase())
+}
+
+// Setting values are mostly strings, so compare '8545' and 8545 as equal
+const looseEquals = (a, b) => {
+  if (a === undefined || a === null || b === undefined || b === null) {
+    return a === b
+  }
+  return String(a) === String(b)
+}
+
+const evaluateNode = (node, values) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value
+    case 'id':
+      return values[node.value]
+    case 'list':
+      return node.items.map(item => evaluateNode(item, values))
+    case 'not':
+      return !isTruthy(evaluateNode(node.operand, values))
+    case 'and':
+      return (
+        isTruthy(evaluateNode(node.left, values)) &&
+        isTruthy(evaluateNode(node.right, values))
+      )
+    case 'or':
+      return (
+        isTruthy(evaluateNode(node.left, values)) ||
+        isTruthy(evaluateNode(node.right, values))
+      )
+    case 'compare': {
+      const left = evaluateNode(node.left, values)
+      const right = evaluateNode(node.right, values)
+      switch (node.operator) {
+        case '==':
+          return looseEquals(left, right)
+        case '!=':
+          return !looseEquals(left, right)
+        case 'in':
+          return Array.isArray(right) && right.some(v => looseEquals(left, v))
+        case '<':
+          return Number(left) < Number(right)
+        case '<=':
+          return Number(left) <= Number(right)
+        case '>':
+          return Number(left) > Number(right)
+        default:
+          return Number(left) >= Number(right)
+      }
+    }
+    default:
+      throw new Error(`Unknown node ${node.type}`)
+  }
+}
+
+const parsedExpressions = {}
+
+const CONDITION_KEYS = ['visibleIf', 'enabledIf']
+
+/**
+ * Evaluates an expression against setting values. Throws on syntax errors.
+ * Empty expressions are true.
+ */
+export const evaluateCondition = (expression, values = {}) => {
+  if (!expression) return true
+  if (!parsedExpressions[expression]) {
+    parsedExpressions[expression] = parse(expression)
+  }
+  return isTruthy(evaluateNode(parsedExpressions[expression], values))
+}
+
+// A broken expression in a plugin's schema shouldn't hide its settings,
+// getConditionErrors reports it instead
+const safeEvaluate = (expression, values) => {
+  try {
+    return evaluateCondition(expression, values)
+  } catch (e) {
+    return true
+  }
+}
+
+/**
+ * Conditions in a plugin's settings that can't be parsed.
+ * output: [{ id: 'rpcApi', message: 'Invalid visibleIf of rpcApi ...' }]
+ */
+export const getConditionErrors = settings => {
+  const errors = []
+  settings.forEach(setting => {
+    CONDITION_KEYS.forEach(key => {
+      try {
+        evaluateCondition(setting[key])
+      } catch (e) {
+        errors.push({
+          id: setting.id,
+          message: `Invalid ${key} of ${setting.label || setting.id}: ${
+            e.message
+          }`
+        })
+      }
+    })
+  })
+  return errors
+}
+
+/**
+ * Returns the ids of settings whose visibleIf and enabledIf hold.
+ * Inactive settings count as unset for the others, so a setting that
+ * depends on a hidden one is inactive as well.
+ */
+export const getActiveSettingIds = (config, settings) => {
+  let activeIds = settings.map(setting => setting.id)
+  // Usually settles after a pass or two. The bound guards against
+  // negated conditions flipping each other back and forth
+  for (let pass = 0; pass <= settings.length; pass += 1) {
+    const values = {}
+    activeIds.forEach(id => {
+      values[id] = config[id]
+    })
+    const nextActiveIds = settings
+      .filter(
+        setting =>
+          safeEvaluate(setting.visibleIf, values) &&
+          safeEvaluate(setting.enabledIf, values)
+      )
+      .map(setting => setting.id)
+    if (nextActiveIds.join() === activeIds.join()) break
+    activeIds = nextActiveIds
+  }
+  return activeIds
+}
+
+/**
+ * Whether a single setting is shown and editable in the form,
+ * given the currently active settings.
+ */
+export const getSettingState = (setting, config, activeIds) => {
+  const values = {}
+  activeIds.forEach(id => {
+    values[id] = config[id]
+  })
+  return {
+    isVisible: safeEvaluate(setting.visibleIf, values),
+    isEnabled: safeEvaluate(setting.enabledIf, values)
+  }
+}
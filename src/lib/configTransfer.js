@@ -0,0 +1,205 @@
+import isEqual from 'lodash/isEqual'
+
+// Identifies exported plugin configs and their schema version
+export const CONFIG_EXPORT_FORMAT = 'grid-plugin-config'
+export const CONFIG_EXPORT_VERSION = 1
+
+/**
+ * Builds the document written by "Export config". Only the release
+ * version and file name are pinned, local paths don't travel.
+ */
+export const buildConfigExport = ({
+  pluginName,
+  config = {},
+  flags = [],
+  release,
+  date = new Date()
+}) => {
+  return {
+    format: CONFIG_EXPORT_FORMAT,
+    version: CONFIG_EXPORT_VERSION,
+    plugin: pluginName,
+    exportedAt: date.toISOString(),
+    config,
+    flags,
+    release:
+      release && release.version
+        ? { version: release.version, fileName: release.fileName || null }
+        : null
+  }
+}
+
+const isPlainObject = value => {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+}
+
+const isSettingValue = value => {
+  return ['string', 'number', 'boolean'].includes(typeof value)
+}
+
+const isPair = value => {
+  return (
+    isPlainObject(value) &&
+    typeof value.key === 'string' &&
+    ['string', 'number'].includes(typeof value.value)
+  )
+}
+
+const validateListValue = (setting, value) => {
+  if (setting.type === 'keyvalue') {
+    return Array.isArray(value) && value.every(isPair)
+      ? null
+      : `Setting "${setting.id}" must be a list of { key, value } pairs`
+  }
+  if (!Array.isArray(value) || !value.every(isSettingValue)) {
+    return `Setting "${setting.id}" must be a list of values`
+  }
+  return null
+}
+
+const validateSettingValue = (setting, value) => {
+  if (setting.type === 'boolean' && typeof value !== 'boolean') {
+    return `Setting "${setting.id}" must be true or false`
+  }
+  if (['multiselect', 'keyvalue'].includes(setting.type)) {
+    const error = validateListValue(setting, value)
+    if (error) return error
+  } else if (!isSettingValue(value)) {
+    return `Setting "${setting.id}" must be a string, number or boolean`
+  }
+  if (Array.isArray(setting.options)) {
+    const values = setting.options.map(option =>
+      isPlainObject(option) ? option.value : option
+    )
+    const selected = Array.isArray(value) ? value : [value]
+    if (!selected.every(v => values.includes(v))) {
+      return `Setting "${setting.id}" must be one of: ${values.join(', ')}`
+    }
+  }
+  return null
+}
+
+/**
+ * Validates an imported document against the plugin's settings schema.
+ * settingsIds are the ids getSettingsIds returns, settings the full
+ * definitions used to check option values.
+ * Returns a list of error messages, empty if the document is valid.
+ */
+export const validateConfigImport = (
+  doc,
+  { pluginName, settingsIds = [], settings = [] }
+) => {
+  if (!isPlainObject(doc) || doc.format !== CONFIG_EXPORT_FORMAT) {
+    return ['Not a plugin config export']
+  }
+  const errors = []
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    errors.push('Missing or invalid format version')
+  } else if (doc.version > CONFIG_EXPORT_VERSION) {
+    errors.push(
+      `Format version ${
+        doc.version
+      } is newer than supported (${CONFIG_EXPORT_VERSION})`
+    )
+  }
+  if (doc.plugin !== pluginName) {
+    errors.push(`Config is for "${doc.plugin}", not "${pluginName}"`)
+  }
+  if (!isPlainObject(doc.config)) {
+    errors.push('"config" must be an object')
+  } else {
+    Object.keys(doc.config).forEach(id => {
+      if (!settingsIds.includes(id)) {
+        errors.push(`Unknown setting "${id}"`)
+        return
+      }
+      const setting = settings.find(s => s.id === id) || { id }
+      const error = validateSettingValue(setting, doc.config[id])
+      if (error) errors.push(error)
+    })
+  }
+  if (
+    doc.flags !== undefined &&
+    (!Array.isArray(doc.flags) || !doc.flags.every(f => typeof f === 'string'))
+  ) {
+    errors.push('"flags" must be a list of strings')
+  }
+  if (
+    doc.release !== null &&
+    doc.release !== undefined &&
+    (!isPlainObject(doc.release) || typeof doc.release.version !== 'string')
+  ) {
+    errors.push('"release" must have a version')
+  }
+  return errors
+}
+
+/**
+ * Parses and validates the text of an exported config.
+ * Throws an Error listing every problem found.
+ */
+export const parseConfigImport = (text, options) => {
+  let doc
+  try {
+    doc = JSON.parse(text)
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`)
+  }
+  const errors = validateConfigImport(doc, options)
+  if (errors.length) {
+    const error = new Error(errors.join('\n'))
+    error.errors = errors
+    throw error
+  }
+  return {
+    config: doc.config,
+    flags: doc.flags || null,
+    release: doc.release || null
+  }
+}
+
+const formatValue = value => {
+  if (Array.isArray(value)) {
+    if (!value.length) return '(empty)'
+    return value
+      .map(item => (isPlainObject(item) ? `${item.key}=${item.value}` : item))
+      .join(', ')
+  }
+  if (value === undefined || value === '') return '(empty)'
+  return String(value)
+}
+
+/**
+ * Lists what applying an import changes:
+ * output: [{ label: 'syncMode', from: 'fast', to: 'light' }, ...]
+ */
+export const diffConfigImport = (current, imported) => {
+  const changes = []
+  const ids = Object.keys({ ...current.config, ...imported.config })
+  ids.forEach(id => {
+    const from = current.config[id]
+    const to = imported.config[id]
+    if (!isEqual(from, to)) {
+      changes.push({ label: id, from: formatValue(from), to: formatValue(to) })
+    }
+  })
+  if (imported.flags) {
+    const from = current.flags.join(' ')
+    const to = imported.flags.join(' ')
+    if (from !== to) {
+      changes.push({
+        label: 'flags',
+        from: formatValue(from),
+        to: formatValue(to)
+      })
+    }
+  }
+  if (imported.release) {
+    const from = current.release ? current.release.version : undefined
+    const to = imported.release.version
+    if (from !== to) {
+      changes.push({ label: 'release', from: formatValue(from), to })
+    }
+  }
+  return changes
+}
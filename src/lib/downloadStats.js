@@ -0,0 +1,83 @@
+// Speed is averaged over the samples of the last few seconds
+export const SPEED_WINDOW = 5000
+
+/**
+ * Adds a { time, progress } sample, dropping samples outside the window
+ * but always keeping one older sample to measure against.
+ */
+export const appendProgressSample = (samples, time, progress) => {
+  const recent = [...samples, { time, progress }]
+  const firstInWindow = recent.findIndex(s => time - s.time <= SPEED_WINDOW)
+  return recent.slice(Math.max(firstInWindow - 1, 0))
+}
+
+/**
+ * Speed and ETA from progress samples in percent.
+ * Speed is in bytes per second if the total size is known, null otherwise.
+ * ETA is in seconds, null until there is enough data.
+ */
+export const getDownloadStats = (samples, totalBytes) => {
+  const stats = { speed: null, eta: null }
+  if (samples.length < 2) return stats
+  const first = samples[0]
+  const last = samples[samples.length - 1]
+  const elapsed = (last.time - first.time) / 1000
+  if (elapsed <= 0) return stats
+  const percentPerSecond = (last.progress - first.progress) / elapsed
+  if (percentPerSecond <= 0) return stats
+  if (totalBytes > 0) {
+    stats.speed = Math.round((percentPerSecond / 100) * totalBytes)
+  }
+  stats.eta = Math.ceil((100 - last.progress) / percentPerSecond)
+  return stats
+}
+
+const UNITS = ['B', 'KB', 'MB', 'GB']
+
+// 1536 -> '1.5 KB'
+export const formatBytes = bytes => {
+  let value = bytes
+  let unit = 0
+  while (value >= 1024 && unit < UNITS.length - 1) {
+    value /= 1024
+    unit += 1
+  }
+  return `${unit ? value.toFixed(1) : value} ${UNITS[unit]}`
+}
+
+// 95 -> '1m 35s'
+export const formatEta = seconds => {
+  if (seconds < 60) return `${seconds}s`
+  const minutes = Math.floor(seconds / 60)
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
+
+/**
+ * One line summary of a download, e.g. '42% - 1.5 MB/s - 1m 35s left'
+ */
+export const describeDownload = download => {
+  const { status, progress, extractionProgress, speed, eta, error } = download
+  switch (status) {
+    case 'queued':
+      return 'Queued'
+    case 'extracting':
+      return `Extracting ${extractionProgress}%`
+    case 'interrupted':
+      return `Interrupted at ${progress}%`
+    case 'cancelled':
+      return 'Cancelled'
+    case 'error':
+      return `Failed: ${error}`
+    case 'done':
+      return 'Downloaded'
+    default: {
+      const parts = [`${progress}%`]
+      if (speed) parts.push(`${formatBytes(speed)}/s`)
+      if (eta !== null && eta !== undefined) {
+        parts.push(`${formatEta(eta)} left`)
+      }
+      return parts.join(' - ')
+    }
+  }
+}
@@ -0,0 +1,34 @@
+// Names the OS accepts for environment variables, e.g. JAVA_OPTS
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+/**
+ * Checks the environment variables edited per plugin.
+ * input: [{ key: 'JAVA_OPTS', value: '-Xmx4g' }]
+ * output: list of error messages, empty if valid
+ */
+export const validateEnvironment = variables => {
+  const errors = []
+  const names = []
+  variables.forEach(({ key }) => {
+    if (!key) return
+    if (!VARIABLE_NAME_PATTERN.test(key)) {
+      errors.push(`Environment variable "${key}" has an invalid name`)
+    } else if (names.includes(key)) {
+      errors.push(`Environment variable "${key}" is set more than once`)
+    }
+    names.push(key)
+  })
+  return errors
+}
+
+/**
+ * Converts edited variables to the object handed to the process,
+ * skipping rows without a name.
+ * output: { JAVA_OPTS: '-Xmx4g' }
+ */
+export const toEnvironmentObject = variables => {
+  return variables.reduce((env, { key, value }) => {
+    if (key) env[key] = value || '' // eslint-disable-line no-param-reassign
+    return env
+  }, {})
+}
@@ -0,0 +1,241 @@
+/**
+ * Checks the final flag array of a plugin before it is started.
+ * Plugins can describe their flags in an optional manifest catalog:
+ *
+ * flagCatalog: {
+ *   flags: ['--datadir', '--rpc', ...],   // every flag the client accepts
+ *   exclusive: [['--light', '--fast']],   // flags that can't be combined
+ *   repeatable: ['--bootnodes']           // flags that may appear repeatedly
+ * }
+ *
+ * Findings: [{ rule, severity, flag, message }], severity is one of
+ * 'error', 'warning' or 'info'.
+ */
+
+import { getReferences } from './interpolation'
+
+export const SEVERITIES = ['error', 'warning', 'info']
+
+// Network selection flags shared by most Ethereum clients
+const DEFAULT_EXCLUSIVE = [
+  ['--mainnet', '--testnet', '--ropsten', '--rinkeby', '--goerli', '--kovan']
+]
+
+const HTTP_ADDRESS_FLAGS = ['--rpcaddr', '--http.addr', '--jsonrpc-interface']
+const WS_ADDRESS_FLAGS = ['--wsaddr', '--ws.addr', '--ws-interface']
+const HTTP_API_FLAGS = ['--rpcapi', '--http.api', '--jsonrpc-apis']
+const WS_API_FLAGS = ['--wsapi', '--ws.api', '--ws-apis']
+const CORS_FLAGS = [
+  '--rpccorsdomain',
+  '--http.corsdomain',
+  '--wsorigins',
+  '--ws.origins',
+  '--jsonrpc-cors',
+  '--ws-origins'
+]
+const VHOSTS_FLAGS = ['--rpcvhosts', '--http.vhosts', '--jsonrpc-hosts']
+
+const PUBLIC_ADDRESSES = ['0.0.0.0', '::', 'all']
+const WILDCARDS = ['*', 'all']
+
+/**
+ * Groups flags with their values:
+ * ['--rpcport', '8545', '--rpc', '--cache=512']
+ * -> [{ name: '--rpcport', value: '8545' }, { name: '--rpc', value: null },
+ *     { name: '--cache', value: '512' }]
+ */
+export const groupFlags = flags => {
+  const groups = []
+  flags.forEach(flag => {
+    if (!flag) return
+    if (flag.startsWith('-')) {
+      const [name, ...rest] = flag.split('=')
+      groups.push({ name, value: rest.length ? rest.join('=') : null })
+      return
+    }
+    const last = groups[groups.length - 1]
+    if (last && last.value === null) {
+      last.value = flag
+    } else {
+      // A value without a flag, e.g. a positional argument
+      groups.push({ name: flag, value: null })
+    }
+  })
+  return groups
+}
+
+const splitList = value => {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean)
+}
+
+const findLast = (groups, names) => {
+  const matches = groups.filter(group => names.includes(group.name))
+  return matches[matches.length - 1]
+}
+
+const lintDuplicates = (groups, repeatable) => {
+  const counts = {}
+  groups.forEach(({ name }) => {
+    if (!name.startsWith('-') || repeatable.includes(name)) return
+    counts[name] = (counts[name] || 0) + 1
+  })
+  return Object.keys(counts)
+    .filter(name => counts[name] > 1)
+    .map(name => {
+      const times = counts[name]
+      return {
+        rule: 'duplicate',
+        severity: 'warning',
+        flag: name,
+        message: `${name} is set ${times} times. Most clients only use the last value.`
+      }
+    })
+}
+
+const lintExclusive = (groups, exclusive) => {
+  const names = groups.map(group => group.name)
+  const findings = []
+  exclusive.forEach(set => {
+    const present = set.filter(name => names.includes(name))
+    if (present.length > 1) {
+      const list = present.join(', ')
+      findings.push({
+        rule: 'exclusive',
+        severity: 'error',
+        flag: present.join(' '),
+        message: `${list} can't be combined. The client may refuse to start or pick one silently.`
+      })
+    }
+  })
+  return findings
+}
+
+const lintUnknown = (groups, knownFlags) => {
+  const reported = []
+  return groups
+    .filter(({ name }) => name.startsWith('-') && !knownFlags.includes(name))
+    .filter(({ name }) => {
+      if (reported.includes(name)) return false
+      reported.push(name)
+      return true
+    })
+    .map(({ name }) => ({
+      rule: 'unknown',
+      severity: 'warning',
+      flag: name,
+      message: `${name} is not a known flag of this client. Check for typos or flags removed in this release.`
+    }))
+}
+
+// ${name} references generateFlags couldn't resolve
+const lintUnresolved = flags => {
+  const names = []
+  flags.forEach(flag => {
+    getReferences(flag).forEach(name => {
+      if (!names.includes(name)) names.push(name)
+    })
+  })
+  return names.map(name => ({
+    rule: 'unresolved',
+    severity: 'error',
+    flag: `\${${name}}`,
+    message: `\${${name}} is not a setting or built-in variable, or its value is empty.`
+  }))
+}
+
+// Checks one interface (HTTP or WebSocket) for risky exposure
+const lintInterface = (groups, label, addressFlags, apiFlags) => {
+  const findings = []
+  const address = findLast(groups, addressFlags)
+  if (!address || !PUBLIC_ADDRESSES.includes(address.value)) return findings
+
+  const api = findLast(groups, apiFlags)
+  const apis = splitList(api && api.value)
+  if (apis.includes('personal')) {
+    findings.push({
+      rule: 'exposure',
+      severity: 'error',
+      flag: `${address.name} ${address.value}`,
+      message: `${label} RPC listens on all interfaces with the "personal" API enabled. Anyone who can reach this machine can try to unlock and use its accounts.`
+    })
+  } else {
+    findings.push({
+      rule: 'exposure',
+      severity: 'warning',
+      flag: `${address.name} ${address.value}`,
+      message: `${label} RPC listens on all interfaces and is reachable from other machines.`
+    })
+  }
+  return findings
+}
+
+const lintExposure = groups => {
+  const findings = [
+    ...lintInterface(groups, 'HTTP', HTTP_ADDRESS_FLAGS, HTTP_API_FLAGS),
+    ...lintInterface(groups, 'WebSocket', WS_ADDRESS_FLAGS, WS_API_FLAGS)
+  ]
+
+  groups
+    .filter(({ name }) => CORS_FLAGS.includes(name))
+    .filter(({ value }) => splitList(value).some(v => WILDCARDS.includes(v)))
+    .forEach(({ name, value }) => {
+      findings.push({
+        rule: 'exposure',
+        severity: 'warning',
+        flag: `${name} ${value}`,
+        message: `${name} allows requests from any website. Any page open in a browser can call this node.`
+      })
+    })
+
+  groups
+    .filter(({ name }) => VHOSTS_FLAGS.includes(name))
+    .filter(({ value }) => splitList(value).some(v => WILDCARDS.includes(v)))
+    .forEach(({ name, value }) => {
+      findings.push({
+        rule: 'exposure',
+        severity: 'info',
+        flag: `${name} ${value}`,
+        message: `${name} accepts any host name, which disables protection against DNS rebinding.`
+      })
+    })
+
+  return findings
+}
+
+/**
+ * Lints a flag array. options.catalog is the plugin's flagCatalog,
+ * options.knownFlags and options.repeatableFlags add what the plugin's
+ * settings generate. Unknown flags are only reported if the plugin has
+ * a catalog. Findings are sorted by severity.
+ */
+export const lintFlags = (flags, options = {}) => {
+  const { catalog, knownFlags = [], repeatableFlags = [] } = options
+  const groups = groupFlags(flags)
+  const repeatable = [
+    ...((catalog && catalog.repeatable) || []),
+    ...repeatableFlags
+  ]
+  const exclusive = [
+    ...DEFAULT_EXCLUSIVE,
+    ...((catalog && catalog.exclusive) || [])
+  ]
+
+  let findings = [
+    ...lintUnresolved(flags),
+    ...lintExclusive(groups, exclusive),
+    ...lintDuplicates(groups, repeatable),
+    ...lintExposure(groups)
+  ]
+  if (catalog && Array.isArray(catalog.flags)) {
+    findings = findings.concat(
+      lintUnknown(groups, [...catalog.flags, ...knownFlags])
+    )
+  }
+
+  return findings.sort(
+    (a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+  )
+}
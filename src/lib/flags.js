@@ -1,3 +1,6 @@
+import { getActiveSettingIds } from './conditions'
+import { interpolate } from './interpolation'
+
 /**
  * This method:
  * 1) returns nothing if ignoreIfEmpty && value === ''
@@ -13,18 +16,113 @@ const parseFlag = (pattern, value, ignoreIfEmpty) => {
   return result
 }
 
-export const generateFlags = (userConfig, nodeSettings) => {
+const isChecked = value => value === true || value === 'true'
+
+// Multi-selects join their values into one flag, key/value lists repeat it
+const isRepeatedFlag = setting => {
+  if ('repeatFlag' in setting) return !!setting.repeatFlag
+  return setting.type === 'keyvalue'
+}
+
+const getListSeparator = setting => setting.separator || ','
+
+const getPairSeparator = setting => setting.pairSeparator || '='
+
+/**
+ * Values of multiselect and keyvalue settings as flag values:
+ * ['eth', 'net'] or [{ key: 'a', value: '1' }] -> ['a=1']
+ */
+const getListValues = (setting, value) => {
+  let items = value
+  if (!Array.isArray(items)) {
+    // e.g. a plain string default: 'eth,net'
+    items = value ? String(value).split(getListSeparator(setting)) : []
+  }
+  if (setting.type === 'keyvalue') {
+    return items
+      .filter(pair => pair && pair.key)
+      .map(pair => `${pair.key}${getPairSeparator(setting)}${pair.value || ''}`)
+  }
+  return items.filter(item => item !== '' && item !== undefined)
+}
+
+/**
+ * Flag rules per setting type:
+ * boolean: emits `flag` only when checked, e.g. '--rpc'
+ * multiselect: '--http.api %s' -> ['--http.api', 'eth,net'], joined by
+ *   `separator` (default ','), or one flag per value with `repeatFlag`
+ * keyvalue: '--label %s' -> ['--label', 'a=1', '--label', 'b=2'], pairs
+ *   joined by `pairSeparator` (default '='), or a single flag when
+ *   `repeatFlag` is false
+ */
+const generateTypedFlags = (setting, value) => {
+  if (!setting.flag) {
+    throw new Error(`Config entry "${setting.id}" must have the "flag" key`)
+  }
+  if (setting.type === 'boolean') {
+    return isChecked(value) ? setting.flag.split(' ') : []
+  }
+  const values = getListValues(setting, value)
+  if (!values.length) return []
+  if (isRepeatedFlag(setting)) {
+    return values.reduce(
+      (flags, item) => flags.concat(parseFlag(setting.flag, item)),
+      []
+    )
+  }
+  return parseFlag(setting.flag, values.join(getListSeparator(setting)))
+}
+
+const TYPED_SETTINGS = ['boolean', 'multiselect', 'keyvalue']
+
+/**
+ * Variables ${name} references resolve to: the built-ins (see
+ * interpolation.js) and the values of active settings.
+ */
+export const getFlagVariables = (userConfig, nodeSettings, builtins = {}) => {
+  const variables = { ...builtins }
+  getActiveSettingIds(userConfig, nodeSettings).forEach(id => {
+    if (id in userConfig) variables[id] = userConfig[id]
+  })
+  return variables
+}
+
+// Generates flags and collects the ${name} references they couldn't resolve
+const buildFlags = (userConfig, nodeSettings, builtins) => {
   if (!Array.isArray(nodeSettings))
     throw new Error('Settings must be an Array instance')
 
-  const userConfigEntries = Object.keys(userConfig)
+  // Settings hidden or disabled by visibleIf / enabledIf generate no flags
+  const activeIds = getActiveSettingIds(userConfig, nodeSettings)
+  const variables = getFlagVariables(userConfig, nodeSettings, builtins)
+  const userConfigEntries = Object.keys(userConfig).filter(
+    entry =>
+      activeIds.includes(entry) ||
+      !nodeSettings.some(setting => setting.id === entry)
+  )
   let flags = []
+  const unresolved = []
+
+  const addFlags = (entry, entryFlags) => {
+    entryFlags.forEach(flag => {
+      const interpolated = interpolate(flag, variables)
+      interpolated.unresolved.forEach(name => {
+        unresolved.push({ id: entry, name })
+      })
+      flags.push(interpolated.value)
+    })
+  }
 
   userConfigEntries.forEach(entry => {
     let pattern
     let configEntry = nodeSettings.find(setting => setting.id === entry)
     let flagString = configEntry.flag
 
+    if (TYPED_SETTINGS.includes(configEntry.type)) {
+      addFlags(entry, generateTypedFlags(configEntry, userConfig[entry]))
+      return
+    }
+
     if (flagString) {
       pattern = flagString
     } else if (configEntry.options) {
@@ -49,8 +147,214 @@ export const generateFlags = (userConfig, nodeSettings) => {
       userConfig[entry],
       configEntry.ignoreIfEmpty
     )
-    flags = flags.concat(parsedFlag)
+    addFlags(entry, [].concat(parsedFlag))
+  })
+
+  flags = flags.filter(flag => flag.length > 0)
+  return { flags, unresolved }
+}
+
+/**
+ * Generates the flags of a config. Patterns and values may reference
+ * other settings and built-in variables, e.g. '--ipcpath ${dataDir}/geth.ipc'.
+ * builtins: { platform, home, pluginName, network }, platform and home
+ * are missing when the host doesn't expose them
+ */
+export const generateFlags = (userConfig, nodeSettings, builtins = {}) => {
+  return buildFlags(userConfig, nodeSettings, builtins).flags
+}
+
+/**
+ * References generated flags couldn't resolve, because the variable is
+ * unknown, empty or belongs to an inactive setting.
+ * output: [{ id: 'ipcPath', name: 'dataDir' }]
+ */
+export const getUnresolvedReferences = (
+  userConfig,
+  nodeSettings,
+  builtins = {}
+) => {
+  return buildFlags(userConfig, nodeSettings, builtins).unresolved
+}
+
+/**
+ * Names of the flags settings can generate, and those generated once per
+ * value: { flags: ['--datadir', '--syncmode'], repeatable: ['--label'] }
+ */
+export const getSettingFlagNames = settings => {
+  const flags = []
+  const repeatable = []
+  const addNames = (pattern, isRepeated) => {
+    pattern
+      .split(' ')
+      .filter(token => token.startsWith('-'))
+      .map(token => token.split('=')[0])
+      .forEach(name => {
+        if (!flags.includes(name)) flags.push(name)
+        if (isRepeated && !repeatable.includes(name)) repeatable.push(name)
+      })
+  }
+  settings.forEach(setting => {
+    if (setting.flag) {
+      const isList = ['multiselect', 'keyvalue'].includes(setting.type)
+      addNames(setting.flag, isList && isRepeatedFlag(setting))
+    } else if (Array.isArray(setting.options)) {
+      setting.options
+        .filter(option => typeof option === 'object' && option.flag)
+        .forEach(option => addNames(option.flag, false))
+    }
+  })
+  return { flags, repeatable }
+}
+
+const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Lists every flag pattern a setting can generate:
+ * { id, tokens, value } where value is fixed for full options
+ * and null if it is captured from the %s placeholder.
+ */
+const getFlagPatterns = (settings, variables) => {
+  const patterns = []
+  const toTokens = flag => {
+    return flag.split(' ').map(token => interpolate(token, variables).value)
+  }
+  settings.forEach(setting => {
+    if (setting.flag) {
+      patterns.push({ setting, tokens: toTokens(setting.flag), value: null })
+    } else if (Array.isArray(setting.options)) {
+      setting.options.forEach(option => {
+        if (typeof option === 'object' && option.flag) {
+          patterns.push({
+            setting,
+            tokens: toTokens(option.flag),
+            value: option.value
+          })
+        }
+      })
+    }
+  })
+  // Try the most specific patterns first, e.g. "--syncmode %s --maxpeers=100"
+  // before "--syncmode %s"
+  return patterns.sort((a, b) => b.tokens.length - a.tokens.length)
+}
+
+// Returns the value matched by the pattern at flags[index], or undefined
+const matchPattern = (pattern, flags, index) => {
+  let captured = null
+  for (let k = 0; k < pattern.tokens.length; k += 1) {
+    const token = pattern.tokens[k]
+    const flag = flags[index + k]
+    if (flag === undefined) return undefined
+    if (token.includes('%s')) {
+      const [prefix, suffix] = token.split('%s').map(escapeRegExp)
+      const match = flag.match(new RegExp(`^${prefix}(.*)${suffix}$`))
+      if (!match) return undefined
+      captured = match[1]
+    } else if (token !== flag) {
+      return undefined
+    }
+  }
+  if (pattern.value !== null) {
+    // Full options substitute their own value into %s
+    if (captured !== null && captured !== String(pattern.value)) {
+      return undefined
+    }
+    return pattern.value
+  }
+  return captured
+}
+
+/**
+ * Converts a value matched by a setting's flag to the setting's value.
+ * Repeated list flags add to what earlier flags matched (previous).
+ */
+const toSettingValue = (setting, value, previous) => {
+  switch (setting.type) {
+    case 'boolean':
+      return true
+    case 'multiselect':
+    case 'keyvalue': {
+      const items = isRepeatedFlag(setting)
+        ? [value]
+        : value.split(getListSeparator(setting))
+      const parsed =
+        setting.type === 'keyvalue'
+          ? items.map(item => {
+              const separator = getPairSeparator(setting)
+              const [key, ...rest] = item.split(separator)
+              return { key, value: rest.join(separator) }
+            })
+          : items
+      return (previous || []).concat(parsed)
+    }
+    default:
+      // Flags without a placeholder only tell us the setting is on
+      return value === null ? setting.default || 'true' : value
+  }
+}
+
+/**
+ * The reverse of generateFlags: maps flags back to setting values.
+ * input: ['--syncmode', 'light', '--foo', 'bar'],
+ *        [{ id: 'syncmode', flag: '--syncmode %s' }]
+ * output: { config: { syncmode: 'light' }, unrecognized: [['--foo', 'bar']] }
+ * Settings whose flags are absent get the value that generates no flag,
+ * if there is one. Unrecognized flags are grouped with their values.
+ * Patterns with ${name} references are matched as resolved by variables,
+ * see getFlagVariables.
+ */
+export const parseFlags = (flags, settings, variables = {}) => {
+  if (!Array.isArray(settings))
+    throw new Error('Settings must be an Array instance')
+
+  const patterns = getFlagPatterns(settings, variables)
+  const config = {}
+  const unrecognized = []
+  let index = 0
+
+  while (index < flags.length) {
+    let matched = false
+    for (let p = 0; p < patterns.length; p += 1) {
+      const pattern = patterns[p]
+      const value = matchPattern(pattern, flags, index)
+      if (value !== undefined) {
+        const { setting } = pattern
+        config[setting.id] = toSettingValue(setting, value, config[setting.id])
+        index += pattern.tokens.length
+        matched = true
+        break
+      }
+    }
+    if (!matched) {
+      const flag = flags[index]
+      const lastGroup = unrecognized[unrecognized.length - 1]
+      const isValue = !flag.startsWith('-') && index > 0
+      if (isValue && lastGroup && lastGroup.end === index) {
+        lastGroup.tokens.push(flag)
+        lastGroup.end = index + 1
+      } else if (flag !== '') {
+        unrecognized.push({ tokens: [flag], end: index + 1 })
+      }
+      index += 1
+    }
+  }
+
+  settings.forEach(setting => {
+    if (setting.id in config) return
+    if (setting.type === 'boolean') {
+      config[setting.id] = false
+    } else if (TYPED_SETTINGS.includes(setting.type)) {
+      config[setting.id] = []
+    } else if (setting.flag) {
+      if (setting.ignoreIfEmpty) config[setting.id] = ''
+    } else if (Array.isArray(setting.options)) {
+      const noFlagOption = setting.options.find(
+        option => typeof option === 'object' && option.flag === ''
+      )
+      if (noFlagOption) config[setting.id] = noFlagOption.value
+    }
   })
 
-  return flags.filter(flag => flag.length > 0)
+  return { config, unrecognized: unrecognized.map(group => group.tokens) }
 }
@@ -0,0 +1,54 @@
+/**
+ * Resolves `${name}` references in flag patterns and setting values,
+ * e.g. '--ipcpath ${dataDir}/geth.ipc'. Names are setting ids or one of
+ * the built-in variables, settings win if both exist:
+ *
+ * platform: 'darwin', 'linux' or 'win32'
+ * home: the user's home directory
+ * pluginName: e.g. 'geth'
+ * network: the plugin's `network` setting, 'main' if it has none
+ */
+
+export const BUILTIN_VARIABLES = ['platform', 'home', 'pluginName', 'network']
+
+const REFERENCE_PATTERN = /\$\{([\w.-]+)\}/g
+
+// Referenced setting values may reference others again, up to this depth
+const MAX_DEPTH = 5
+
+// Names referenced by a string: 'a ${x} ${y}' -> ['x', 'y']
+export const getReferences = text => {
+  if (typeof text !== 'string') return []
+  const names = []
+  text.replace(REFERENCE_PATTERN, (match, name) => {
+    if (!names.includes(name)) names.push(name)
+    return match
+  })
+  return names
+}
+
+/**
+ * Replaces the references of a string. Names missing from variables or
+ * with empty values are left in place and listed as unresolved:
+ * output: { value: '/data/geth.ipc', unresolved: [] }
+ */
+export const interpolate = (text, variables) => {
+  const unresolved = []
+  if (typeof text !== 'string') return { value: text, unresolved }
+  const resolve = (value, depth) => {
+    return value.replace(REFERENCE_PATTERN, (match, name) => {
+      const variable = variables[name]
+      const isEmpty =
+        variable === undefined ||
+        variable === null ||
+        variable === '' ||
+        typeof variable === 'object'
+      if (isEmpty || depth >= MAX_DEPTH) {
+        if (!unresolved.includes(name)) unresolved.push(name)
+        return match
+      }
+      return resolve(String(variable), depth + 1)
+    })
+  }
+  return { value: resolve(text, 0), unresolved }
+}
@@ -0,0 +1,71 @@
+export const EXPORT_FORMATS = {
+  text: { label: 'Plain text', extension: 'log' },
+  json: { label: 'JSON lines', extension: 'jsonl' }
+}
+
+const pad = number => String(number).padStart(2, '0')
+
+// 2019-06-10T12:00:00.000Z -> 20190610-120000, safe for file names
+const fileTimestamp = date => {
+  return [
+    date.getFullYear(),
+    pad(date.getMonth() + 1),
+    pad(date.getDate()),
+    '-',
+    pad(date.getHours()),
+    pad(date.getMinutes()),
+    pad(date.getSeconds())
+  ].join('')
+}
+
+/**
+ * input: { pluginName, version, flags, date, lineCount, filtered }
+ * output: object describing where the logs came from, used as header
+ */
+export const buildLogHeader = ({
+  pluginName,
+  version,
+  flags = [],
+  date = new Date(),
+  lineCount = 0,
+  filtered = false
+}) => {
+  return {
+    plugin: pluginName,
+    version: version || 'unknown',
+    flags: flags.filter(flag => flag !== '').join(' '),
+    exportedAt: date.toISOString(),
+    lines: lineCount,
+    filtered
+  }
+}
+
+const formatTextHeader = header => {
+  return [
+    `# Plugin: ${header.plugin}`,
+    `# Version: ${header.version}`,
+    `# Flags: ${header.flags}`,
+    `# Exported at: ${header.exportedAt}`,
+    `# Lines: ${header.lines}${header.filtered ? ' (filtered view)' : ''}`,
+    ''
+  ].join('\n')
+}
+
+/**
+ * Formats parsed log entries (see logParser) for saving or copying.
+ * Plain text uses the ANSI stripped line, JSON lines start with the header
+ * object followed by one object per entry.
+ */
+export const formatLogs = (entries, header, format = 'text') => {
+  if (format === 'json') {
+    const lines = entries.map(({ raw, ...entry }) => JSON.stringify(entry))
+    return [JSON.stringify({ header }), ...lines].join('\n')
+  }
+  const lines = entries.map(entry => entry.text)
+  return [formatTextHeader(header), ...lines].join('\n')
+}
+
+export const getLogFileName = (pluginName, format = 'text', date) => {
+  const { extension } = EXPORT_FORMATS[format]
+  return `${pluginName}-${fileTimestamp(date || new Date())}.${extension}`
+}
@@ -0,0 +1,182 @@
+export const LOG_LEVELS = ['TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'CRIT']
+
+// geth abbreviates levels to four characters in terminal output
+const LEVEL_ALIASES = {
+  TRCE: 'TRACE',
+  DBUG: 'DEBUG',
+  EROR: 'ERROR',
+  WARNING: 'WARN'
+}
+
+const ANSI_PATTERN = /\u001b\[[0-9;]*[A-Za-z]/g
+
+// INFO [06-10|12:00:00.000] Imported new chain segment   blocks=1 number=123
+// INFO [06-10|12:00:00.000|eth/downloader/downloader.go:123] Message  k=v
+const GETH_PATTERN = /^(TRCE|DBUG|INFO|WARN|EROR|CRIT|TRACE|DEBUG|ERROR)\s*\[([^\]|]+\|[^\]|]+)(?:\|([^\]]+))?\]\s*(.*)$/
+
+// 2019-06-10 12:00:00  Verifier #0 INFO import  Imported #123 0xabc…
+// 2019-06-10 12:00:00  Public node URL: enode://…
+const PARITY_PATTERN = /^(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(?: UTC)?)\s+(.*)$/
+const PARITY_LEVEL_PATTERN = /^(?:(.*?)\s+)?(TRACE|DEBUG|INFO|WARN|ERROR)\s+(\S+)\s+(.*)$/
+
+const FIELD_PATTERN = /([A-Za-z_][\w.-]*)=("(?:[^"\\]|\\.)*"|\S*)/g
+
+export const stripAnsi = (str = '') => String(str).replace(ANSI_PATTERN, '')
+
+const normalizeLevel = level => {
+  const upper = level.toUpperCase()
+  return LEVEL_ALIASES[upper] || upper
+}
+
+const unquote = value => {
+  if (value.length > 1 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\"/g, '"')
+  }
+  return value
+}
+
+/**
+ * Splits geth's aligned message from its trailing key=value context:
+ * input: 'Imported new chain segment     blocks=1 elapsed="1.2 ms"'
+ * output: { message: 'Imported new chain segment',
+ *           fields: { blocks: '1', elapsed: '1.2 ms' } }
+ */
+export const parseFields = text => {
+  const fields = {}
+  let message = text
+  let firstFieldIndex = -1
+  let match
+
+  FIELD_PATTERN.lastIndex = 0
+  while ((match = FIELD_PATTERN.exec(text)) !== null) {
+    // Fields are separated by whitespace from the message and each other
+    if (match.index === 0 || /\s/.test(text[match.index - 1])) {
+      if (firstFieldIndex === -1) firstFieldIndex = match.index
+      fields[match[1]] = unquote(match[2])
+    }
+  }
+
+  if (firstFieldIndex !== -1) {
+    message = text.slice(0, firstFieldIndex)
+  }
+
+  return { message: message.trim(), fields }
+}
+
+const parseGethLine = text => {
+  const match = text.match(GETH_PATTERN)
+  if (!match) return null
+  const [, level, timestamp, location, rest] = match
+  const { message, fields } = parseFields(rest)
+  return {
+    level: normalizeLevel(level),
+    timestamp,
+    module: location || null,
+    message,
+    fields
+  }
+}
+
+const parseParityLine = text => {
+  const match = text.match(PARITY_PATTERN)
+  if (!match) return null
+  const [, timestamp, rest] = match
+  const levelMatch = rest.match(PARITY_LEVEL_PATTERN)
+  if (!levelMatch) {
+    // Parity omits the level and module for plain info messages
+    return {
+      level: 'INFO',
+      timestamp,
+      module: null,
+      message: rest.trim(),
+      fields: {}
+    }
+  }
+  const [, , level, module, message] = levelMatch
+  return {
+    level: normalizeLevel(level),
+    timestamp,
+    module,
+    message: message.trim(),
+    fields: {}
+  }
+}
+
+/**
+ * Parses a raw (possibly ANSI colored) log line from geth or parity.
+ * Lines in an unknown format keep their text as message and have no level.
+ */
+export const parseLogLine = raw => {
+  const text = stripAnsi(raw).trim()
+  const parsed = parseGethLine(text) ||
+    parseParityLine(text) || {
+      level: null,
+      timestamp: null,
+      module: null,
+      message: text,
+      fields: {}
+    }
+  return { raw, text, ...parsed }
+}
+
+/**
+ * Returns a global, case insensitive RegExp for the search query,
+ * or null if the query is empty. Throws on an invalid regex.
+ */
+export const buildSearchPattern = (query, isRegex = false) => {
+  if (!query) return null
+  const source = isRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  return new RegExp(source, 'gi')
+}
+
+/**
+ * Entries without a known level only pass while every level is enabled,
+ * so narrowing down to e.g. errors hides unparsed noise.
+ */
+export const matchesLevels = (entry, levels) => {
+  if (!entry.level) return levels.length === LOG_LEVELS.length
+  return levels.includes(entry.level)
+}
+
+export const matchesSearch = (entry, pattern) => {
+  if (!pattern) return true
+  pattern.lastIndex = 0
+  return pattern.test(entry.text)
+}
+
+export const filterLogs = (entries, { levels = LOG_LEVELS, pattern } = {}) => {
+  return entries.filter(
+    entry => matchesLevels(entry, levels) && matchesSearch(entry, pattern)
+  )
+}
+
+/**
+ * Splits text into segments for highlighting:
+ * input: 'Imported block', /port/gi
+ * output: [{ text: 'Im', match: false }, { text: 'port', match: true },
+ *          { text: 'ed block', match: false }]
+ */
+export const splitMatches = (text, pattern) => {
+  if (!pattern) return [{ text, match: false }]
+  const segments = []
+  let lastIndex = 0
+  let match
+
+  pattern.lastIndex = 0
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      // Avoid looping forever on empty matches, e.g. /a*/
+      pattern.lastIndex += 1
+      continue
+    }
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), match: false })
+    }
+    segments.push({ text: match[0], match: true })
+    lastIndex = match.index + match[0].length
+  }
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false })
+  }
+  return segments
+}
@@ -0,0 +1,117 @@
+// States a dependency can be required to reach, in the order plugins
+// pass through them
+export const DEPENDENCY_STATES = [
+  { value: 'STARTED', label: 'Started' },
+  { value: 'CONNECTED', label: 'Connected' }
+]
+
+export const DEFAULT_DEPENDENCY_STATE = 'STARTED'
+
+const STATE_ORDER = ['STARTING', 'STARTED', 'CONNECTED']
+
+// Plugin states that satisfy the required one, e.g. a connected
+// client is also started
+export const getReachedStates = required => {
+  const index = STATE_ORDER.indexOf(required)
+  return index === -1 ? [required] : STATE_ORDER.slice(index)
+}
+
+export const isStateReached = (status, required) =>
+  getReachedStates(required).includes(status)
+
+/**
+ * A plugin's dependencies: the ones its manifest declares, overridden
+ * and extended by the user's. Returns [{ name, state, source }].
+ */
+export const getDependencies = ({
+  manifestDependencies = [],
+  userDependencies = []
+}) => {
+  const dependencies = manifestDependencies.map(dependency => ({
+    name: dependency.name,
+    state: dependency.state || DEFAULT_DEPENDENCY_STATE,
+    source: 'manifest'
+  }))
+  userDependencies.forEach(dependency => {
+    const entry = {
+      name: dependency.name,
+      state: dependency.state || DEFAULT_DEPENDENCY_STATE,
+      source: 'user'
+    }
+    const index = dependencies.findIndex(d => d.name === dependency.name)
+    if (index === -1) {
+      dependencies.push(entry)
+    } else {
+      dependencies[index] = entry
+    }
+  })
+  return dependencies
+}
+
+// First dependency cycle through pluginName, e.g. ['a', 'b', 'a'], or null.
+// dependencyMap is { pluginName: [{ name, state }] }
+export const findDependencyCycle = (pluginName, dependencyMap) => {
+  const visit = path => {
+    const current = path[path.length - 1]
+    const dependencies = dependencyMap[current] || []
+    // eslint-disable-next-line no-restricted-syntax
+    for (const { name } of dependencies) {
+      if (name === pluginName) return [...path, name]
+      if (!path.includes(name)) {
+        const cycle = visit([...path, name])
+        if (cycle) return cycle
+      }
+    }
+    return null
+  }
+  return visit([pluginName])
+}
+
+/**
+ * Dependencies of pluginName, direct and indirect, in the order they
+ * have to be started. Throws on a dependency cycle.
+ */
+export const getStartOrder = (pluginName, dependencyMap) => {
+  const order = []
+  const visit = path => {
+    const dependencies = dependencyMap[path[path.length - 1]] || []
+    dependencies.forEach(dependency => {
+      if (path.includes(dependency.name)) {
+        const cycle = [...path, dependency.name].join(' → ')
+        throw new Error(`Dependency cycle: ${cycle}`)
+      }
+      const existing = order.find(entry => entry.name === dependency.name)
+      if (existing) {
+        // Needed by several plugins, wait for the strictest state
+        if (
+          STATE_ORDER.indexOf(dependency.state) >
+          STATE_ORDER.indexOf(existing.state)
+        ) {
+          existing.state = dependency.state
+        }
+        return
+      }
+      visit([...path, dependency.name])
+      order.push({ name: dependency.name, state: dependency.state })
+    })
+  }
+  visit([pluginName])
+  return order
+}
+
+// Plugins that depend on pluginName, directly or through others
+export const getDependents = (pluginName, dependencyMap) => {
+  const dependents = []
+  const visit = name => {
+    Object.keys(dependencyMap).forEach(dependent => {
+      const dependsOn = dependencyMap[dependent].some(d => d.name === name)
+      if (dependsOn && dependent !== pluginName) {
+        if (dependents.includes(dependent)) return
+        dependents.push(dependent)
+        visit(dependent)
+      }
+    })
+  }
+  visit(pluginName)
+  return dependents
+}
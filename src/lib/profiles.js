@@ -0,0 +1,37 @@
+export const DEFAULT_PROFILE = 'Default'
+
+const MAX_NAME_LENGTH = 40
+
+/**
+ * Returns an error message for an invalid profile name, or null.
+ * Names are compared case insensitively so "Goerli" and "goerli"
+ * can't both exist.
+ */
+export const validateProfileName = (name, existingNames = []) => {
+  const trimmed = (name || '').trim()
+  if (!trimmed) return 'Name is required'
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    return `Name must be at most ${MAX_NAME_LENGTH} characters`
+  }
+  const lower = trimmed.toLowerCase()
+  if (existingNames.some(existing => existing.toLowerCase() === lower)) {
+    return 'A profile with this name already exists'
+  }
+  return null
+}
+
+/**
+ * Suggests a free name for a copy of a profile:
+ * input: 'goerli', ['goerli', 'goerli copy']
+ * output: 'goerli copy 2'
+ */
+export const getCopyName = (name, existingNames = []) => {
+  const base = `${name} copy`
+  let candidate = base
+  let counter = 2
+  while (validateProfileName(candidate, existingNames)) {
+    candidate = `${base} ${counter}`
+    counter += 1
+  }
+  return candidate
+}
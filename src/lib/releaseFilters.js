@@ -0,0 +1,113 @@
+import semver from 'semver'
+
+export const RELEASE_CHANNELS = ['stable', 'unstable', 'nightly']
+
+export const DEFAULT_RELEASE_FILTER = {
+  channel: 'all',
+  platform: 'all',
+  arch: 'all',
+  // 'all', 'local' or 'remote'
+  location: 'all',
+  search: '',
+  // 'desc' lists the newest version first
+  sort: 'desc'
+}
+
+const UNSTABLE_TAGS = ['unstable', 'alpha', 'beta', 'rc', 'pre', 'dev']
+
+// 'v1.9.0-unstable' -> '1.9.0-unstable', null if not semver
+const getSemver = release => {
+  const version = release.version || ''
+  return semver.valid(semver.clean(version)) || semver.coerce(version)
+}
+
+/**
+ * The release channel, from release.channel if the plugin sets it,
+ * otherwise from the version's prerelease tag or the file name.
+ */
+export const getReleaseChannel = release => {
+  if (RELEASE_CHANNELS.includes(release.channel)) return release.channel
+  const text = `${release.version || ''} ${release.fileName ||
+    ''}`.toLowerCase()
+  if (text.includes('nightly')) return 'nightly'
+  const version = getSemver(release)
+  const prerelease = version ? semver.prerelease(version) : null
+  if (prerelease && prerelease.length) {
+    return String(prerelease[0]).includes('nightly') ? 'nightly' : 'unstable'
+  }
+  if (UNSTABLE_TAGS.some(tag => new RegExp(`[-.]${tag}`).test(text))) {
+    return 'unstable'
+  }
+  return 'stable'
+}
+
+// Searches by semver range, e.g. '^1.8' or '>=1.8.20 <1.9', or by text
+const matchesSearch = (release, search) => {
+  const query = search.trim()
+  if (!query) return true
+  const range = semver.validRange(query)
+  const version = semver.coerce(release.version || '')
+  if (range && version) {
+    return semver.satisfies(version, range)
+  }
+  const text = `${release.displayVersion || ''} ${release.version ||
+    ''} ${release.fileName || ''}`.toLowerCase()
+  return text.includes(query.toLowerCase())
+}
+
+/**
+ * Applies a release filter, see DEFAULT_RELEASE_FILTER for its fields.
+ */
+export const filterReleases = (releases, filter = DEFAULT_RELEASE_FILTER) => {
+  const {
+    channel = 'all',
+    platform = 'all',
+    arch = 'all',
+    location = 'all',
+    search = ''
+  } = filter
+  return releases.filter(release => {
+    if (channel !== 'all' && getReleaseChannel(release) !== channel) {
+      return false
+    }
+    if (platform !== 'all' && release.platform !== platform) return false
+    if (arch !== 'all' && release.arch !== arch) return false
+    if (location === 'local' && release.remote) return false
+    if (location === 'remote' && !release.remote) return false
+    return matchesSearch(release, search)
+  })
+}
+
+/**
+ * Sorts releases by semver, keeping the original order of equal or
+ * unparsable versions. Unparsable versions go last.
+ */
+export const sortReleases = (releases, order = 'desc') => {
+  const direction = order === 'asc' ? 1 : -1
+  return releases
+    .map((release, index) => ({ release, index, version: getSemver(release) }))
+    .sort((a, b) => {
+      if (a.version && b.version) {
+        const result = semver.compare(a.version, b.version) * direction
+        if (result) return result
+      } else if (a.version || b.version) {
+        return a.version ? -1 : 1
+      }
+      return a.index - b.index
+    })
+    .map(({ release }) => release)
+}
+
+/**
+ * Platforms and architectures present in a list of releases,
+ * to populate the filter options.
+ */
+export const getReleaseFilterOptions = releases => {
+  const platforms = []
+  const archs = []
+  releases.forEach(({ platform, arch }) => {
+    if (platform && !platforms.includes(platform)) platforms.push(platform)
+    if (arch && !archs.includes(arch)) archs.push(arch)
+  })
+  return { platforms: platforms.sort(), archs: archs.sort() }
+}
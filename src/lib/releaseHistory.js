@@ -0,0 +1,41 @@
+// Releases remembered per plugin
+export const MAX_RELEASE_HISTORY = 10
+
+/**
+ * Moves a release that ran successfully to the front of the history.
+ */
+export const addToReleaseHistory = (
+  history,
+  release,
+  max = MAX_RELEASE_HISTORY
+) => {
+  if (!release || !release.fileName) return history
+  if (history.length && history[0].fileName === release.fileName) {
+    return history
+  }
+  const rest = history.filter(r => r.fileName !== release.fileName)
+  return [release, ...rest].slice(0, max)
+}
+
+/**
+ * The most recent release that ran successfully, other than the current one.
+ */
+export const getPreviousRelease = (history, currentRelease) => {
+  const fileName = currentRelease ? currentRelease.fileName : null
+  return history.find(release => release.fileName !== fileName) || null
+}
+
+/**
+ * Whether the last start was the first one of a release and failed,
+ * in which case reverting to a previous release is worth offering.
+ */
+export const isFailedFirstStart = ({
+  startOutcome,
+  lastStartedRelease,
+  releaseHistory
+}) => {
+  if (startOutcome !== 'failed' || !lastStartedRelease) return false
+  return !releaseHistory.some(
+    release => release.fileName === lastStartedRelease.fileName
+  )
+}
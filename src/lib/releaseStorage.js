@@ -0,0 +1,67 @@
+import { sortReleases } from './releaseFilters'
+
+/**
+ * Local releases with their storage details, most recently used first.
+ * Never used releases follow, newest version first.
+ * The selected and running releases are protected from deletion, as are
+ * the release an update can be reverted to, a pending update and the
+ * last working release.
+ */
+export const getStorageEntries = (
+  releases,
+  {
+    usage = {},
+    selectedFileName = null,
+    runningFileName = null,
+    previousFileName = null,
+    pendingFileName = null,
+    lastWorkingFileName = null
+  } = {}
+) => {
+  const local = sortReleases(releases.filter(release => !release.remote))
+  const entries = local.map((release, index) => {
+    const { fileName } = release
+    const isSelected = fileName === selectedFileName
+    const isRunning = fileName === runningFileName
+    const isPrevious = fileName === previousFileName
+    const isPending = fileName === pendingFileName
+    const isLastWorking = fileName === lastWorkingFileName
+    return {
+      release,
+      size: release.size > 0 ? release.size : null,
+      lastUsed: usage[fileName] || null,
+      isSelected,
+      isRunning,
+      isPrevious,
+      isPending,
+      isLastWorking,
+      isProtected:
+        isSelected || isRunning || isPrevious || isPending || isLastWorking,
+      index
+    }
+  })
+  return entries
+    .sort((a, b) => (b.lastUsed || 0) - (a.lastUsed || 0) || a.index - b.index)
+    .map(({ index, ...entry }) => entry)
+}
+
+/**
+ * Entries a "keep last N" policy would delete. Protected releases are
+ * always kept and count towards N. A keep count of 0 keeps everything.
+ */
+export const getReleasesToPrune = (entries, keep) => {
+  if (!(keep > 0)) return []
+  let kept = entries.filter(entry => entry.isProtected).length
+  return entries.filter(entry => {
+    if (entry.isProtected) return false
+    if (kept < keep) {
+      kept += 1
+      return false
+    }
+    return true
+  })
+}
+
+// Total size of the entries with a known size
+export const getTotalSize = entries =>
+  entries.reduce((total, entry) => total + (entry.size || 0), 0)
@@ -0,0 +1,73 @@
+export const RESTART_MODES = [
+  { value: 'never', label: 'Never' },
+  { value: 'on-failure', label: 'On failure' },
+  { value: 'always', label: 'Always' }
+]
+
+export const DEFAULT_RESTART_POLICY = {
+  mode: 'never',
+  // Give up after this many restarts within the window
+  maxRetries: 5,
+  windowMinutes: 10
+}
+
+const BASE_DELAY = 1000
+const MAX_DELAY = 5 * 60 * 1000
+
+// 1s, 2s, 4s, ... capped at 5 minutes
+export const getBackoffDelay = attempt =>
+  Math.min(BASE_DELAY * 2 ** Math.max(attempt - 1, 0), MAX_DELAY)
+
+// Crash times within the policy's window
+export const getRecentCrashes = (crashTimes, now, windowMinutes) =>
+  crashTimes.filter(time => now - time <= windowMinutes * 60 * 1000)
+
+/**
+ * Whether and when to restart a plugin that exited unexpectedly.
+ * exitState is 'error' for failures and 'stopped' for clean exits,
+ * crashTimes includes the exit being handled.
+ * Returns { restart, delay, attempt } or { restart: false, reason },
+ * with gaveUp set when the retries ran out.
+ */
+export const getRestartDecision = (policy, { exitState, crashTimes, now }) => {
+  const { mode, maxRetries, windowMinutes } = {
+    ...DEFAULT_RESTART_POLICY,
+    ...policy
+  }
+  if (mode === 'never') {
+    return { restart: false, reason: 'Automatic restart is off' }
+  }
+  if (mode === 'on-failure' && exitState !== 'error') {
+    return { restart: false, reason: 'Exited cleanly' }
+  }
+  const attempt = getRecentCrashes(crashTimes, now, windowMinutes).length
+  if (attempt > maxRetries) {
+    return {
+      restart: false,
+      gaveUp: true,
+      reason: `Gave up after ${maxRetries} restarts in ${windowMinutes} minutes`
+    }
+  }
+  return { restart: true, delay: getBackoffDelay(attempt), attempt }
+}
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+// e.g. "Crashed 2 times, last: Fatal error - restarting at 12:00:04"
+export const describeCrashes = ({
+  crashCount,
+  lastExit,
+  scheduledRestart,
+  restartStoppedReason
+}) => {
+  if (!crashCount) return ''
+  let text = `Crashed ${pluralize(crashCount, 'time')}`
+  if (lastExit) text += `, last: ${lastExit.reason}`
+  if (scheduledRestart) {
+    const at = new Date(scheduledRestart.at).toLocaleTimeString()
+    text += ` - restarting at ${at}`
+  } else if (restartStoppedReason) {
+    text += ` - ${restartStoppedReason}`
+  }
+  return text
+}
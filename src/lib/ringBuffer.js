@@ -0,0 +1,72 @@
+/**
+ * Fixed capacity FIFO buffer: once full, pushing drops the oldest items.
+ * Backed by a preallocated array so appends don't copy the contents.
+ */
+export default class RingBuffer {
+  constructor(capacity) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error('Capacity must be a positive integer')
+    }
+    this.capacity = capacity
+    this.clear()
+  }
+
+  get length() {
+    return this.size
+  }
+
+  clear() {
+    this.items = new Array(this.capacity)
+    this.start = 0
+    this.size = 0
+  }
+
+  // Returns the item dropped to make room, if any
+  push(item) {
+    const index = (this.start + this.size) % this.capacity
+    const evicted = this.size === this.capacity ? this.items[index] : undefined
+    this.items[index] = item
+    if (this.size < this.capacity) {
+      this.size += 1
+    } else {
+      // Overwrote the oldest item
+      this.start = (this.start + 1) % this.capacity
+    }
+    return evicted
+  }
+
+  pushAll(items) {
+    items.forEach(item => this.push(item))
+  }
+
+  // Removes and returns the oldest item
+  shift() {
+    if (this.size === 0) return undefined
+    const item = this.items[this.start]
+    this.items[this.start] = undefined
+    this.start = (this.start + 1) % this.capacity
+    this.size -= 1
+    return item
+  }
+
+  get(index) {
+    if (index < 0 || index >= this.size) return undefined
+    return this.items[(this.start + index) % this.capacity]
+  }
+
+  toArray() {
+    const result = new Array(this.size)
+    for (let i = 0; i < this.size; i += 1) {
+      result[i] = this.items[(this.start + i) % this.capacity]
+    }
+    return result
+  }
+
+  // Keeps the newest items that fit into the new capacity
+  resize(capacity) {
+    const items = this.toArray()
+    this.capacity = capacity
+    this.clear()
+    this.pushAll(items.slice(-capacity))
+  }
+}
@@ -0,0 +1,192 @@
+// Common methods offered for autocompletion in the RPC console
+export const RPC_METHODS = [
+  'admin_addPeer',
+  'admin_datadir',
+  'admin_nodeInfo',
+  'admin_peers',
+  'admin_removePeer',
+  'admin_startRPC',
+  'admin_startWS',
+  'admin_stopRPC',
+  'admin_stopWS',
+  'debug_backtraceAt',
+  'debug_dumpBlock',
+  'debug_gcStats',
+  'debug_getBlockRlp',
+  'debug_memStats',
+  'debug_metrics',
+  'debug_setHead',
+  'debug_stacks',
+  'debug_traceBlockByHash',
+  'debug_traceBlockByNumber',
+  'debug_traceTransaction',
+  'debug_verbosity',
+  'debug_vmodule',
+  'eth_accounts',
+  'eth_blockNumber',
+  'eth_call',
+  'eth_chainId',
+  'eth_coinbase',
+  'eth_estimateGas',
+  'eth_gasPrice',
+  'eth_getBalance',
+  'eth_getBlockByHash',
+  'eth_getBlockByNumber',
+  'eth_getBlockTransactionCountByHash',
+  'eth_getBlockTransactionCountByNumber',
+  'eth_getCode',
+  'eth_getLogs',
+  'eth_getStorageAt',
+  'eth_getTransactionByHash',
+  'eth_getTransactionCount',
+  'eth_getTransactionReceipt',
+  'eth_hashrate',
+  'eth_mining',
+  'eth_protocolVersion',
+  'eth_sendRawTransaction',
+  'eth_syncing',
+  'net_listening',
+  'net_peerCount',
+  'net_version',
+  'web3_clientVersion'
+]
+
+/**
+ * Splits console input on whitespace, keeping quoted strings and
+ * JSON objects or arrays together:
+ * input: 'eth_call {"to": "0x1", "data": "0x"} latest'
+ * output: ['eth_call', '{"to": "0x1", "data": "0x"}', 'latest']
+ */
+export const tokenize = input => {
+  const tokens = []
+  let current = ''
+  let depth = 0
+  let quote = null
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i]
+    if (quote) {
+      current += char
+      if (char === '\\' && i + 1 < input.length) {
+        i += 1
+        current += input[i]
+      } else if (char === quote) {
+        quote = null
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char
+      current += char
+    } else if (char === '{' || char === '[') {
+      depth += 1
+      current += char
+    } else if (char === '}' || char === ']') {
+      depth -= 1
+      current += char
+    } else if (/\s/.test(char) && depth === 0) {
+      if (current) tokens.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+
+  if (quote || depth !== 0) {
+    throw new Error('Unterminated string, object or array')
+  }
+  if (current) tokens.push(current)
+  return tokens
+}
+
+// Parameters are JSON where possible, so `true`, `1` and `{...}` keep their
+// type, and plain strings otherwise: hex values and block tags need no quotes.
+const parseParam = token => {
+  if (token.startsWith("'") && token.endsWith("'")) {
+    return token.slice(1, -1)
+  }
+  try {
+    return JSON.parse(token)
+  } catch (e) {
+    return token
+  }
+}
+
+/**
+ * Parses RPC console input into a method call. Accepts either
+ * `method param1 param2` or a raw JSON-RPC request object.
+ * input: 'eth_getBalance 0xabc latest'
+ * output: { method: 'eth_getBalance', params: ['0xabc', 'latest'] }
+ */
+export const parseRpcInput = input => {
+  const trimmed = input.trim()
+  if (!trimmed) {
+    throw new Error('Enter a method, e.g. eth_blockNumber')
+  }
+
+  if (trimmed.startsWith('{')) {
+    let request
+    try {
+      request = JSON.parse(trimmed)
+    } catch (e) {
+      throw new Error(`Invalid JSON: ${e.message}`)
+    }
+    if (typeof request.method !== 'string' || !request.method) {
+      throw new Error('JSON-RPC request needs a "method"')
+    }
+    const { params = [] } = request
+    if (!Array.isArray(params)) {
+      throw new Error('JSON-RPC "params" must be an array')
+    }
+    return { method: request.method, params }
+  }
+
+  const [method, ...params] = tokenize(trimmed)
+  if (!/^[A-Za-z][\w]*$/.test(method)) {
+    throw new Error(`Invalid method name: ${method}`)
+  }
+  return { method, params: params.map(parseParam) }
+}
+
+/**
+ * Returns the known methods starting with the given input,
+ * as long as no parameters have been typed yet.
+ */
+export const getMethodSuggestions = (input, methods = RPC_METHODS) => {
+  const prefix = input.trimStart()
+  if (!prefix || /\s/.test(prefix)) return []
+  return methods.filter(method => method.startsWith(prefix))
+}
+
+/**
+ * Completes the method name as far as all suggestions agree:
+ * input: 'eth_getBlockTr'
+ * output: 'eth_getBlockTransactionCountBy'
+ * A single match is completed with a trailing space for the params.
+ */
+export const completeMethod = (input, methods = RPC_METHODS) => {
+  const suggestions = getMethodSuggestions(input, methods)
+  if (suggestions.length === 0) return input
+  if (suggestions.length === 1) return `${suggestions[0]} `
+
+  let common = suggestions[0]
+  suggestions.forEach(suggestion => {
+    while (!suggestion.startsWith(common)) {
+      common = common.slice(0, -1)
+    }
+  })
+  return common.length > input.trimStart().length ? common : input
+}
+
+// plugin.rpc resolves errors as objects with a message instead of rejecting
+export const isRpcError = result => {
+  return (
+    !!result && typeof result === 'object' && typeof result.message === 'string'
+  )
+}
+
+/**
+ * Formats an RPC result as pretty printed lines for the terminal.
+ */
+export const formatRpcResult = result => {
+  if (result === undefined) return ['undefined']
+  return JSON.stringify(result, null, 2).split('\n')
+}
@@ -0,0 +1,105 @@
+// Below this many blocks behind, geth (fast sync) is mostly pulling state
+const STATE_PHASE_BLOCK_THRESHOLD = 64
+
+/**
+ * Smooths sync throughput with an exponential moving average whose
+ * weight depends on the time since the last sample, so irregular
+ * polling intervals don't skew the rate.
+ */
+export class SyncEstimator {
+  constructor(options = {}) {
+    // Time constant of the moving average, in seconds
+    this.smoothing = options.smoothing || 30
+    this.reset()
+  }
+
+  reset() {
+    this.lastSample = null
+    this.blocksPerSecond = null
+    this.statesPerSecond = null
+    this.knownStatesPerSecond = null
+  }
+
+  smooth(previous, value, seconds) {
+    if (previous === null) return value
+    const alpha = 1 - Math.exp(-seconds / this.smoothing)
+    return previous + alpha * (value - previous)
+  }
+
+  /**
+   * input: { currentBlock, highestBlock, knownStates, pulledStates }, time in ms
+   * output: { phase, blocksPerSecond, statesPerSecond, blocksRemaining,
+   *           statesRemaining, eta } with eta in seconds, or null if unknown
+   */
+  update(sync, time) {
+    const {
+      currentBlock = 0,
+      highestBlock = 0,
+      knownStates = 0,
+      pulledStates = 0
+    } = sync
+    const { lastSample } = this
+
+    if (lastSample) {
+      const seconds = (time - lastSample.time) / 1000
+      if (seconds > 0) {
+        const blockRate = (currentBlock - lastSample.currentBlock) / seconds
+        const stateRate = (pulledStates - lastSample.pulledStates) / seconds
+        const knownRate = (knownStates - lastSample.knownStates) / seconds
+        this.blocksPerSecond = this.smooth(
+          this.blocksPerSecond,
+          Math.max(blockRate, 0),
+          seconds
+        )
+        this.statesPerSecond = this.smooth(
+          this.statesPerSecond,
+          Math.max(stateRate, 0),
+          seconds
+        )
+        this.knownStatesPerSecond = this.smooth(
+          this.knownStatesPerSecond,
+          Math.max(knownRate, 0),
+          seconds
+        )
+      }
+    }
+    this.lastSample = { time, currentBlock, knownStates, pulledStates }
+
+    return this.estimate(sync)
+  }
+
+  estimate({
+    currentBlock = 0,
+    highestBlock = 0,
+    knownStates = 0,
+    pulledStates = 0
+  }) {
+    const blocksRemaining = Math.max(highestBlock - currentBlock, 0)
+    const statesRemaining = Math.max(knownStates - pulledStates, 0)
+    const phase =
+      blocksRemaining <= STATE_PHASE_BLOCK_THRESHOLD && statesRemaining > 0
+        ? 'states'
+        : 'blocks'
+
+    let eta = null
+    if (phase === 'blocks' && this.blocksPerSecond > 0) {
+      eta = blocksRemaining / this.blocksPerSecond
+    } else if (phase === 'states') {
+      // Known states keep growing while syncing, so only the net rate
+      // at which the gap closes tells us when state sync ends
+      const netRate = this.statesPerSecond - this.knownStatesPerSecond
+      if (netRate > 0) {
+        eta = statesRemaining / netRate
+      }
+    }
+
+    return {
+      phase,
+      blocksPerSecond: this.blocksPerSecond,
+      statesPerSecond: this.statesPerSecond,
+      blocksRemaining,
+      statesRemaining,
+      eta: eta === null ? null : Math.round(eta)
+    }
+  }
+}
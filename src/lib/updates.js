@@ -0,0 +1,49 @@
+import semver from 'semver'
+import { getReleaseChannel, sortReleases } from './releaseFilters'
+
+export const UPDATE_POLICIES = [
+  { value: 'notify', label: 'Notify only' },
+  { value: 'download', label: 'Download in the background' },
+  { value: 'apply', label: 'Download and apply on next restart' }
+]
+
+export const DEFAULT_UPDATE_POLICY = 'notify'
+
+export const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000
+
+const getVersion = release =>
+  semver.valid(semver.clean((release && release.version) || '')) ||
+  semver.coerce((release && release.version) || '')
+
+/**
+ * The newest release that is newer than the current one, or null.
+ * Stays on the current release's channel, platform and architecture,
+ * and prefers an already downloaded copy of the update.
+ */
+export const findUpdate = (releases, currentRelease) => {
+  const currentVersion = getVersion(currentRelease)
+  if (!currentVersion) return null
+  const channel = getReleaseChannel(currentRelease)
+  const { platform, arch } = currentRelease
+  const candidates = releases.filter(release => {
+    const version = getVersion(release)
+    if (!version || !semver.gt(version, currentVersion)) return false
+    // Stable users don't get moved to unstable builds
+    if (channel === 'stable' && getReleaseChannel(release) !== 'stable') {
+      return false
+    }
+    if (platform && release.platform && release.platform !== platform) {
+      return false
+    }
+    return !(arch && release.arch && release.arch !== arch)
+  })
+  const [newest] = sortReleases(candidates, 'desc')
+  if (!newest) return null
+  const newestVersion = getVersion(newest)
+  const local = candidates.find(
+    release => !release.remote && semver.eq(getVersion(release), newestVersion)
+  )
+  return local || newest
+}
+
+export const isSameRelease = (a, b) => !!a && !!b && a.fileName === b.fileName
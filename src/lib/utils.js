@@ -43,6 +43,25 @@ export const getPluginSettingsConfig = plugin => {
   }
 }
 
+// Optional description of every flag the plugin's client accepts
+export const getPluginFlagCatalog = plugin => {
+  try {
+    return plugin.plugin.config.flagCatalog || null
+  } catch (e) {
+    return null
+  }
+}
+
+// Other plugins this one needs, e.g. [{ name: 'geth', state: 'CONNECTED' }]
+export const getManifestDependencies = plugin => {
+  try {
+    const { plugins } = plugin.plugin.config.dependencies
+    return Array.isArray(plugins) ? plugins : []
+  } catch (e) {
+    return []
+  }
+}
+
 export const getDefaultSetting = (plugin, id) => {
   try {
     const setting = plugin.plugin.config.settings.find(
@@ -54,6 +73,22 @@ export const getDefaultSetting = (plugin, id) => {
   }
 }
 
+/**
+ * Built-in variables flag patterns can reference, see interpolation.js.
+ * platform and home come from the host, they are left out when it
+ * doesn't expose them.
+ */
+export const getFlagBuiltins = (plugin, config = {}) => {
+  const platform = Grid.platform || {}
+  const builtins = {
+    pluginName: plugin.name,
+    network: config.network || 'main'
+  }
+  if (platform.name) builtins.platform = platform.name
+  if (platform.homedir) builtins.home = platform.homedir
+  return builtins
+}
+
 export const getDefaultFlags = (plugin, config) => {
   const pluginDefaults = {}
   const pluginSettings = getPluginSettingsConfig(plugin)
@@ -63,7 +98,11 @@ export const getDefaultFlags = (plugin, config) => {
     }
   })
 
-  return generateFlags(pluginDefaults, pluginSettings)
+  return generateFlags(
+    pluginDefaults,
+    pluginSettings,
+    getFlagBuiltins(plugin, pluginDefaults)
+  )
 }
 
 export const getSettingsIds = plugin => {
@@ -109,3 +148,209 @@ export const getPersistedTabSelection = () => {
     return 0
   }
 }
+
+export const getPersistedCommandHistory = pluginName => {
+  try {
+    const commandHistory = Grid.Config.getItem('commandHistory')
+    return commandHistory[pluginName] || []
+  } catch (e) {
+    return []
+  }
+}
+
+export const getPersistedProfiles = pluginName => {
+  try {
+    const profiles = Grid.Config.getItem('profiles')
+    return profiles[pluginName] || null
+  } catch (e) {
+    return null
+  }
+}
+
+export const getPersistedEnvironment = pluginName => {
+  try {
+    const environment = Grid.Config.getItem('environment')
+    return environment[pluginName] || null
+  } catch (e) {
+    return null
+  }
+}
+
+export const getPersistedReleaseFilter = pluginName => {
+  try {
+    const releaseFilters = Grid.Config.getItem('releaseFilters')
+    return releaseFilters[pluginName] || null
+  } catch (e) {
+    return null
+  }
+}
+
+export const getPersistedReleaseStorage = pluginName => {
+  try {
+    const releaseStorage = Grid.Config.getItem('releaseStorage')
+    return releaseStorage[pluginName] || null
+  } catch (e) {
+    return null
+  }
+}
+
+export const getPersistedUpdates = pluginName => {
+  try {
+    const updates = Grid.Config.getItem('updates')
+    return updates[pluginName] || null
+  } catch (e) {
+    return null
+  }
+}
+
+export const getPersistedReleaseHistory = pluginName => {
+  try {
+    const releaseHistory = Grid.Config.getItem('releaseHistory')
+    return releaseHistory[pluginName] || null
+  } catch (e) {
+    return null
+  }
+}
+
+export const getPersistedAutostart = pluginName => {
+  try {
+    const autostart = Grid.Config.getItem('autostart')
+    return autostart[pluginName] || null
+  } catch (e) {
+    return null
+  }
+}
+
+export const getPersistedDependencies = pluginName => {
+  try {
+    const dependencies = Grid.Config.getItem('dependencies')
+    return dependencies[pluginName] || null
+  } catch (e) {
+    return null
+  }
+}
+
+export const getPersistedRestartPolicy = pluginName => {
+  try {
+    const restartPolicies = Grid.Config.getItem('restartPolicies')
+    return restartPolicies[pluginName] || null
+  } catch (e) {
+    return null
+  }
+}
+
+// Downloads that were unfinished when the app closed
+export const getPersistedDownloads = () => {
+  try {
+    const downloads = Grid.Config.getItem('downloads')
+    return Array.isArray(downloads) ? downloads : []
+  } catch (e) {
+    return []
+  }
+}
+
+// Number of log lines kept in memory per terminal
+export const DEFAULT_TERMINAL_CAPACITY = 5000
+
+export const getPersistedTerminalCapacity = () => {
+  try {
+    const settings = Grid.Config.getItem('settings')
+    return settings.terminalCapacity || DEFAULT_TERMINAL_CAPACITY
+  } catch (e) {
+    return DEFAULT_TERMINAL_CAPACITY
+  }
+}
+
+export const getPersistMetricsSetting = () => {
+  try {
+    const settings = Grid.Config.getItem('settings')
+    return !!settings.persistMetrics
+  } catch (e) {
+    return false
+  }
+}
+
+export const getPersistedMetrics = pluginName => {
+  if (!getPersistMetricsSetting()) return null
+  try {
+    const metrics = Grid.Config.getItem('metrics')
+    return metrics[pluginName] || null
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Hosts that hand { env, cwd } to the plugin's process set
+ * supportsProcessOptions on the plugin. Others ignore them silently.
+ */
+export const canSetProcessOptions = plugin =>
+  !!plugin && plugin.supportsProcessOptions === true
+
+// Host answers of checkPathExists, by path
+const knownPaths = {}
+
+// Hosts that can tell whether a path exists provide Grid.fileExists
+export const canCheckPaths = () => typeof Grid.fileExists === 'function'
+
+/**
+ * Asks the host whether a file or directory exists. Grid.fileExists(path)
+ * may answer with a boolean or a promise of one. Resolves to undefined
+ * when the host can't tell. Answers are kept for getKnownPathExists.
+ */
+export const checkPathExists = async path => {
+  if (!canCheckPaths()) return undefined
+  try {
+    const exists = await Grid.fileExists(path)
+    knownPaths[path] = typeof exists === 'boolean' ? exists : undefined
+  } catch (e) {
+    knownPaths[path] = undefined
+  }
+  return knownPaths[path]
+}
+
+// Last answer of checkPathExists, undefined if the path wasn't checked
+export const getKnownPathExists = path => knownPaths[path]
+
+/**
+ * Saves text content to a file the user picks.
+ * Uses Grid.showSaveDialog(defaultPath, content) on hosts that provide it,
+ * resolving to { path }, or null if cancelled. Current hosts only have
+ * showOpenDialog, so otherwise the content is offered as a download,
+ * resolving to { path: fileName, isDownload: true }. Electron shows its
+ * own save dialog for downloads unless the host sets a download folder.
+ */
+export const saveFile = async (fileName, content) => {
+  const { showSaveDialog } = Grid
+  if (typeof showSaveDialog === 'function') {
+    const path = await showSaveDialog(fileName, content)
+    return path ? { path } : null
+  }
+  const blob = new Blob([content], { type: 'text/plain' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+  return { path: fileName, isDownload: true }
+}
+
+export const copyToClipboard = async text => {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    return navigator.clipboard.writeText(text)
+  }
+  // Older Electron versions have no async clipboard API
+  const textArea = document.createElement('textarea')
+  textArea.value = text
+  document.body.appendChild(textArea)
+  textArea.select()
+  const copied = document.execCommand('copy')
+  document.body.removeChild(textArea)
+  if (!copied) {
+    throw new Error('Could not copy to clipboard')
+  }
+  return null
+}
@@ -0,0 +1,130 @@
+/**
+ * Validation rules a setting can declare in `validation`, e.g.
+ * { id: 'rpcPort', flag: '--rpcport %s', validation: { port: true } }
+ *
+ * required: value must not be empty
+ * min / max: numeric bounds, inclusive
+ * integer: value must be a whole number
+ * pattern: regular expression (string) the whole value must match
+ * port: integer between 1 and 65535
+ * pathExists: file or directory must exist
+ * url: value must be an absolute http(s), ws(s) or ipc URL
+ */
+
+import { getActiveSettingIds } from './conditions'
+
+const URL_PROTOCOLS = ['http:', 'https:', 'ws:', 'wss:', 'ipc:']
+
+const isEmpty = value => {
+  if (Array.isArray(value)) return !value.length
+  return value === undefined || value === null || String(value).trim() === ''
+}
+
+const toNumber = value => {
+  if (typeof value === 'number') return value
+  if (!/^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(value)) return NaN
+  return Number(value)
+}
+
+const isValidUrl = value => {
+  try {
+    const url = new URL(value)
+    return URL_PROTOCOLS.includes(url.protocol)
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Returns the first rule the value breaks as a message, or null.
+ * options.pathExists(path) answers true, false or undefined when it
+ * doesn't know, in which case the rule is skipped.
+ */
+export const validateSetting = (setting, value, options = {}) => {
+  const rules = setting.validation || {}
+  const label = setting.label || setting.id
+
+  if (isEmpty(value)) {
+    return rules.required ? `${label} is required` : null
+  }
+  // Checkboxes and lists only support `required`
+  if (!['string', 'number'].includes(typeof value)) return null
+
+  const stringValue = String(value)
+  const numericRules =
+    rules.port || rules.integer || 'min' in rules || 'max' in rules
+  if (numericRules) {
+    const number = toNumber(stringValue)
+    if (Number.isNaN(number)) {
+      return `${label} must be a number`
+    }
+    if ((rules.integer || rules.port) && !Number.isInteger(number)) {
+      return `${label} must be a whole number`
+    }
+    if (rules.port && (number < 1 || number > 65535)) {
+      return `${label} must be a port between 1 and 65535`
+    }
+    if ('min' in rules && number < rules.min) {
+      return `${label} must be at least ${rules.min}`
+    }
+    if ('max' in rules && number > rules.max) {
+      return `${label} must be at most ${rules.max}`
+    }
+  }
+
+  if (rules.pattern) {
+    let pattern
+    try {
+      pattern = new RegExp(`^(?:${rules.pattern})$`)
+    } catch (e) {
+      // A broken schema shouldn't block the user
+      pattern = null
+    }
+    if (pattern && !pattern.test(stringValue)) {
+      return rules.patternMessage || `${label} has an invalid format`
+    }
+  }
+
+  if (rules.url && !isValidUrl(stringValue)) {
+    return `${label} must be a valid URL`
+  }
+
+  if (rules.pathExists && options.pathExists) {
+    if (options.pathExists(stringValue) === false) {
+      return `${label}: ${stringValue} does not exist`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Validates every active setting of a config, hidden or disabled
+ * settings don't generate flags and aren't checked.
+ * output: [{ id: 'rpcPort', message: 'RPC Port must be a port ...' }]
+ */
+export const validateConfig = (config, settings, options = {}) => {
+  const errors = []
+  const activeIds = getActiveSettingIds(config, settings)
+  settings.forEach(setting => {
+    if (!activeIds.includes(setting.id)) return
+    const message = validateSetting(setting, config[setting.id], options)
+    if (message) {
+      errors.push({ id: setting.id, message })
+    }
+  })
+  return errors
+}
+
+// Values of active settings with the pathExists rule, to check beforehand
+export const getPathsToCheck = (config, settings) => {
+  const activeIds = getActiveSettingIds(config, settings)
+  return settings
+    .filter(
+      setting =>
+        activeIds.includes(setting.id) &&
+        (setting.validation || {}).pathExists &&
+        !isEmpty(config[setting.id])
+    )
+    .map(setting => String(config[setting.id]))
+}
@@ -0,0 +1,157 @@
+import { pruneReleases, setRelease, updateDownloaded } from '../plugin/actions'
+import { ACTIVE_STATUSES, getDownloadId } from './reducer'
+
+// Plugin objects by name, so queued downloads can start later on
+const plugins = {}
+
+const isCurrent = (getState, id, attempt) => {
+  const download = getState().downloads.items[id]
+  return (
+    !!download &&
+    ACTIVE_STATUSES.includes(download.status) &&
+    download.attempt === attempt
+  )
+}
+
+const runDownload = async (dispatch, getState, download) => {
+  const { id, release } = download
+  const plugin = plugins[download.pluginName]
+  // Tells this run apart from a later resume of the same release
+  const attempt = Date.now()
+  dispatch({ type: 'DOWNLOADS:START', payload: { id, attempt } })
+
+  let lastProgress = 0
+  let lastExtraction = null
+  try {
+    const localRelease = await plugin.download(
+      release,
+      progress => {
+        // Avoid flooding the store with identical updates
+        if (progress === lastProgress || !isCurrent(getState, id, attempt)) {
+          return
+        }
+        lastProgress = progress
+        dispatch({
+          type: 'DOWNLOADS:PROGRESS',
+          payload: { id, progress, time: Date.now() }
+        })
+      },
+      (extractionProgress, extractedFile) => {
+        if (
+          extractionProgress === lastExtraction ||
+          !isCurrent(getState, id, attempt)
+        ) {
+          return
+        }
+        lastExtraction = extractionProgress
+        dispatch({
+          type: 'DOWNLOADS:EXTRACT_PROGRESS',
+          payload: { id, extractionProgress, extractedFile }
+        })
+      }
+    )
+    // Cancelled while the host kept going: discard the result
+    if (!isCurrent(getState, id, attempt)) return
+    if (!localRelease) throw new Error('Download did not return a release')
+    const downloaded = { ...localRelease, remote: false }
+    if (download.isUpdate) {
+      // The update policy decides when to switch
+      dispatch(updateDownloaded(plugin, downloaded))
+    } else {
+      dispatch(setRelease(plugin, downloaded))
+      // Selected first, so the storage policy keeps the new release
+      if (getState().plugin[plugin.name].keepReleases > 0) {
+        await dispatch(pruneReleases(plugin))
+      }
+    }
+    dispatch({
+      type: 'DOWNLOADS:COMPLETE',
+      payload: { id, release: downloaded }
+    })
+  } catch (error) {
+    if (!isCurrent(getState, id, attempt)) return
+    dispatch({
+      type: 'DOWNLOADS:ERROR',
+      payload: { id, error: error.message || String(error) }
+    })
+  }
+}
+
+/**
+ * Starts the next queued download, one at a time.
+ */
+export const processQueue = () => {
+  return async (dispatch, getState) => {
+    const { order, items } = getState().downloads
+    const downloads = order.map(id => items[id])
+    if (downloads.some(d => ACTIVE_STATUSES.includes(d.status))) return
+    const next = downloads.find(
+      d => d.status === 'queued' && plugins[d.pluginName]
+    )
+    if (!next) return
+    await runDownload(dispatch, getState, next)
+    dispatch(processQueue())
+  }
+}
+
+/**
+ * Queues a release download. The release is selected once downloaded,
+ * unless it's an update (isUpdate), which the update policy handles.
+ */
+export const enqueueDownload = (plugin, release, { isUpdate = false } = {}) => {
+  return dispatch => {
+    plugins[plugin.name] = plugin
+    const id = getDownloadId(plugin.name, release)
+    dispatch({
+      type: 'DOWNLOADS:ENQUEUE',
+      payload: { id, pluginName: plugin.name, release, isUpdate }
+    })
+    dispatch(processQueue())
+    return id
+  }
+}
+
+// Hosts that continue partial downloads set supportsResumableDownloads,
+// others start over, so the UI offers 'Retry' instead of 'Resume'
+export const canResumeDownloads = plugin =>
+  !!plugin && plugin.supportsResumableDownloads === true
+
+/**
+ * Whether cancelDownload may stop the download. Running ones need the
+ * host's cancelDownload, without it the host would keep downloading
+ * while the queue moved on to the next release.
+ */
+export const canCancelDownload = (plugin, download) =>
+  !!download &&
+  (download.status === 'queued' ||
+    (!!plugin && typeof plugin.cancelDownload === 'function'))
+
+/**
+ * Restarts an interrupted, failed or cancelled download, from where it
+ * stopped if canResumeDownloads, otherwise from the start.
+ */
+export const resumeDownload = (plugin, id) => {
+  return dispatch => {
+    plugins[plugin.name] = plugin
+    dispatch({ type: 'DOWNLOADS:RESUME', payload: { id } })
+    dispatch(processQueue())
+  }
+}
+
+export const cancelDownload = id => {
+  return (dispatch, getState) => {
+    const download = getState().downloads.items[id]
+    if (!download) return
+    const plugin = plugins[download.pluginName]
+    if (!canCancelDownload(plugin, download)) return
+    if (ACTIVE_STATUSES.includes(download.status)) {
+      plugin.cancelDownload(download.release)
+    }
+    dispatch({ type: 'DOWNLOADS:CANCEL', payload: { id } })
+    dispatch(processQueue())
+  }
+}
+
+export const removeDownload = id => {
+  return { type: 'DOWNLOADS:REMOVE', payload: { id } }
+}
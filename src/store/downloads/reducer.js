@@ -0,0 +1,187 @@
+import { getPersistedDownloads } from '../../lib/utils'
+import { appendProgressSample, getDownloadStats } from '../../lib/downloadStats'
+
+// Statuses of a download that hasn't finished yet
+export const PENDING_STATUSES = ['queued', 'downloading', 'extracting']
+export const ACTIVE_STATUSES = ['downloading', 'extracting']
+
+export const getDownloadId = (pluginName, release) =>
+  `${pluginName}:${release.fileName}`
+
+export const initialDownload = {
+  status: 'queued',
+  progress: 0,
+  extractionProgress: 0,
+  extractedFile: '',
+  speed: null,
+  eta: null,
+  samples: [],
+  error: null,
+  // Start time of the current run
+  attempt: null,
+  // Downloaded by the update policy, see checkForUpdate
+  isUpdate: false
+}
+
+// Downloads left unfinished by the last session can be resumed
+const restoreDownloads = persisted => {
+  const order = []
+  const items = {}
+  persisted.forEach(({ id, pluginName, release, progress, isUpdate }) => {
+    if (!id || !release || items[id]) return
+    order.push(id)
+    items[id] = {
+      ...initialDownload,
+      id,
+      pluginName,
+      release,
+      progress: progress || 0,
+      isUpdate: !!isUpdate,
+      status: 'interrupted'
+    }
+  })
+  return { order, items }
+}
+
+export const initialState = restoreDownloads(getPersistedDownloads())
+
+const updateDownload = (state, id, update) => {
+  const download = state.items[id]
+  if (!download) return state
+  return {
+    ...state,
+    items: { ...state.items, [id]: { ...download, ...update } }
+  }
+}
+
+const resetProgress = {
+  progress: 0,
+  extractionProgress: 0,
+  extractedFile: '',
+  speed: null,
+  eta: null,
+  samples: [],
+  error: null
+}
+
+const downloads = (state = initialState, action) => {
+  switch (action.type) {
+    case 'DOWNLOADS:ENQUEUE': {
+      const { id, pluginName, release, isUpdate = false } = action.payload
+      const existing = state.items[id]
+      if (existing && PENDING_STATUSES.includes(existing.status)) return state
+      return {
+        order: [...state.order.filter(i => i !== id), id],
+        items: {
+          ...state.items,
+          [id]: { ...initialDownload, id, pluginName, release, isUpdate }
+        }
+      }
+    }
+    case 'DOWNLOADS:START': {
+      const { id, attempt } = action.payload
+      return updateDownload(state, id, {
+        ...resetProgress,
+        status: 'downloading',
+        attempt,
+        samples: [{ time: attempt, progress: 0 }]
+      })
+    }
+    case 'DOWNLOADS:PROGRESS': {
+      const { id, progress, time } = action.payload
+      const download = state.items[id]
+      if (!download || download.status !== 'downloading') return state
+      const samples = appendProgressSample(download.samples, time, progress)
+      return updateDownload(state, id, {
+        progress,
+        samples,
+        ...getDownloadStats(samples, download.release.size)
+      })
+    }
+    case 'DOWNLOADS:EXTRACT_PROGRESS': {
+      const { id, extractionProgress, extractedFile } = action.payload
+      const download = state.items[id]
+      if (!download || !ACTIVE_STATUSES.includes(download.status)) return state
+      return updateDownload(state, id, {
+        status: 'extracting',
+        progress: 100,
+        extractionProgress,
+        extractedFile,
+        speed: null,
+        eta: null
+      })
+    }
+    case 'DOWNLOADS:COMPLETE': {
+      const { id, release } = action.payload
+      return updateDownload(state, id, {
+        ...resetProgress,
+        status: 'done',
+        progress: 100,
+        release
+      })
+    }
+    case 'DOWNLOADS:ERROR': {
+      const { id, error } = action.payload
+      return updateDownload(state, id, {
+        status: 'error',
+        speed: null,
+        eta: null,
+        error
+      })
+    }
+    case 'DOWNLOADS:CANCEL': {
+      const { id } = action.payload
+      const download = state.items[id]
+      if (!download || !PENDING_STATUSES.includes(download.status)) {
+        return state
+      }
+      return updateDownload(state, id, {
+        ...resetProgress,
+        status: 'cancelled'
+      })
+    }
+    case 'DOWNLOADS:RESUME': {
+      const { id } = action.payload
+      const download = state.items[id]
+      if (!download || PENDING_STATUSES.includes(download.status)) return state
+      return {
+        // Goes to the back of the queue
+        order: [...state.order.filter(i => i !== id), id],
+        items: {
+          ...state.items,
+          [id]: { ...download, ...resetProgress, status: 'queued' }
+        }
+      }
+    }
+    case 'DOWNLOADS:REMOVE': {
+      const { id } = action.payload
+      const download = state.items[id]
+      if (!download || PENDING_STATUSES.includes(download.status)) return state
+      const { [id]: removed, ...items } = state.items
+      return { order: state.order.filter(i => i !== id), items }
+    }
+    default:
+      return state
+  }
+}
+
+export default downloads
+
+// Downloads in queue order, optionally only the ones of a plugin
+export const getDownloads = (state, pluginName) => {
+  const list = state.order.map(id => state.items[id])
+  return pluginName ? list.filter(d => d.pluginName === pluginName) : list
+}
+
+// The download worth showing for a plugin: the active one, else the latest
+// that still needs attention
+export const getPluginDownload = (state, pluginName) => {
+  const list = getDownloads(state, pluginName).filter(
+    d => !['done', 'cancelled'].includes(d.status)
+  )
+  return (
+    list.find(d => ACTIVE_STATUSES.includes(d.status)) ||
+    list[list.length - 1] ||
+    null
+  )
+}
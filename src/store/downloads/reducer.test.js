@@ -0,0 +1,117 @@
+import reducer, {
+  initialState,
+  initialDownload,
+  getDownloadId,
+  getPluginDownload
+} from './reducer'
+
+const release = { fileName: 'geth-1.9.0.zip', version: '1.9.0', size: 102400 }
+const id = getDownloadId('geth', release)
+
+const enqueue = (state = initialState) =>
+  reducer(state, {
+    type: 'DOWNLOADS:ENQUEUE',
+    payload: { id, pluginName: 'geth', release }
+  })
+
+const start = state =>
+  reducer(state, { type: 'DOWNLOADS:START', payload: { id, attempt: 1000 } })
+
+describe('the downloads reducer', () => {
+  it('should handle DOWNLOADS:ENQUEUE', () => {
+    const state = enqueue()
+    expect(state.order).toEqual([id])
+    expect(state.items[id]).toEqual({
+      ...initialDownload,
+      id,
+      pluginName: 'geth',
+      release
+    })
+  })
+
+  it('should not enqueue a pending download twice', () => {
+    const state = start(enqueue())
+    expect(enqueue(state)).toBe(state)
+  })
+
+  it('should track progress, speed and eta', () => {
+    let state = start(enqueue())
+    state = reducer(state, {
+      type: 'DOWNLOADS:PROGRESS',
+      payload: { id, progress: 25, time: 2000 }
+    })
+    expect(state.items[id]).toMatchObject({
+      status: 'downloading',
+      progress: 25,
+      // 25% of 100 KB per second
+      speed: 25600,
+      eta: 3
+    })
+  })
+
+  it('should handle DOWNLOADS:EXTRACT_PROGRESS', () => {
+    const state = reducer(start(enqueue()), {
+      type: 'DOWNLOADS:EXTRACT_PROGRESS',
+      payload: { id, extractionProgress: 40, extractedFile: 'geth' }
+    })
+    expect(state.items[id]).toMatchObject({
+      status: 'extracting',
+      extractionProgress: 40,
+      extractedFile: 'geth',
+      eta: null
+    })
+  })
+
+  it('should ignore progress of a cancelled download', () => {
+    let state = start(enqueue())
+    state = reducer(state, { type: 'DOWNLOADS:CANCEL', payload: { id } })
+    expect(state.items[id].status).toEqual('cancelled')
+    const next = reducer(state, {
+      type: 'DOWNLOADS:PROGRESS',
+      payload: { id, progress: 50, time: 3000 }
+    })
+    expect(next).toBe(state)
+  })
+
+  it('should resume failed downloads at the back of the queue', () => {
+    const other = { fileName: 'geth-1.8.0.zip' }
+    const otherId = getDownloadId('geth', other)
+    let state = start(enqueue())
+    state = reducer(state, {
+      type: 'DOWNLOADS:ENQUEUE',
+      payload: { id: otherId, pluginName: 'geth', release: other }
+    })
+    state = reducer(state, {
+      type: 'DOWNLOADS:ERROR',
+      payload: { id, error: 'Network error' }
+    })
+    expect(state.items[id].error).toEqual('Network error')
+    state = reducer(state, { type: 'DOWNLOADS:RESUME', payload: { id } })
+    expect(state.order).toEqual([otherId, id])
+    expect(state.items[id]).toMatchObject({ status: 'queued', error: null })
+  })
+
+  it('should only remove finished downloads', () => {
+    let state = start(enqueue())
+    expect(reducer(state, { type: 'DOWNLOADS:REMOVE', payload: { id } })).toBe(
+      state
+    )
+    state = reducer(state, {
+      type: 'DOWNLOADS:COMPLETE',
+      payload: { id, release: { ...release, remote: false } }
+    })
+    state = reducer(state, { type: 'DOWNLOADS:REMOVE', payload: { id } })
+    expect(state).toEqual({ order: [], items: {} })
+  })
+
+  it('should show the active download of a plugin', () => {
+    let state = start(enqueue())
+    expect(getPluginDownload(state, 'geth').id).toEqual(id)
+    expect(getPluginDownload(state, 'parity')).toBeNull()
+    state = reducer(state, {
+      type: 'DOWNLOADS:COMPLETE',
+      payload: { id, release }
+    })
+    expect(getPluginDownload(state, 'geth')).toBeNull()
+  })
+})
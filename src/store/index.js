@@ -1,7 +1,7 @@
 import { createStore, applyMiddleware } from 'redux'
 import { composeWithDevTools } from 'remote-redux-devtools'
 import thunk from 'redux-thunk'
-import { saveSettings } from './middleware'
+import { saveSettings, saveMetrics, saveDownloads } from './middleware'
 import rootReducer from './rootReducer'
 
 // In development, send Redux actions to a local DevTools server
@@ -18,7 +18,9 @@ if (process.env.NODE_ENV === 'development') {
 export default function configureStore() {
   const store = createStore(
     rootReducer,
-    debugWrapper(applyMiddleware(thunk, saveSettings))
+    debugWrapper(
+      applyMiddleware(thunk, saveSettings, saveMetrics, saveDownloads)
+    )
   )
 
   if (module.hot) {
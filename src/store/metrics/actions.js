@@ -0,0 +1,5 @@
+const setPersistMetrics = persist => {
+  return { type: 'METRICS:SET_PERSIST', payload: { persist } }
+}
+
+export default setPersistMetrics
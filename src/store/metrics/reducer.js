@@ -0,0 +1,156 @@
+import { getPersistMetricsSetting } from '../../lib/utils'
+
+// Upper bound of samples kept per series, per plugin
+export const MAX_SAMPLES = 300
+
+export const initialState = {
+  persist: getPersistMetricsSetting(),
+  plugins: {
+    // Plugins dynamically populate within this object, e.g.
+    // geth: { blockNumber: [{ time, value }], peerCount: [], ... },
+  }
+}
+
+export const initialPluginMetrics = {
+  // Network the samples belong to, switching networks starts over
+  network: null,
+  blockNumber: [],
+  peerCount: [],
+  syncProgress: [],
+  blockInterval: [],
+  lastBlockTimestamp: null
+}
+
+export const appendSample = (series, time, value) => {
+  const samples = [...series, { time, value }]
+  return samples.length > MAX_SAMPLES
+    ? samples.slice(samples.length - MAX_SAMPLES)
+    : samples
+}
+
+// A lower block number means a resync or another chain, so the
+// series starts over. Repeated heads are ignored.
+const appendBlockNumber = (series, time, blockNumber) => {
+  const lastSample = series[series.length - 1]
+  if (!lastSample) return appendSample(series, time, blockNumber)
+  if (blockNumber < lastSample.value) return [{ time, value: blockNumber }]
+  if (blockNumber === lastSample.value) return series
+  return appendSample(series, time, blockNumber)
+}
+
+const getNetwork = config => (config && config.network) || null
+
+const getPluginMetrics = (state, pluginName) => {
+  return { ...initialPluginMetrics, ...state.plugins[pluginName] }
+}
+
+const setPluginMetrics = (state, pluginName, pluginMetrics) => {
+  return {
+    ...state,
+    plugins: { ...state.plugins, [pluginName]: pluginMetrics }
+  }
+}
+
+const metrics = (state = initialState, action) => {
+  switch (action.type) {
+    case 'PLUGIN:INIT': {
+      const { pluginName, metrics: persistedMetrics, config } = action.payload
+      if (state.plugins[pluginName]) return state
+      const network = getNetwork(config)
+      const pluginMetrics = { ...initialPluginMetrics, network }
+      // Samples of another network would mix two chains in one chart
+      const isSameNetwork =
+        persistedMetrics && (persistedMetrics.network || null) === network
+      if (state.persist && isSameNetwork) {
+        Object.keys(initialPluginMetrics).forEach(key => {
+          if (Array.isArray(initialPluginMetrics[key])) {
+            const series = persistedMetrics[key]
+            pluginMetrics[key] = Array.isArray(series)
+              ? series.slice(-MAX_SAMPLES)
+              : []
+          }
+        })
+      }
+      return setPluginMetrics(state, pluginName, pluginMetrics)
+    }
+    case 'PLUGIN:START': {
+      const { pluginName, config } = action.payload
+      const pluginMetrics = getPluginMetrics(state, pluginName)
+      const network = getNetwork(config)
+      if (network === pluginMetrics.network) return state
+      return setPluginMetrics(state, pluginName, {
+        ...initialPluginMetrics,
+        network
+      })
+    }
+    case 'METRICS:SET_PERSIST': {
+      const { persist } = action.payload
+      return { ...state, persist }
+    }
+    case 'PLUGIN:UPDATE_NEW_BLOCK': {
+      const { pluginName, blockNumber, timestamp, time } = action.payload
+      const pluginMetrics = getPluginMetrics(state, pluginName)
+      const { lastBlockTimestamp } = pluginMetrics
+      const blockNumbers = appendBlockNumber(
+        pluginMetrics.blockNumber,
+        time,
+        blockNumber
+      )
+      if (blockNumbers === pluginMetrics.blockNumber) return state
+
+      const isRestarted = blockNumbers.length === 1
+      const newMetrics = {
+        ...pluginMetrics,
+        blockNumber: blockNumbers,
+        blockInterval: isRestarted ? [] : pluginMetrics.blockInterval,
+        lastBlockTimestamp: timestamp
+      }
+      if (
+        !isRestarted &&
+        lastBlockTimestamp &&
+        timestamp >= lastBlockTimestamp
+      ) {
+        newMetrics.blockInterval = appendSample(
+          pluginMetrics.blockInterval,
+          time,
+          timestamp - lastBlockTimestamp
+        )
+      }
+      return setPluginMetrics(state, pluginName, newMetrics)
+    }
+    case 'PLUGIN:UPDATE_PEER_COUNT': {
+      const { pluginName, peerCount, time } = action.payload
+      const pluginMetrics = getPluginMetrics(state, pluginName)
+      return setPluginMetrics(state, pluginName, {
+        ...pluginMetrics,
+        peerCount: appendSample(pluginMetrics.peerCount, time, peerCount)
+      })
+    }
+    case 'PLUGIN:UPDATE_SYNCING': {
+      const {
+        pluginName,
+        startingBlock,
+        currentBlock,
+        highestBlock,
+        time
+      } = action.payload
+      const pluginMetrics = getPluginMetrics(state, pluginName)
+      const range = highestBlock - startingBlock
+      const progress =
+        range > 0 ? ((currentBlock - startingBlock) / range) * 100 : 0
+      return setPluginMetrics(state, pluginName, {
+        ...pluginMetrics,
+        blockNumber: appendBlockNumber(
+          pluginMetrics.blockNumber,
+          time,
+          currentBlock
+        ),
+        syncProgress: appendSample(pluginMetrics.syncProgress, time, progress)
+      })
+    }
+    default:
+      return state
+  }
+}
+
+export default metrics
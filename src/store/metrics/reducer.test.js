@@ -0,0 +1,134 @@
+import reducer, {
+  initialState,
+  initialPluginMetrics,
+  MAX_SAMPLES
+} from './reducer'
+
+describe('the metrics reducer', () => {
+  it('should handle PLUGIN:INIT', () => {
+    const action = {
+      type: 'PLUGIN:INIT',
+      payload: { pluginName: 'geth', metrics: null }
+    }
+    const expectedState = {
+      ...initialState,
+      plugins: { geth: initialPluginMetrics }
+    }
+
+    expect(reducer(initialState, action)).toEqual(expectedState)
+  })
+
+  it('should only restore persisted metrics when persisting', () => {
+    const persisted = { peerCount: [{ time: 1, value: 5 }] }
+    const action = {
+      type: 'PLUGIN:INIT',
+      payload: { pluginName: 'geth', metrics: persisted }
+    }
+
+    expect(
+      reducer({ ...initialState, persist: false }, action).plugins.geth
+        .peerCount
+    ).toEqual([])
+    expect(
+      reducer({ ...initialState, persist: true }, action).plugins.geth.peerCount
+    ).toEqual([{ time: 1, value: 5 }])
+  })
+
+  it('should handle PLUGIN:UPDATE_NEW_BLOCK', () => {
+    const newBlock = (blockNumber, timestamp, time) => ({
+      type: 'PLUGIN:UPDATE_NEW_BLOCK',
+      payload: { pluginName: 'geth', blockNumber, timestamp, time }
+    })
+    let state = reducer(initialState, newBlock(10, 1000, 1))
+    state = reducer(state, newBlock(11, 1015, 2))
+    // Repeated head is ignored
+    state = reducer(state, newBlock(11, 1015, 3))
+
+    expect(state.plugins.geth.blockNumber).toEqual([
+      { time: 1, value: 10 },
+      { time: 2, value: 11 }
+    ])
+    expect(state.plugins.geth.blockInterval).toEqual([{ time: 2, value: 15 }])
+  })
+
+  it('should start over when the block number drops', () => {
+    const newBlock = (blockNumber, timestamp, time) => ({
+      type: 'PLUGIN:UPDATE_NEW_BLOCK',
+      payload: { pluginName: 'geth', blockNumber, timestamp, time }
+    })
+    let state = reducer(initialState, newBlock(1000, 1000, 1))
+    state = reducer(state, newBlock(1001, 1015, 2))
+    // e.g. resyncing from scratch
+    state = reducer(state, newBlock(5, 500, 3))
+    state = reducer(state, newBlock(6, 515, 4))
+
+    expect(state.plugins.geth.blockNumber).toEqual([
+      { time: 3, value: 5 },
+      { time: 4, value: 6 }
+    ])
+    expect(state.plugins.geth.blockInterval).toEqual([{ time: 4, value: 15 }])
+  })
+
+  it('should reset metrics when started on another network', () => {
+    const start = network => ({
+      type: 'PLUGIN:START',
+      payload: { pluginName: 'geth', config: { network } }
+    })
+    let state = reducer(initialState, start('main'))
+    state = reducer(state, {
+      type: 'PLUGIN:UPDATE_PEER_COUNT',
+      payload: { pluginName: 'geth', peerCount: 5, time: 1 }
+    })
+    expect(reducer(state, start('main'))).toBe(state)
+
+    const switched = reducer(state, start('goerli'))
+    expect(switched.plugins.geth).toEqual({
+      ...initialPluginMetrics,
+      network: 'goerli'
+    })
+  })
+
+  it('should not restore metrics persisted for another network', () => {
+    const action = {
+      type: 'PLUGIN:INIT',
+      payload: {
+        pluginName: 'geth',
+        config: { network: 'goerli' },
+        metrics: { network: 'main', peerCount: [{ time: 1, value: 5 }] }
+      }
+    }
+    const state = reducer({ ...initialState, persist: true }, action)
+    expect(state.plugins.geth.peerCount).toEqual([])
+    expect(state.plugins.geth.network).toEqual('goerli')
+  })
+
+  it('should handle PLUGIN:UPDATE_SYNCING', () => {
+    const action = {
+      type: 'PLUGIN:UPDATE_SYNCING',
+      payload: {
+        pluginName: 'geth',
+        startingBlock: 0,
+        currentBlock: 25,
+        highestBlock: 100,
+        time: 1
+      }
+    }
+    const state = reducer(initialState, action)
+
+    expect(state.plugins.geth.syncProgress).toEqual([{ time: 1, value: 25 }])
+    expect(state.plugins.geth.blockNumber).toEqual([{ time: 1, value: 25 }])
+  })
+
+  it('should bound PLUGIN:UPDATE_PEER_COUNT samples', () => {
+    let state = initialState
+    for (let i = 0; i < MAX_SAMPLES + 5; i += 1) {
+      state = reducer(state, {
+        type: 'PLUGIN:UPDATE_PEER_COUNT',
+        payload: { pluginName: 'geth', peerCount: i, time: i }
+      })
+    }
+
+    expect(state.plugins.geth.peerCount.length).toEqual(MAX_SAMPLES)
+    expect(state.plugins.geth.peerCount[0]).toEqual({ time: 5, value: 5 })
+  })
+})
@@ -1,5 +1,19 @@
+import throttle from 'lodash/throttle'
 import { Grid } from '../API'
 
+const RELEASE_STORAGE_ACTIONS = [
+  'PLUGIN:START',
+  'PLUGIN:SET_KEEP_RELEASES',
+  'PLUGIN:RELEASE_DELETED'
+]
+
+const UPDATE_ACTIONS = [
+  'PLUGIN:SET_UPDATE_POLICY',
+  'PLUGIN:UPDATE_PENDING',
+  'PLUGIN:UPDATE_APPLIED',
+  'PLUGIN:UPDATE_REVERTED'
+]
+
 // eslint-disable-next-line
 export const saveSettings = store => next => async action => {
   if (action.type === 'PLUGIN:SET_CONFIG') {
@@ -31,5 +45,219 @@ export const saveSettings = store => next => async action => {
     Grid.Config.setItem('settings', newSettings)
   }
 
+  if (action.type === 'PLUGIN:ADD_COMMAND_HISTORY') {
+    const result = next(action)
+    const { pluginName } = action.payload
+    const commandHistory = Grid.Config.getItem('commandHistory')
+    const newCommandHistory = Object.assign({}, commandHistory, {
+      [pluginName]: store.getState().plugin[pluginName].commandHistory
+    })
+    Grid.Config.setItem('commandHistory', newCommandHistory)
+    return result
+  }
+
+  if (action.type.startsWith('PLUGIN:PROFILE:')) {
+    const result = next(action)
+    const { pluginName } = action.payload
+    const { activeProfile, profiles } = store.getState().plugin[pluginName]
+    const persistedProfiles = Grid.Config.getItem('profiles')
+    const newProfiles = Object.assign({}, persistedProfiles, {
+      [pluginName]: { active: activeProfile, profiles }
+    })
+    Grid.Config.setItem('profiles', newProfiles)
+    return result
+  }
+
+  if (action.type === 'PLUGIN:SET_ENVIRONMENT') {
+    const result = next(action)
+    const { pluginName, environment, workingDir } = action.payload
+    const persistedEnvironment = Grid.Config.getItem('environment')
+    const newEnvironment = Object.assign({}, persistedEnvironment, {
+      [pluginName]: { environment, workingDir }
+    })
+    Grid.Config.setItem('environment', newEnvironment)
+    return result
+  }
+
+  if (action.type === 'PLUGIN:SET_RELEASE_FILTER') {
+    const result = next(action)
+    const { pluginName } = action.payload
+    const releaseFilters = Grid.Config.getItem('releaseFilters')
+    const newReleaseFilters = Object.assign({}, releaseFilters, {
+      [pluginName]: store.getState().plugin[pluginName].releaseFilter
+    })
+    Grid.Config.setItem('releaseFilters', newReleaseFilters)
+    return result
+  }
+
+  if (RELEASE_STORAGE_ACTIONS.includes(action.type)) {
+    const result = next(action)
+    const { pluginName } = action.payload
+    const { releaseUsage, keepReleases } = store.getState().plugin[pluginName]
+    const releaseStorage = Grid.Config.getItem('releaseStorage')
+    const newReleaseStorage = Object.assign({}, releaseStorage, {
+      [pluginName]: { usage: releaseUsage, keepReleases }
+    })
+    Grid.Config.setItem('releaseStorage', newReleaseStorage)
+    return result
+  }
+
+  if (UPDATE_ACTIONS.includes(action.type)) {
+    const result = next(action)
+    const { pluginName } = action.payload
+    const {
+      updatePolicy,
+      pendingUpdate,
+      previousRelease
+    } = store.getState().plugin[pluginName]
+    const updates = Grid.Config.getItem('updates')
+    const newUpdates = Object.assign({}, updates, {
+      [pluginName]: { policy: updatePolicy, pendingUpdate, previousRelease }
+    })
+    Grid.Config.setItem('updates', newUpdates)
+    return result
+  }
+
+  if (action.type === 'PLUGIN:SET_AUTOSTART') {
+    const result = next(action)
+    const { pluginName } = action.payload
+    const autostart = Grid.Config.getItem('autostart')
+    const newAutostart = Object.assign({}, autostart, {
+      [pluginName]: store.getState().plugin[pluginName].autostart
+    })
+    Grid.Config.setItem('autostart', newAutostart)
+    return result
+  }
+
+  if (action.type === 'PLUGIN:SET_DEPENDENCIES') {
+    const result = next(action)
+    const { pluginName } = action.payload
+    const dependencies = Grid.Config.getItem('dependencies')
+    const newDependencies = Object.assign({}, dependencies, {
+      [pluginName]: store.getState().plugin[pluginName].userDependencies
+    })
+    Grid.Config.setItem('dependencies', newDependencies)
+    return result
+  }
+
+  if (action.type === 'PLUGIN:SET_RESTART_POLICY') {
+    const result = next(action)
+    const { pluginName } = action.payload
+    const restartPolicies = Grid.Config.getItem('restartPolicies')
+    const newRestartPolicies = Object.assign({}, restartPolicies, {
+      [pluginName]: store.getState().plugin[pluginName].restartPolicy
+    })
+    Grid.Config.setItem('restartPolicies', newRestartPolicies)
+    return result
+  }
+
+  if (action.type === 'PLUGIN:STATUS_UPDATE') {
+    const { pluginName } = action.payload
+    const getHistory = () =>
+      (store.getState().plugin[pluginName] || {}).releaseHistory
+    const previousHistory = getHistory()
+    const result = next(action)
+    const releaseHistory = getHistory()
+    // Only successful starts change the history
+    if (releaseHistory !== previousHistory) {
+      const persistedHistory = Grid.Config.getItem('releaseHistory')
+      const newHistory = Object.assign({}, persistedHistory, {
+        [pluginName]: releaseHistory
+      })
+      Grid.Config.setItem('releaseHistory', newHistory)
+    }
+    return result
+  }
+
+  if (action.type === 'PLUGIN:SET_TERMINAL_CAPACITY') {
+    const settings = Grid.Config.getItem('settings')
+    const newSettings = Object.assign({}, settings, {
+      terminalCapacity: action.payload.capacity
+    })
+    Grid.Config.setItem('settings', newSettings)
+  }
+
   return next(action)
 }
+
+const METRICS_ACTIONS = [
+  'PLUGIN:START',
+  'PLUGIN:UPDATE_NEW_BLOCK',
+  'PLUGIN:UPDATE_PEER_COUNT',
+  'PLUGIN:UPDATE_SYNCING'
+]
+
+// Writing on every block would hit the disk every few seconds
+const persistMetrics = throttle(
+  metricsState => {
+    if (metricsState.persist) {
+      Grid.Config.setItem('metrics', metricsState.plugins)
+    }
+  },
+  30000,
+  { leading: false }
+)
+
+export const saveMetrics = store => next => action => {
+  const result = next(action)
+
+  if (action.type === 'METRICS:SET_PERSIST') {
+    const settings = Grid.Config.getItem('settings')
+    const newSettings = Object.assign({}, settings, {
+      persistMetrics: action.payload.persist
+    })
+    Grid.Config.setItem('settings', newSettings)
+    if (action.payload.persist) {
+      persistMetrics(store.getState().metrics)
+      persistMetrics.flush()
+    } else {
+      persistMetrics.cancel()
+      Grid.Config.setItem('metrics', {})
+    }
+  }
+
+  if (METRICS_ACTIONS.includes(action.type)) {
+    persistMetrics(store.getState().metrics)
+  }
+
+  return result
+}
+
+const RESUMABLE_STATUSES = [
+  'queued',
+  'downloading',
+  'extracting',
+  'interrupted'
+]
+
+// Progress updates arrive many times per second
+const persistDownloads = throttle(
+  downloadsState => {
+    const unfinished = downloadsState.order
+      .map(id => downloadsState.items[id])
+      .filter(download => RESUMABLE_STATUSES.includes(download.status))
+      .map(({ id, pluginName, release, progress, isUpdate }) => ({
+        id,
+        pluginName,
+        release,
+        progress,
+        isUpdate
+      }))
+    Grid.Config.setItem('downloads', unfinished)
+  },
+  5000,
+  { leading: false }
+)
+
+export const saveDownloads = store => next => action => {
+  const result = next(action)
+
+  if (action.type.startsWith('DOWNLOADS:')) {
+    persistDownloads(store.getState().downloads)
+    if (action.type !== 'DOWNLOADS:PROGRESS') {
+      persistDownloads.flush()
+    }
+  }
+
+  return result
+}
@@ -4,9 +4,50 @@ import {
   getPersistedFlags,
   getDefaultSetting,
   getPluginSettingsConfig,
-  getSettingsIds
+  getSettingsIds,
+  getPersistedMetrics,
+  getPersistedCommandHistory,
+  getPersistedProfiles,
+  getPersistedEnvironment,
+  getPersistedReleaseFilter,
+  getPersistedReleaseStorage,
+  getPersistedUpdates,
+  getPersistedReleaseHistory,
+  getPersistedRestartPolicy,
+  getPersistedAutostart,
+  getPersistedDependencies,
+  getManifestDependencies,
+  getPluginFlagCatalog,
+  getFlagBuiltins,
+  checkPathExists,
+  getKnownPathExists
 } from '../../lib/utils'
-import { generateFlags } from '../../lib/flags'
+import {
+  generateFlags,
+  getFlagVariables,
+  getSettingFlagNames,
+  getUnresolvedReferences,
+  parseFlags
+} from '../../lib/flags'
+import { lintFlags } from '../../lib/flagLinter'
+import { DEFAULT_PROFILE } from '../../lib/profiles'
+import { getPathsToCheck, validateConfig } from '../../lib/validation'
+import { getConditionErrors } from '../../lib/conditions'
+import { BUILTIN_VARIABLES } from '../../lib/interpolation'
+import { toEnvironmentObject, validateEnvironment } from '../../lib/environment'
+import { getReleasesToPrune, getStorageEntries } from '../../lib/releaseStorage'
+import { findUpdate, isSameRelease } from '../../lib/updates'
+import { getPreviousRelease } from '../../lib/releaseHistory'
+import { getRestartDecision } from '../../lib/restartPolicy'
+import { getAutostartPlugins } from '../../lib/autostart'
+import {
+  getDependencies,
+  getDependents,
+  getReachedStates,
+  getStartOrder,
+  isStateReached
+} from '../../lib/pluginDependencies'
+import { enqueueDownload } from '../downloads/actions'
 
 export const onConnectionUpdate = (pluginName, status) => {
   return { type: 'PLUGIN:STATUS_UPDATE', payload: { pluginName, status } }
@@ -22,8 +63,12 @@ const buildPluginSettings = (plugin, restoreDefaults = false) => {
     if (settingsIds.length && persistedSettings) {
       if (Object.keys(persistedSettings).length) {
         settingsIds.forEach(id => {
+          const persisted = persistedSettings[id]
+          // Unchecked boolean settings are persisted as false
           pluginDefaults[id] =
-            persistedSettings[id] || getDefaultSetting(plugin, id)
+            persisted || persisted === false
+              ? persisted
+              : getDefaultSetting(plugin, id)
         })
         return pluginDefaults
       }
@@ -42,7 +87,77 @@ const buildPluginSettings = (plugin, restoreDefaults = false) => {
 
 export const getGeneratedFlags = (plugin, config) => {
   const settings = getPluginSettingsConfig(plugin)
-  return generateFlags(config, settings)
+  return generateFlags(config, settings, getFlagBuiltins(plugin, config))
+}
+
+const getReferenceErrors = (plugin, config) => {
+  const settings = getPluginSettingsConfig(plugin)
+  const builtins = getFlagBuiltins(plugin, config)
+  return getUnresolvedReferences(config, settings, builtins).map(
+    ({ id, name }) => {
+      const setting = settings.find(s => s.id === id) || {}
+      const label = setting.label || id
+      let reason = 'which is unknown'
+      if (settings.some(s => s.id === name)) {
+        reason = 'which is empty or disabled'
+      } else if (BUILTIN_VARIABLES.includes(name)) {
+        // Built-ins are never empty, only missing when the host lacks them
+        reason = 'which is not available on this host'
+      }
+      return { id, message: `${label} references \${${name}}, ${reason}` }
+    }
+  )
+}
+
+export const getConfigErrors = (plugin, config) => {
+  const settings = getPluginSettingsConfig(plugin)
+  return [
+    ...validateConfig(config, settings, { pathExists: getKnownPathExists }),
+    ...getReferenceErrors(plugin, config)
+  ]
+}
+
+// Asks the host about the config's paths, so getConfigErrors knows them
+const checkConfigPaths = (plugin, config) => {
+  const settings = getPluginSettingsConfig(plugin)
+  return Promise.all(getPathsToCheck(config, settings).map(checkPathExists))
+}
+
+// Groups of custom flags that don't map to any setting, e.g. [['--foo', 'bar']]
+export const getUnrecognizedFlags = (plugin, flags, config = {}) => {
+  const settings = getPluginSettingsConfig(plugin)
+  const variables = getFlagVariables(
+    config,
+    settings,
+    getFlagBuiltins(plugin, config)
+  )
+  return parseFlags(flags, settings, variables).unrecognized
+}
+
+// Findings of the flag linter for a plugin's final flags
+export const lintPluginFlags = (plugin, flags) => {
+  const settings = getPluginSettingsConfig(plugin)
+  const { flags: knownFlags, repeatable } = getSettingFlagNames(settings)
+  return lintFlags(flags, {
+    catalog: getPluginFlagCatalog(plugin),
+    knownFlags,
+    repeatableFlags: repeatable
+  })
+}
+
+export const addPluginError = (pluginName, error) => {
+  return (dispatch, getState) => {
+    const state = getState()
+    if (state.plugin[pluginName].errors.find(e => e.key === error.key)) {
+      return
+    }
+    dispatch({ type: 'PLUGIN:ERROR:ADD', error, payload: { pluginName } })
+  }
+}
+
+// For errors raised here rather than by the host, nothing to dismiss there
+const removePluginError = (pluginName, key) => {
+  return { type: 'PLUGIN:ERROR:CLEAR', payload: { pluginName, key } }
 }
 
 export const initPlugin = plugin => {
@@ -52,6 +167,24 @@ export const initPlugin = plugin => {
     const flags =
       getPersistedFlags(plugin.name) || getGeneratedFlags(plugin, config)
     const release = plugin.plugin.getSelectedRelease()
+    const metrics = getPersistedMetrics(plugin.name)
+    const commandHistory = getPersistedCommandHistory(plugin.name)
+    const { environment, workingDir } =
+      getPersistedEnvironment(plugin.name) || {}
+    const releaseFilter = getPersistedReleaseFilter(plugin.name)
+    const releaseStorage = getPersistedReleaseStorage(plugin.name)
+    const updates = getPersistedUpdates(plugin.name)
+    const releaseHistory = getPersistedReleaseHistory(plugin.name)
+    const restartPolicy = getPersistedRestartPolicy(plugin.name)
+    const autostart = getPersistedAutostart(plugin.name)
+    const userDependencies = getPersistedDependencies(plugin.name)
+    // The active profile always reflects the current settings
+    const persistedProfiles = getPersistedProfiles(plugin.name) || {}
+    const activeProfile = persistedProfiles.active || DEFAULT_PROFILE
+    const profiles = {
+      ...persistedProfiles.profiles,
+      [activeProfile]: { config, flags, release }
+    }
 
     dispatch({
       type: 'PLUGIN:INIT',
@@ -61,10 +194,35 @@ export const initPlugin = plugin => {
         pluginData,
         config,
         flags,
-        release
+        release,
+        metrics,
+        commandHistory,
+        activeProfile,
+        profiles,
+        environment,
+        workingDir,
+        releaseFilter,
+        releaseStorage,
+        updates,
+        releaseHistory,
+        restartPolicy,
+        autostart,
+        manifestDependencies: getManifestDependencies(plugin),
+        userDependencies
       }
     })
 
+    getConditionErrors(getPluginSettingsConfig(plugin)).forEach(
+      ({ id, message }) => {
+        dispatch(
+          addPluginError(plugin.name, {
+            key: `invalid-condition-${id}`,
+            message
+          })
+        )
+      }
+    )
+
     PluginService.createNewStateListener(plugin, dispatch)
 
     if (plugin.isRunning) {
@@ -81,7 +239,7 @@ export const dismissFlagWarning = () => {
 export const newBlock = (pluginName, blockNumber, timestamp) => {
   return {
     type: 'PLUGIN:UPDATE_NEW_BLOCK',
-    payload: { pluginName, blockNumber, timestamp }
+    payload: { pluginName, blockNumber, timestamp, time: Date.now() }
   }
 }
 
@@ -97,11 +255,19 @@ export const updateSyncing = (
       currentBlock,
       highestBlock,
       knownStates,
-      pulledStates
+      pulledStates,
+      time: Date.now()
     }
   }
 }
 
+export const updateSyncEstimate = (pluginName, syncEstimate) => {
+  return {
+    type: 'PLUGIN:UPDATE_SYNC_ESTIMATE',
+    payload: { pluginName, syncEstimate }
+  }
+}
+
 export const clearSyncing = pluginName => {
   return {
     type: 'PLUGIN:CLEAR_SYNCING',
@@ -116,7 +282,7 @@ export const updatePeerCount = (pluginName, peerCount) => {
     if (peerCount !== getState().plugin[pluginName].active.peerCount) {
       dispatch({
         type: 'PLUGIN:UPDATE_PEER_COUNT',
-        payload: { pluginName, peerCount }
+        payload: { pluginName, peerCount, time: Date.now() }
       })
     }
   }
@@ -130,16 +296,6 @@ export const updatePeerCountError = (pluginName, message) => {
   }
 }
 
-export const addPluginError = (pluginName, error) => {
-  return (dispatch, getState) => {
-    const state = getState()
-    if (state.plugin[pluginName].errors.find(e => e.key === error.key)) {
-      return
-    }
-    dispatch({ type: 'PLUGIN:ERROR:ADD', error, payload: { pluginName } })
-  }
-}
-
 export const getPluginErrors = plugin => {
   return dispatch => {
     plugin.getErrors().forEach(error => {
@@ -168,6 +324,27 @@ export const selectTab = tab => {
   return { type: 'PLUGIN:SELECT_TAB', payload: { tab } }
 }
 
+export const setTerminalCapacity = capacity => {
+  return { type: 'PLUGIN:SET_TERMINAL_CAPACITY', payload: { capacity } }
+}
+
+// Read when a log export is made, so the terminal needn't subscribe
+// to the whole plugin state
+export const getLogExportInfo = pluginName => {
+  return (dispatch, getState) => {
+    const { active = {}, release = {}, flags } =
+      getState().plugin[pluginName] || {}
+    return { version: active.version || release.version, flags }
+  }
+}
+
+export const addCommandHistory = (pluginName, command) => {
+  return {
+    type: 'PLUGIN:ADD_COMMAND_HISTORY',
+    payload: { pluginName, command }
+  }
+}
+
 export const setRelease = (plugin, release) => {
   plugin.plugin.setSelectedRelease(release)
   return {
@@ -186,14 +363,57 @@ export const setCustomFlags = (pluginName, flags) => {
   return { type: 'PLUGIN:SET_FLAGS', payload: { pluginName, flags } }
 }
 
-export const setConfig = (plugin, config) => {
-  return dispatch => {
+/**
+ * With keepUnrecognizedFlags, custom flags that don't belong to
+ * a setting survive regenerating the flags from the new config.
+ */
+export const setConfig = (plugin, config, keepUnrecognizedFlags = false) => {
+  return (dispatch, getState) => {
     const pluginName = plugin.name
+    const { flags, config: previousConfig } = getState().plugin[pluginName]
     dispatch({
       type: 'PLUGIN:SET_CONFIG',
       payload: { pluginName, config }
     })
-    dispatch(setFlags(plugin, config))
+    // The current flags were generated from, and reference, the previous config
+    const unrecognizedFlags = keepUnrecognizedFlags
+      ? getUnrecognizedFlags(plugin, flags, previousConfig)
+      : []
+    if (unrecognizedFlags.length) {
+      const generatedFlags = getGeneratedFlags(plugin, config)
+      const extraFlags = [].concat(...unrecognizedFlags)
+      dispatch(setCustomFlags(pluginName, [...generatedFlags, ...extraFlags]))
+    } else {
+      dispatch(setFlags(plugin, config))
+    }
+  }
+}
+
+/**
+ * Sets custom flags and updates the settings they map to,
+ * so the form reflects what was typed.
+ */
+export const applyCustomFlags = (plugin, flags) => {
+  return (dispatch, getState) => {
+    const pluginName = plugin.name
+    const { config } = getState().plugin[pluginName]
+    const settings = getPluginSettingsConfig(plugin)
+    const variables = getFlagVariables(
+      config,
+      settings,
+      getFlagBuiltins(plugin, config)
+    )
+    const { config: flagsConfig } = parseFlags(flags, settings, variables)
+    dispatch(setCustomFlags(pluginName, flags))
+    const isChanged = Object.keys(flagsConfig).some(
+      id => flagsConfig[id] !== config[id]
+    )
+    if (isChanged) {
+      dispatch({
+        type: 'PLUGIN:SET_CONFIG',
+        payload: { pluginName, config: { ...config, ...flagsConfig } }
+      })
+    }
   }
 }
 
@@ -204,14 +424,315 @@ export const restoreDefaultSettings = plugin => {
   }
 }
 
+const getProfileSnapshot = ({ config, flags, release }) => {
+  return { config, flags, release }
+}
+
+const saveProfile = (pluginName, name, profile) => {
+  return {
+    type: 'PLUGIN:PROFILE:SAVE',
+    payload: { pluginName, name, profile }
+  }
+}
+
+export const switchProfile = (plugin, name) => {
+  return (dispatch, getState) => {
+    const pluginName = plugin.name
+    const pluginState = getState().plugin[pluginName]
+    const profile = pluginState.profiles[name]
+    if (!profile || name === pluginState.activeProfile) return
+
+    // Keep the current settings in the profile we're leaving
+    dispatch(
+      saveProfile(
+        pluginName,
+        pluginState.activeProfile,
+        getProfileSnapshot(pluginState)
+      )
+    )
+    dispatch({
+      type: 'PLUGIN:PROFILE:ACTIVATE',
+      payload: { pluginName, name }
+    })
+    dispatch({
+      type: 'PLUGIN:SET_CONFIG',
+      payload: { pluginName, config: profile.config }
+    })
+    dispatch(setCustomFlags(pluginName, profile.flags))
+    if (profile.release && profile.release.version) {
+      dispatch(setRelease(plugin, profile.release))
+    }
+  }
+}
+
+export const createProfile = (plugin, name) => {
+  return (dispatch, getState) => {
+    const config = buildPluginSettings(plugin, true)
+    const { release } = getState().plugin[plugin.name]
+    const flags = getGeneratedFlags(plugin, config)
+    dispatch(saveProfile(plugin.name, name, { config, flags, release }))
+    dispatch(switchProfile(plugin, name))
+  }
+}
+
+export const duplicateProfile = (plugin, sourceName, name) => {
+  return (dispatch, getState) => {
+    const pluginState = getState().plugin[plugin.name]
+    const profile =
+      sourceName === pluginState.activeProfile
+        ? getProfileSnapshot(pluginState)
+        : pluginState.profiles[sourceName]
+    if (!profile) return
+    dispatch(saveProfile(plugin.name, name, profile))
+    dispatch(switchProfile(plugin, name))
+  }
+}
+
+export const renameProfile = (pluginName, name, newName) => {
+  return {
+    type: 'PLUGIN:PROFILE:RENAME',
+    payload: { pluginName, name, newName }
+  }
+}
+
+export const deleteProfile = (plugin, name) => {
+  return (dispatch, getState) => {
+    const { profiles, activeProfile } = getState().plugin[plugin.name]
+    const otherNames = Object.keys(profiles).filter(n => n !== name)
+    // There is always at least one profile
+    if (!otherNames.length) return
+    if (name === activeProfile) {
+      dispatch(switchProfile(plugin, otherNames[0]))
+    }
+    dispatch({
+      type: 'PLUGIN:PROFILE:DELETE',
+      payload: { pluginName: plugin.name, name }
+    })
+  }
+}
+
+export const applyConfigImport = (plugin, { config, flags, release }) => {
+  return async dispatch => {
+    dispatch(setConfig(plugin, config))
+    const generatedFlags = getGeneratedFlags(plugin, config)
+    if (flags && flags.join(' ') !== generatedFlags.join(' ')) {
+      dispatch(setCustomFlags(plugin.name, flags))
+    }
+    if (!release) return { releaseFound: true }
+
+    // Prefer an already downloaded copy of the pinned release
+    const releases = (await plugin.getReleases()).sort(
+      (a, b) => Number(a.remote) - Number(b.remote)
+    )
+    const match =
+      releases.find(r => release.fileName && r.fileName === release.fileName) ||
+      releases.find(r => r.version === release.version)
+    if (!match) return { releaseFound: false }
+    dispatch(setRelease(plugin, match))
+    return { releaseFound: true }
+  }
+}
+
+// Merges the given fields into the plugin's release list filter
+export const setReleaseFilter = (pluginName, filter) => {
+  return {
+    type: 'PLUGIN:SET_RELEASE_FILTER',
+    payload: { pluginName, filter }
+  }
+}
+
+export const setEnvironment = (pluginName, environment, workingDir) => {
+  return {
+    type: 'PLUGIN:SET_ENVIRONMENT',
+    payload: { pluginName, environment, workingDir }
+  }
+}
+
+const getEnvironmentErrors = environment =>
+  validateEnvironment(environment).map(message => ({
+    id: 'environment',
+    message
+  }))
+
+export const setKeepReleases = (pluginName, keepReleases) => {
+  return {
+    type: 'PLUGIN:SET_KEEP_RELEASES',
+    payload: { pluginName, keepReleases }
+  }
+}
+
+// Releases in use, or needed to apply or revert an update or to go
+// back to the last working release, must never be deleted
+export const getProtectedFileNames = pluginState => {
+  const {
+    release,
+    active,
+    previousRelease,
+    pendingUpdate,
+    releaseHistory
+  } = pluginState
+  const lastWorkingRelease = getPreviousRelease(releaseHistory, release)
+  return {
+    selectedFileName: release.fileName,
+    runningFileName: active.fileName,
+    previousFileName: previousRelease ? previousRelease.fileName : null,
+    pendingFileName: pendingUpdate ? pendingUpdate.fileName : null,
+    lastWorkingFileName: lastWorkingRelease ? lastWorkingRelease.fileName : null
+  }
+}
+
+/**
+ * Deletes a downloaded release through the host.
+ * Resolves with an error message if it was refused or failed.
+ */
+export const deleteRelease = (plugin, release) => {
+  return async (dispatch, getState) => {
+    const pluginState = getState().plugin[plugin.name]
+    const protectedFileNames = Object.values(getProtectedFileNames(pluginState))
+    if (release.remote) {
+      return { error: `${release.fileName} is not downloaded` }
+    }
+    if (protectedFileNames.includes(release.fileName)) {
+      return { error: `${release.fileName} is in use and can't be deleted` }
+    }
+    if (typeof plugin.deleteRelease !== 'function') {
+      return { error: 'This version of Grid cannot delete releases' }
+    }
+    try {
+      await plugin.deleteRelease(release)
+    } catch (error) {
+      return { error: `Could not delete ${release.fileName}: ${error.message}` }
+    }
+    dispatch({
+      type: 'PLUGIN:RELEASE_DELETED',
+      payload: { pluginName: plugin.name, fileName: release.fileName }
+    })
+    return {}
+  }
+}
+
+/**
+ * Applies the "keep last N" policy, deleting the least recently used
+ * releases. Resolves with the deleted releases and any errors.
+ */
+export const pruneReleases = (plugin, releases) => {
+  return async (dispatch, getState) => {
+    const pluginState = getState().plugin[plugin.name]
+    const { keepReleases, releaseUsage } = pluginState
+    let localReleases = releases
+    try {
+      localReleases = localReleases || (await plugin.getReleases())
+    } catch (error) {
+      return { deleted: [], errors: [error.message] }
+    }
+    const entries = getStorageEntries(localReleases, {
+      usage: releaseUsage,
+      ...getProtectedFileNames(pluginState)
+    })
+    const deleted = []
+    const errors = []
+    // One at a time, the host may lock the cache directory
+    // eslint-disable-next-line no-restricted-syntax
+    for (const { release } of getReleasesToPrune(entries, keepReleases)) {
+      // eslint-disable-next-line no-await-in-loop
+      const { error } = await dispatch(deleteRelease(plugin, release))
+      if (error) {
+        errors.push(error)
+      } else {
+        deleted.push(release)
+      }
+    }
+    return { deleted, errors }
+  }
+}
+
+// Merges the given fields into the plugin's restart policy
+export const setRestartPolicy = (pluginName, policy) => {
+  return {
+    type: 'PLUGIN:SET_RESTART_POLICY',
+    payload: { pluginName, policy }
+  }
+}
+
+// Timers of scheduled automatic restarts, keyed by plugin name
+const restartTimers = {}
+
+// The user took over, drop any scheduled restart
+export const cancelRestart = pluginName => {
+  clearTimeout(restartTimers[pluginName])
+  delete restartTimers[pluginName]
+  return { type: 'PLUGIN:RESTART_CANCELLED', payload: { pluginName } }
+}
+
+// Grid is closing: the host stops the plugins, that's no crash to recover
+export const stopSupervision = () => {
+  PluginService.unsuperviseAll()
+  Object.keys(restartTimers).forEach(pluginName => {
+    clearTimeout(restartTimers[pluginName])
+    delete restartTimers[pluginName]
+  })
+}
+
+// How long a client may take from start to 'CONNECTED'
+const CONNECT_TIMEOUT = 5 * 60 * 1000
+
 export const startPlugin = (plugin, release) => {
   return (dispatch, getState) => {
     try {
-      const { config, flags } = getState().plugin[plugin.name]
-      PluginService.start(plugin, release, flags, config, dispatch)
+      const { config, flags, environment, workingDir } = getState().plugin[
+        plugin.name
+      ]
+      const configErrors = [
+        ...getConfigErrors(plugin, config),
+        ...getEnvironmentErrors(environment)
+      ]
+      if (configErrors.length) {
+        const errorList = configErrors.map(e => e.message).join('; ')
+        const message = `Cannot start ${plugin.name}, please fix: ${errorList}`
+        // Replaces the last refusal, its list may be outdated
+        dispatch(removePluginError(plugin.name, 'invalid-config'))
+        dispatch(
+          addPluginError(plugin.name, { key: 'invalid-config', message })
+        )
+        return dispatch({
+          type: 'PLUGIN:START:ERROR',
+          error: message,
+          payload: { pluginName: plugin.name, configErrors }
+        })
+      }
+      dispatch(removePluginError(plugin.name, 'invalid-config'))
+      const started = PluginService.start(plugin, release, flags, config, {
+        env: toEnvironmentObject(environment),
+        cwd: workingDir || undefined
+      })
+      if (plugin.type === 'client') {
+        // A client that never connects counts as a failed start.
+        // Stopping ends the wait, the status update tells how it went.
+        started
+          .then(() =>
+            PluginService.waitForState(
+              plugin,
+              ['connected', 'stopped', 'error'],
+              CONNECT_TIMEOUT
+            )
+          )
+          .catch(() => {
+            dispatch({
+              type: 'PLUGIN:START_FAILED',
+              payload: { pluginName: plugin.name }
+            })
+          })
+      }
       return dispatch({
         type: 'PLUGIN:START',
-        payload: { pluginName: plugin.name, version: release.version, config }
+        payload: {
+          pluginName: plugin.name,
+          version: release.version,
+          fileName: release.fileName,
+          time: Date.now(),
+          release,
+          config
+        }
       })
     } catch (error) {
       return dispatch({ type: 'PLUGIN:START:ERROR', error: error.toString() })
@@ -222,6 +743,7 @@ export const startPlugin = (plugin, release) => {
 export const stopPlugin = plugin => {
   return dispatch => {
     try {
+      dispatch(cancelRestart(plugin.name))
       PluginService.stop(plugin)
       dispatch({ type: 'PLUGIN:STOP', payload: { pluginName: plugin.name } })
     } catch (e) {
@@ -230,19 +752,385 @@ export const stopPlugin = plugin => {
   }
 }
 
-export const togglePlugin = (plugin, release) => {
+/**
+ * Stops the plugin, waits for its process to exit and starts it again,
+ * e.g. to switch to another release.
+ */
+export const restartPlugin = (plugin, release) => {
   return async dispatch => {
+    if (plugin.isRunning) {
+      dispatch(stopPlugin(plugin))
+      await PluginService.waitForState(plugin, ['stopped', 'error'])
+    }
+    return dispatch(startPlugin(plugin, release))
+  }
+}
+
+export const setUpdatePolicy = (pluginName, policy) => {
+  return { type: 'PLUGIN:SET_UPDATE_POLICY', payload: { pluginName, policy } }
+}
+
+// Restarts a running plugin on another release, throws if it won't start
+const restartOnRelease = (plugin, release) => {
+  return async dispatch => {
+    if (!plugin.isRunning) return
+    const result = await dispatch(restartPlugin(plugin, release))
+    if (result.type !== 'PLUGIN:START') {
+      throw new Error(
+        result.error || `Could not start ${plugin.name} ${release.version}`
+      )
+    }
+  }
+}
+
+/**
+ * Switches to the pending update, recording the current release so the
+ * update can be reverted. A running plugin is restarted on the update,
+ * and the switch is only recorded once it started.
+ */
+export const applyUpdate = plugin => {
+  return async (dispatch, getState) => {
+    const { pendingUpdate, release } = getState().plugin[plugin.name]
+    if (!pendingUpdate) return null
+    await dispatch(restartOnRelease(plugin, pendingUpdate))
+    dispatch({
+      type: 'PLUGIN:UPDATE_APPLIED',
+      payload: { pluginName: plugin.name, previousRelease: release }
+    })
+    dispatch(setRelease(plugin, pendingUpdate))
+    return pendingUpdate
+  }
+}
+
+export const revertUpdate = plugin => {
+  return async (dispatch, getState) => {
+    const { previousRelease } = getState().plugin[plugin.name]
+    if (!previousRelease) return null
+    await dispatch(restartOnRelease(plugin, previousRelease))
+    dispatch({
+      type: 'PLUGIN:UPDATE_REVERTED',
+      payload: { pluginName: plugin.name }
+    })
+    dispatch(setRelease(plugin, previousRelease))
+    return previousRelease
+  }
+}
+
+// Called by the download queue once an update is on disk
+export const updateDownloaded = (plugin, release) => {
+  return (dispatch, getState) => {
+    dispatch({
+      type: 'PLUGIN:UPDATE_PENDING',
+      payload: { pluginName: plugin.name, release }
+    })
+    const { updatePolicy } = getState().plugin[plugin.name]
+    // Applied right away if nothing needs to restart
+    if (updatePolicy === 'apply' && !plugin.isRunning) {
+      dispatch(applyUpdate(plugin))
+    }
+  }
+}
+
+/**
+ * Looks for a newer release and acts on it according to the plugin's
+ * update policy. Resolves with the update, or null.
+ */
+export const checkForUpdate = plugin => {
+  return async (dispatch, getState) => {
+    const { release, updatePolicy, pendingUpdate } = getState().plugin[
+      plugin.name
+    ]
+    // E.g. downloaded while the node was running in the last session
+    if (pendingUpdate && updatePolicy === 'apply' && !plugin.isRunning) {
+      return dispatch(applyUpdate(plugin))
+    }
+    let update = null
+    try {
+      update = findUpdate(await plugin.getReleases(), release)
+    } catch (error) {
+      dispatch(
+        addPluginError(plugin.name, {
+          key: 'update-check-failed',
+          message: `Update check for ${plugin.name} failed: ${error.message}`
+        })
+      )
+      return null
+    }
+    dispatch({
+      type: 'PLUGIN:UPDATE_AVAILABLE',
+      payload: { pluginName: plugin.name, release: update }
+    })
+    if (!update || updatePolicy === 'notify') return update
+    if (isSameRelease(update, pendingUpdate)) return update
+    if (update.remote) {
+      dispatch(enqueueDownload(plugin, update, { isUpdate: true }))
+    } else {
+      dispatch(updateDownloaded(plugin, update))
+    }
+    return update
+  }
+}
+
+export const dismissStartOutcome = pluginName => {
+  return { type: 'PLUGIN:DISMISS_START_OUTCOME', payload: { pluginName } }
+}
+
+/**
+ * Switches back to the last release that ran successfully,
+ * restarting the plugin if it's running.
+ */
+export const revertToPreviousRelease = plugin => {
+  return async (dispatch, getState) => {
+    const { releaseHistory, release } = getState().plugin[plugin.name]
+    const lastWorkingRelease = getPreviousRelease(releaseHistory, release)
+    if (!lastWorkingRelease) return null
+    dispatch(dismissStartOutcome(plugin.name))
+    await dispatch(restartOnRelease(plugin, lastWorkingRelease))
+    dispatch(setRelease(plugin, lastWorkingRelease))
+    return lastWorkingRelease
+  }
+}
+
+// The user's dependencies of the plugin, [{ name, state }]
+export const setDependencies = (pluginName, dependencies) => {
+  return {
+    type: 'PLUGIN:SET_DEPENDENCIES',
+    payload: { pluginName, dependencies }
+  }
+}
+
+// { pluginName: [{ name, state }] } of all initialized plugins
+export const getDependencyMap = pluginStates => {
+  const dependencyMap = {}
+  Object.keys(pluginStates).forEach(key => {
+    const pluginState = pluginStates[key]
+    if (pluginState && Array.isArray(pluginState.userDependencies)) {
+      dependencyMap[key] = getDependencies(pluginState)
+    }
+  })
+  return dependencyMap
+}
+
+// Statuses of a plugin that is running or about to
+export const RUNNING_STATUSES = [
+  'DOWNLOADING',
+  'EXTRACTING',
+  'STARTING',
+  'STARTED',
+  'CONNECTED'
+]
+
+// Running plugins that need the given one, directly or indirectly
+export const getRunningDependents = (pluginName, pluginStates) =>
+  getDependents(pluginName, getDependencyMap(pluginStates)).filter(name =>
+    RUNNING_STATUSES.includes(pluginStates[name].active.status)
+  )
+
+// Starts the plugin, on its pending update if the policy says so
+const startPluginOrUpdate = (plugin, release) => {
+  return async (dispatch, getState) => {
+    const { pendingUpdate, updatePolicy } = getState().plugin[plugin.name]
+    if (pendingUpdate && updatePolicy === 'apply') {
+      const update = await dispatch(applyUpdate(plugin))
+      return dispatch(startPlugin(plugin, update))
+    }
+    return dispatch(startPlugin(plugin, release))
+  }
+}
+
+/**
+ * Starts the plugins the given one depends on, in order, and waits for
+ * each to reach its required state. Resolves with an error message if
+ * one of them could not be started.
+ */
+const startDependencies = plugin => {
+  return async (dispatch, getState) => {
+    let order = []
+    try {
+      order = getStartOrder(plugin.name, getDependencyMap(getState().plugin))
+    } catch (error) {
+      return { error: error.message }
+    }
+    // One at a time, each may depend on the previous
+    // eslint-disable-next-line no-restricted-syntax
+    for (const { name, state } of order) {
+      const dependency = PluginService.getPlugin(name)
+      const dependencyState = getState().plugin[name]
+      if (!dependency || !dependencyState) {
+        return { error: `${plugin.name} needs ${name}, which is not installed` }
+      }
+      if (!isStateReached(dependencyState.active.status, state)) {
+        const isStarting = !dependency.isRunning
+        if (isStarting) {
+          // eslint-disable-next-line no-await-in-loop
+          await checkConfigPaths(dependency, dependencyState.config)
+          // eslint-disable-next-line no-await-in-loop
+          const result = await dispatch(
+            startPluginOrUpdate(dependency, dependencyState.release)
+          )
+          if (result && result.error) {
+            return { error: `${name} could not be started: ${result.error}` }
+          }
+        }
+        const reachedStates = getReachedStates(state).map(s => s.toLowerCase())
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const newState = await PluginService.waitForState(
+            dependency,
+            [...reachedStates, 'stopped', 'error'],
+            CONNECT_TIMEOUT,
+            isStarting
+          )
+          if (!reachedStates.includes(newState)) {
+            return { error: `${name} stopped before reaching ${state}` }
+          }
+        } catch (error) {
+          return { error: `${name} did not reach ${state} in time` }
+        }
+      }
+    }
+    return {}
+  }
+}
+
+// Starts the plugin after its dependencies, reporting those that fail
+const startWithDependencies = (plugin, release) => {
+  return async (dispatch, getState) => {
+    const { error } = await dispatch(startDependencies(plugin))
+    if (error) {
+      const message = `Cannot start ${plugin.name}: ${error}`
+      dispatch(
+        addPluginError(plugin.name, {
+          key: `dependencies-${Date.now()}`,
+          message
+        })
+      )
+      return dispatch({
+        type: 'PLUGIN:START:ERROR',
+        error: message,
+        payload: { pluginName: plugin.name }
+      })
+    }
+    await checkConfigPaths(plugin, getState().plugin[plugin.name].config)
+    return dispatch(startPluginOrUpdate(plugin, release))
+  }
+}
+
+/**
+ * Called by the PluginService when the plugin's process exits without
+ * being stopped. Records the crash and, if the restart policy allows,
+ * starts the plugin again after a growing delay.
+ * exitState is 'stopped' or 'error'.
+ */
+export const handlePluginExit = (plugin, exitState, reason) => {
+  return (dispatch, getState) => {
+    const pluginName = plugin.name
+    const { restartPolicy, crashTimes } = getState().plugin[pluginName]
+    const time = Date.now()
+    const restart = getRestartDecision(restartPolicy, {
+      exitState,
+      crashTimes: [...crashTimes, time],
+      now: time
+    })
+    clearTimeout(restartTimers[pluginName])
+    dispatch({
+      type: 'PLUGIN:CRASHED',
+      payload: { pluginName, reason, time, restart }
+    })
+    if (!restart.restart) return
+    restartTimers[pluginName] = setTimeout(() => {
+      delete restartTimers[pluginName]
+      const {
+        scheduledRestart,
+        lastStartedRelease,
+        release
+      } = getState().plugin[pluginName]
+      // Cancelled, or started by other means in the meantime
+      if (!scheduledRestart || plugin.isRunning) return
+      dispatch(startWithDependencies(plugin, lastStartedRelease || release))
+    }, restart.delay)
+  }
+}
+
+/**
+ * Starts the plugin after its dependencies, or stops it. Stopping a
+ * plugin that running plugins depend on is refused unless forced,
+ * the result's payload lists the dependents to confirm with the user.
+ */
+export const togglePlugin = (plugin, release, { force = false } = {}) => {
+  return async (dispatch, getState) => {
     try {
       if (plugin.isRunning) {
+        const dependents = getRunningDependents(plugin.name, getState().plugin)
+        if (dependents.length && !force) {
+          return {
+            type: 'PLUGIN:STOP:REFUSED',
+            error: `${dependents.join(', ')} depend on ${plugin.name}`,
+            payload: { pluginName: plugin.name, dependents }
+          }
+        }
         return dispatch(stopPlugin(plugin))
       }
-      return dispatch(startPlugin(plugin, release))
+      // The user took over, drop any scheduled restart
+      dispatch(cancelRestart(plugin.name))
+      return dispatch(startWithDependencies(plugin, release))
     } catch (e) {
       return { type: 'PLUGIN:TOGGLE:ERROR', error: e.toString() }
     }
   }
 }
 
+export const setAutostart = (pluginName, autostart) => {
+  return {
+    type: 'PLUGIN:SET_AUTOSTART',
+    payload: { pluginName, autostart }
+  }
+}
+
+// Timers of delayed autostarts, keyed by plugin name
+const autostartTimers = {}
+
+export const cancelAutostart = () => {
+  Object.keys(autostartTimers).forEach(pluginName => {
+    clearTimeout(autostartTimers[pluginName])
+    delete autostartTimers[pluginName]
+  })
+}
+
+// Troubleshooting override for this session only, it isn't persisted.
+// Also drops autostarts still waiting.
+export const setSkipAutostart = skip => {
+  return dispatch => {
+    if (skip) cancelAutostart()
+    dispatch({ type: 'PLUGIN:SET_SKIP_AUTOSTART', payload: { skip } })
+  }
+}
+
+/**
+ * Starts the plugins set to start when Grid opens, each after its delay.
+ * Called once the plugins are initialized.
+ */
+export const autostartPlugins = plugins => {
+  return (dispatch, getState) => {
+    if (getState().plugin.skipAutostart) return
+    getAutostartPlugins(plugins, getState().plugin).forEach(
+      ({ plugin, delay }) => {
+        autostartTimers[plugin.name] = setTimeout(() => {
+          delete autostartTimers[plugin.name]
+          const state = getState().plugin
+          // Started by hand or skipped in the meantime
+          if (state.skipAutostart || plugin.isRunning) return
+          const { profile } = state[plugin.name].autostart
+          if (profile && state[plugin.name].profiles[profile]) {
+            dispatch(switchProfile(plugin, profile))
+          }
+          dispatch(togglePlugin(plugin, getState().plugin[plugin.name].release))
+        }, delay)
+      }
+    )
+  }
+}
+
 export const setAppBadges = (plugin, appBadges = {}) => {
   return {
     type: 'PLUGIN:SET_APP_BADGES',
@@ -1,7 +1,9 @@
 import { BigNumber } from 'bignumber.js'
+import { SyncEstimator } from '../../lib/syncEstimator'
 import {
   newBlock,
   updateSyncing,
+  updateSyncEstimate,
   updatePeerCount,
   updatePeerCountError,
   clearSyncing
@@ -13,16 +15,59 @@ const hexToNumberString = str => new BigNumber(str).toString(10)
 const toNumberString = str => (isHex(str) ? hexToNumberString(str) : str)
 const hexToNumber = str => Number(hexToNumberString(str))
 
-class ClientService {
-  watchForPeers(plugin, dispatch) {
-    this.peerCountInterval = setInterval(
-      () => this.updatePeerCount(plugin, dispatch),
-      3000
-    )
+// Holds the polling and subscription state of a single client plugin,
+// so several clients can run side by side without sharing timers.
+export class ClientService {
+  constructor(plugin, dispatch) {
+    this.plugin = plugin
+    this.dispatch = dispatch
+    this.isRunning = false
+    this.peerCountInterval = null
+    this.syncingInterval = null
+    this.newHeadsSubscriptionId = null
+    this.notificationListener = null
+    this.timeouts = []
+    this.syncEstimator = new SyncEstimator()
+  }
+
+  start() {
+    if (this.isRunning) return
+    this.isRunning = true
+    this.watchForPeers()
+    this.startBlockSubscriptions()
+  }
+
+  stop() {
+    if (!this.isRunning) return
+    this.isRunning = false
+    this.clearPeerCountInterval()
+    this.clearSyncingInterval()
+    this.clearTimeouts()
+    this.unsubscribeNewHeadsSubscription()
+  }
+
+  schedule(callback, delay) {
+    const timeout = setTimeout(() => {
+      this.timeouts = this.timeouts.filter(t => t !== timeout)
+      if (this.isRunning) callback()
+    }, delay)
+    this.timeouts.push(timeout)
+  }
+
+  clearTimeouts() {
+    this.timeouts.forEach(timeout => clearTimeout(timeout))
+    this.timeouts = []
+  }
+
+  watchForPeers() {
+    this.clearPeerCountInterval()
+    this.peerCountInterval = setInterval(() => this.updatePeerCount(), 3000)
   }
 
-  async updatePeerCount(plugin, dispatch) {
+  async updatePeerCount() {
+    const { plugin, dispatch } = this
     const hexPeerCount = await plugin.rpc('net_peerCount')
+    if (!this.isRunning) return
     if (hexPeerCount.message) {
       dispatch(updatePeerCountError(plugin.name, hexPeerCount.message))
     } else {
@@ -33,9 +78,11 @@ class ClientService {
 
   clearPeerCountInterval() {
     clearInterval(this.peerCountInterval)
+    this.peerCountInterval = null
   }
 
-  onNewHeadsSubscriptionResult(plugin, result, dispatch) {
+  onNewHeadsSubscriptionResult(result) {
+    const { plugin, dispatch } = this
     const { result: subscriptionResult } = result
     if (!subscriptionResult) return
 
@@ -48,10 +95,12 @@ class ClientService {
     dispatch(newBlock(plugin.name, blockNumber, timestamp))
   }
 
-  onSyncingResult(plugin, result, dispatch) {
+  onSyncingResult(result) {
+    const { plugin, dispatch } = this
     if (result === false) {
+      this.syncEstimator.reset()
       // Stopped syncing, begin newHeads subscription
-      this.startNewHeadsSubscription(plugin, dispatch)
+      this.startNewHeadsSubscription()
       // Clear syncing interval
       this.clearSyncingInterval()
       return
@@ -73,18 +122,25 @@ class ClientService {
       pulledStates
     } = result
 
-    dispatch(
-      updateSyncing(plugin.name, {
-        startingBlock: hexToNumber(startingBlock),
-        currentBlock: hexToNumber(currentBlock),
-        highestBlock: hexToNumber(highestBlock),
-        knownStates: hexToNumber(knownStates),
-        pulledStates: hexToNumber(pulledStates)
-      })
-    )
+    const sync = {
+      startingBlock: hexToNumber(startingBlock),
+      currentBlock: hexToNumber(currentBlock),
+      highestBlock: hexToNumber(highestBlock),
+      knownStates: hexToNumber(knownStates),
+      pulledStates: hexToNumber(pulledStates)
+    }
+    dispatch(updateSyncing(plugin.name, sync))
+
+    const syncEstimate = this.syncEstimator.update(sync, Date.now())
+    dispatch(updateSyncEstimate(plugin.name, syncEstimate))
   }
 
-  unsubscribeNewHeadsSubscription(plugin) {
+  unsubscribeNewHeadsSubscription() {
+    const { plugin } = this
+    if (this.notificationListener) {
+      plugin.removeListener('notification', this.notificationListener)
+      this.notificationListener = null
+    }
     if (!this.newHeadsSubscriptionId) return
     plugin.rpc('eth_unsubscribe', [this.newHeadsSubscriptionId])
     this.newHeadsSubscriptionId = null
@@ -92,22 +148,27 @@ class ClientService {
 
   clearSyncingInterval() {
     clearInterval(this.syncingInterval)
+    this.syncingInterval = null
   }
 
-  startBlockSubscriptions(plugin, dispatch) {
+  startBlockSubscriptions() {
+    const { plugin, dispatch } = this
+
     const startSubscriptions = async () => {
       const result = await plugin.rpc('eth_syncing')
+      if (!this.isRunning) return
       if (result) {
         // Subscribe to syncing
-        this.startSyncingInterval(plugin, dispatch)
+        this.startSyncingInterval()
       } else {
         // Not syncing, start newHeads subscription
-        this.startNewHeadsSubscription(plugin, dispatch)
+        this.startNewHeadsSubscription()
       }
     }
 
     const setLastBlock = () => {
       plugin.rpc('eth_getBlockByNumber', ['latest', false]).then(block => {
+        if (!this.isRunning || !block) return
         const { number: hexBlockNumber, timestamp: hexTimestamp } = block
         const blockNumber = hexToNumber(hexBlockNumber)
         const timestamp = hexToNumber(hexTimestamp)
@@ -118,15 +179,16 @@ class ClientService {
     const start = async () => {
       // Start if we have peers
       const hexPeerCount = await plugin.rpc('net_peerCount')
+      if (!this.isRunning) return
       if (!hexPeerCount.message && hexToNumber(hexPeerCount) > 0) {
         // Wait 5s before starting to give time for syncing status to update
-        setTimeout(() => {
+        this.schedule(() => {
           setLastBlock()
           startSubscriptions()
         }, 5000)
       } else {
         // Otherwise, try again in 3s
-        setTimeout(() => {
+        this.schedule(() => {
           start()
         }, 3000)
       }
@@ -135,29 +197,74 @@ class ClientService {
     start()
   }
 
-  async startNewHeadsSubscription(plugin, dispatch) {
+  async startNewHeadsSubscription() {
+    const { plugin, dispatch } = this
+
     // Clear any stale syncing data
     dispatch(clearSyncing(plugin.name))
 
+    // Drop a previous subscription, if any, before creating a new one
+    this.unsubscribeNewHeadsSubscription()
+
     // Subscribe
     const subscriptionId = await plugin.rpc('eth_subscribe', ['newHeads'])
+    if (!this.isRunning) {
+      plugin.rpc('eth_unsubscribe', [subscriptionId])
+      return
+    }
     this.newHeadsSubscriptionId = subscriptionId
-    plugin.on('notification', result => {
+    this.notificationListener = result => {
       const { subscription } = result
       if (subscription === this.newHeadsSubscriptionId) {
-        this.onNewHeadsSubscriptionResult(plugin, result, dispatch)
+        this.onNewHeadsSubscriptionResult(result)
       }
-    })
+    }
+    plugin.on('notification', this.notificationListener)
   }
 
-  async startSyncingInterval(plugin, dispatch) {
+  startSyncingInterval() {
+    const { plugin } = this
+    this.clearSyncingInterval()
     // Parity doesn't support eth_subscribe('syncing') yet and
     // geth wasn't returning results reliably, so for now we will poll.
     this.syncingInterval = setInterval(async () => {
       const result = await plugin.rpc('eth_syncing')
-      this.onSyncingResult(plugin, result, dispatch)
+      if (!this.isRunning) return
+      this.onSyncingResult(result)
     }, 3000)
   }
 }
 
-export default new ClientService()
+// Keeps one ClientService per plugin name.
+class ClientServiceRegistry {
+  constructor() {
+    this.services = {}
+  }
+
+  get(pluginName) {
+    return this.services[pluginName]
+  }
+
+  isRunning(pluginName) {
+    const service = this.get(pluginName)
+    return !!service && service.isRunning
+  }
+
+  start(plugin, dispatch) {
+    // Restarting always begins with a clean service
+    this.stop(plugin)
+    const service = new ClientService(plugin, dispatch)
+    this.services[plugin.name] = service
+    service.start()
+    return service
+  }
+
+  stop(plugin) {
+    const service = this.get(plugin.name)
+    if (!service) return
+    service.stop()
+    delete this.services[plugin.name]
+  }
+}
+
+export default new ClientServiceRegistry()
@@ -0,0 +1,120 @@
+/* eslint-env jest */
+import { EventEmitter } from 'events'
+import ClientServices, { ClientService } from './clientService'
+
+const createPlugin = (name, subscriptionId) => {
+  const plugin = new EventEmitter()
+  plugin.name = name
+  plugin.rpc = jest.fn(method => {
+    switch (method) {
+      case 'net_peerCount':
+        return Promise.resolve('0x0')
+      case 'eth_subscribe':
+        return Promise.resolve(subscriptionId)
+      default:
+        return Promise.resolve(true)
+    }
+  })
+  return plugin
+}
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve))
+
+describe('ClientService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('tracks its running state through start and stop', () => {
+    const service = new ClientService(createPlugin('geth'), jest.fn())
+    expect(service.isRunning).toBe(false)
+
+    service.start()
+    expect(service.isRunning).toBe(true)
+    expect(service.peerCountInterval).not.toBeNull()
+
+    service.stop()
+    expect(service.isRunning).toBe(false)
+    expect(service.peerCountInterval).toBeNull()
+    expect(service.timeouts).toEqual([])
+  })
+
+  it('unsubscribes from its own newHeads subscription', async () => {
+    const plugin = createPlugin('geth', '0xabc')
+    const service = new ClientService(plugin, jest.fn())
+    service.start()
+    await service.startNewHeadsSubscription()
+    expect(service.newHeadsSubscriptionId).toEqual('0xabc')
+    expect(plugin.listenerCount('notification')).toEqual(1)
+
+    service.stop()
+    expect(plugin.rpc).toHaveBeenCalledWith('eth_unsubscribe', ['0xabc'])
+    expect(plugin.listenerCount('notification')).toEqual(0)
+  })
+
+  it('drops a subscription that resolves after stop', async () => {
+    const plugin = createPlugin('geth', '0xabc')
+    const service = new ClientService(plugin, jest.fn())
+    service.start()
+    const subscribing = service.startNewHeadsSubscription()
+    service.stop()
+    await subscribing
+
+    expect(service.newHeadsSubscriptionId).toBeNull()
+    expect(plugin.listenerCount('notification')).toEqual(0)
+    expect(plugin.rpc).toHaveBeenCalledWith('eth_unsubscribe', ['0xabc'])
+  })
+})
+
+describe('ClientServices', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('keeps separate state for each plugin', async () => {
+    const geth = createPlugin('geth', '0x1')
+    const parity = createPlugin('parity', '0x2')
+
+    const gethService = ClientServices.start(geth, jest.fn())
+    const parityService = ClientServices.start(parity, jest.fn())
+    await gethService.startNewHeadsSubscription()
+    await parityService.startNewHeadsSubscription()
+
+    expect(gethService).not.toBe(parityService)
+    expect(gethService.peerCountInterval).not.toBe(
+      parityService.peerCountInterval
+    )
+
+    ClientServices.stop(geth)
+    await flushPromises()
+
+    expect(ClientServices.isRunning('geth')).toBe(false)
+    expect(ClientServices.isRunning('parity')).toBe(true)
+    expect(geth.rpc).toHaveBeenCalledWith('eth_unsubscribe', ['0x1'])
+    expect(parity.rpc).not.toHaveBeenCalledWith('eth_unsubscribe', ['0x2'])
+    expect(parityService.newHeadsSubscriptionId).toEqual('0x2')
+
+    ClientServices.stop(parity)
+    expect(ClientServices.get('parity')).toBeUndefined()
+  })
+
+  it('replaces a running service on restart', () => {
+    const geth = createPlugin('geth')
+    const first = ClientServices.start(geth, jest.fn())
+    const second = ClientServices.start(geth, jest.fn())
+
+    expect(first.isRunning).toBe(false)
+    expect(second.isRunning).toBe(true)
+    expect(ClientServices.get('geth')).toBe(second)
+
+    ClientServices.stop(geth)
+  })
+})
@@ -1,20 +1,44 @@
-import ClientService from './clientService'
+import ClientServices from './clientService'
+import { canSetProcessOptions } from '../../lib/utils'
 import {
   addPluginError,
   onConnectionUpdate,
   setAppBadges,
-  clearPluginErrors
+  clearPluginErrors,
+  handlePluginExit
 } from './actions'
 
 class PluginService {
-  async start(plugin, release, flags, config) {
+  constructor() {
+    // Event listeners, keyed by plugin name
+    this.stateListeners = {}
+    this.listeners = {}
+    // Plugins started or resumed by us and not asked to stop,
+    // their exit is unexpected
+    this.supervised = {}
+    // Plugin objects, to look up the plugins others depend on
+    this.plugins = {}
+  }
+
+  getPlugin(pluginName) {
+    return this.plugins[pluginName]
+  }
+
+  // options: { env, cwd } of the plugin's process, if the host applies them
+  async start(plugin, release, flags, config, options = {}) {
     if (!release.location) {
       release = null // eslint-disable-line
     }
-    await plugin.start(flags, release, config)
+    this.supervised[plugin.name] = true
+    if (canSetProcessOptions(plugin)) {
+      await plugin.start(flags, release, config, options)
+    } else {
+      await plugin.start(flags, release, config)
+    }
   }
 
   resume(plugin, dispatch) {
+    this.supervised[plugin.name] = true
     dispatch(onConnectionUpdate(plugin.name, plugin.state))
 
     // `resume` is called for 'STARTED', 'STARTING', and 'CONNECTED' states.
@@ -26,19 +50,69 @@ class PluginService {
   }
 
   stop(plugin) {
+    this.supervised[plugin.name] = false
     plugin.stop()
   }
 
+  unsuperviseAll() {
+    this.supervised = {}
+  }
+
+  // The plugin's last error if it has one, e.g. what made geth exit
+  getExitReason(plugin, exitState) {
+    const errors =
+      typeof plugin.getErrors === 'function' ? plugin.getErrors() || [] : []
+    const lastError = errors[errors.length - 1]
+    if (lastError && lastError.message) return lastError.message
+    return exitState === 'error'
+      ? 'Process failed'
+      : 'Process exited unexpectedly'
+  }
+
+  // Resolves with the state once the plugin reaches one of `states`,
+  // e.g. ['stopped', 'error'], and rejects after `timeout` ms.
+  // With `ignoreCurrent`, only a change of state counts, e.g. for a
+  // plugin that is still 'stopped' right after being started.
+  waitForState(plugin, states, timeout = 30000, ignoreCurrent = false) {
+    return new Promise((resolve, reject) => {
+      const currentState = (plugin.state || '').toLowerCase()
+      if (!ignoreCurrent && states.includes(currentState)) {
+        resolve(currentState)
+        return
+      }
+      let timer = null
+      const listener = newState => {
+        if (!states.includes(newState)) return
+        clearTimeout(timer)
+        plugin.removeListener('newState', listener)
+        resolve(newState)
+      }
+      timer = setTimeout(() => {
+        plugin.removeListener('newState', listener)
+        reject(
+          new Error(
+            `${plugin.name} did not reach ${states.join(' or ')} in time`
+          )
+        )
+      }, timeout)
+      plugin.on('newState', listener)
+    })
+  }
+
   onConnect(plugin, dispatch) {
     if (plugin.type === 'client') {
-      ClientService.watchForPeers(plugin, dispatch)
-      ClientService.startBlockSubscriptions(plugin, dispatch)
+      ClientServices.start(plugin, dispatch)
     }
   }
 
   // Called in `initPlugin`
   createNewStateListener(plugin, dispatch) {
-    this.newStateListener = newState => {
+    this.plugins[plugin.name] = plugin
+    const previousListener = this.stateListeners[plugin.name]
+    if (previousListener) {
+      plugin.removeListener('newState', previousListener)
+    }
+    const newStateListener = newState => {
       dispatch(onConnectionUpdate(plugin.name, newState.toUpperCase()))
       switch (newState) {
         case 'starting':
@@ -50,36 +124,64 @@ class PluginService {
         case 'stopping':
           this.removeListeners(plugin)
           break
+        case 'stopped':
+        case 'error':
+          // Process may exit without passing through 'stopping'
+          ClientServices.stop(plugin)
+          if (this.supervised[plugin.name]) {
+            // Report once, 'error' may be followed by 'stopped'
+            this.supervised[plugin.name] = false
+            dispatch(
+              handlePluginExit(
+                plugin,
+                newState,
+                this.getExitReason(plugin, newState)
+              )
+            )
+          }
+          break
         default:
           break
       }
     }
-    plugin.on('newState', this.newStateListener)
+    this.stateListeners[plugin.name] = newStateListener
+    plugin.on('newState', newStateListener)
   }
 
   createListeners(plugin, dispatch) {
-    this.pluginErrorListener = error => {
-      dispatch(addPluginError(plugin.name, error))
-    }
-    this.clearPluginErrorsListener = () => {
-      dispatch(clearPluginErrors(plugin.name))
+    // Avoid stacking listeners if called twice for the same plugin
+    this.detachListeners(plugin)
+    const listeners = {
+      pluginError: error => {
+        dispatch(addPluginError(plugin.name, error))
+      },
+      clearPluginErrors: () => {
+        dispatch(clearPluginErrors(plugin.name))
+      },
+      setAppBadge: ({ appId, count }) => {
+        dispatch(setAppBadges(plugin, { [appId]: count }))
+      }
     }
-    this.setAppBadgeListener = ({ appId, count }) => {
-      dispatch(setAppBadges(plugin, { [appId]: count }))
+    Object.keys(listeners).forEach(event => {
+      plugin.on(event, listeners[event])
+    })
+    this.listeners[plugin.name] = listeners
+  }
+
+  detachListeners(plugin) {
+    const listeners = this.listeners[plugin.name]
+    if (listeners) {
+      Object.keys(listeners).forEach(event => {
+        plugin.removeListener(event, listeners[event])
+      })
+      delete this.listeners[plugin.name]
     }
-    plugin.on('pluginError', this.pluginErrorListener)
-    plugin.on('clearPluginErrors', this.clearPluginErrorsListener)
-    plugin.on('setAppBadge', this.setAppBadgeListener)
   }
 
   removeListeners(plugin) {
-    plugin.removeListener('pluginError', this.pluginErrorListener)
-    plugin.removeListener('clearPluginErrors', this.clearPluginErrorsListener)
-    plugin.removeListener('setAppBadge', this.setAppBadgeListener)
+    this.detachListeners(plugin)
     if (plugin.type === 'client') {
-      ClientService.clearPeerCountInterval()
-      ClientService.clearSyncingInterval(plugin)
-      ClientService.unsubscribeNewHeadsSubscription(plugin)
+      ClientServices.stop(plugin)
     }
   }
 }
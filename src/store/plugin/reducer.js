@@ -1,13 +1,31 @@
+import { getPersistedTerminalCapacity } from '../../lib/utils'
+import { addToHistory } from '../../lib/commandHistory'
+import { DEFAULT_PROFILE } from '../../lib/profiles'
+import { DEFAULT_RELEASE_FILTER } from '../../lib/releaseFilters'
+import { DEFAULT_UPDATE_POLICY } from '../../lib/updates'
+import { addToReleaseHistory } from '../../lib/releaseHistory'
+import { DEFAULT_AUTOSTART } from '../../lib/autostart'
+import {
+  DEFAULT_RESTART_POLICY,
+  getRecentCrashes
+} from '../../lib/restartPolicy'
+
 export const initialState = {
   selected: 'geth',
   selectedTab: 0,
-  showCustomFlagWarning: true
+  showCustomFlagWarning: true,
+  // Troubleshooting override, for this session only
+  skipAutostart: false,
+  terminalCapacity: getPersistedTerminalCapacity()
   // Plugins dynamically populate within this object, e.g.
   // geth: { config: {}, release: {}, ... },
   // parity: { config: {}, release: {}, ... },
 }
 
 export const initialPluginState = {
+  activeProfile: DEFAULT_PROFILE,
+  // { enabled, delay, profile }, see lib/autostart.js
+  autostart: DEFAULT_AUTOSTART,
   active: {
     blockNumber: null,
     peerCount: 0,
@@ -19,17 +37,45 @@ export const initialPluginState = {
       pulledStates: 0,
       startingBlock: 0
     },
+    syncEstimate: null,
     timestamp: null,
-    version: null
+    version: null,
+    fileName: null
   },
   binaryName: '',
+  commandHistory: [],
   config: {},
+  // Other plugins this one needs, [{ name, state }], as declared by
+  // the manifest and added by the user, see lib/pluginDependencies.js
+  manifestDependencies: [],
+  userDependencies: [],
+  // Unexpected exits this session, and their times within the
+  // restart policy's window
+  crashCount: 0,
+  crashTimes: [],
   flags: [],
   displayName: '',
+  // Number of downloaded releases to keep, 0 keeps all
+  keepReleases: 0,
+  // { reason, time } of the last unexpected exit
+  lastExit: null,
+  // Release of the last start, and whether that start succeeded:
+  // 'pending', 'succeeded', 'failed' or null once dismissed
+  lastStartedRelease: null,
+  // Extra environment variables, [{ key, value }], and working directory
+  // of the plugin's process
+  environment: [],
   errors: [],
   appBadges: {},
+  // Newer release found by the last update check
+  availableUpdate: null,
   name: '',
+  // Downloaded update waiting for the next restart
+  pendingUpdate: null,
   prefix: '',
+  // Release that was selected before the last applied update
+  previousRelease: null,
+  profiles: {},
   release: {
     name: null,
     fileName: null,
@@ -41,8 +87,23 @@ export const initialPluginState = {
     signature: null,
     remote: false
   },
+  releaseFilter: DEFAULT_RELEASE_FILTER,
+  // Releases that ran successfully, most recent first
+  releaseHistory: [],
+  // Last start time of each local release, by file name
+  releaseUsage: {},
   repository: '',
-  type: ''
+  // { mode, maxRetries, windowMinutes }, see lib/restartPolicy.js
+  restartPolicy: DEFAULT_RESTART_POLICY,
+  // Why automatic restarts stopped, e.g. too many crashes
+  restartStoppedReason: null,
+  // { at, attempt } of the next automatic restart
+  scheduledRestart: null,
+  startOutcome: null,
+  type: '',
+  // 'notify', 'download' or 'apply', see lib/updates.js
+  updatePolicy: DEFAULT_UPDATE_POLICY,
+  workingDir: ''
 }
 
 const plugin = (state = initialState, action) => {
@@ -54,7 +115,20 @@ const plugin = (state = initialState, action) => {
         config,
         type,
         flags,
-        release
+        release,
+        commandHistory,
+        activeProfile,
+        profiles,
+        environment,
+        workingDir,
+        releaseFilter,
+        releaseStorage,
+        updates,
+        releaseHistory,
+        restartPolicy,
+        autostart,
+        manifestDependencies,
+        userDependencies
       } = action.payload
       const newState = {
         ...state,
@@ -69,6 +143,53 @@ const plugin = (state = initialState, action) => {
       if (release) {
         newState[pluginName].release = release
       }
+      if (commandHistory) {
+        newState[pluginName].commandHistory = commandHistory
+      }
+      if (profiles) {
+        newState[pluginName].activeProfile = activeProfile
+        newState[pluginName].profiles = profiles
+      }
+      if (environment) {
+        newState[pluginName].environment = environment
+      }
+      if (workingDir) {
+        newState[pluginName].workingDir = workingDir
+      }
+      if (releaseFilter) {
+        newState[pluginName].releaseFilter = {
+          ...DEFAULT_RELEASE_FILTER,
+          ...releaseFilter
+        }
+      }
+      if (releaseStorage) {
+        newState[pluginName].releaseUsage = releaseStorage.usage || {}
+        newState[pluginName].keepReleases = releaseStorage.keepReleases || 0
+      }
+      if (updates) {
+        newState[pluginName].updatePolicy =
+          updates.policy || DEFAULT_UPDATE_POLICY
+        newState[pluginName].pendingUpdate = updates.pendingUpdate || null
+        newState[pluginName].previousRelease = updates.previousRelease || null
+      }
+      if (releaseHistory) {
+        newState[pluginName].releaseHistory = releaseHistory
+      }
+      if (manifestDependencies) {
+        newState[pluginName].manifestDependencies = manifestDependencies
+      }
+      if (userDependencies) {
+        newState[pluginName].userDependencies = userDependencies
+      }
+      if (autostart) {
+        newState[pluginName].autostart = { ...DEFAULT_AUTOSTART, ...autostart }
+      }
+      if (restartPolicy) {
+        newState[pluginName].restartPolicy = {
+          ...DEFAULT_RESTART_POLICY,
+          ...restartPolicy
+        }
+      }
       return newState
     }
     case 'PLUGIN:SELECT': {
@@ -83,11 +204,97 @@ const plugin = (state = initialState, action) => {
       const { tab } = action.payload
       return { ...state, selectedTab: tab }
     }
+    case 'PLUGIN:SET_TERMINAL_CAPACITY': {
+      const { capacity } = action.payload
+      return { ...state, terminalCapacity: capacity }
+    }
+    case 'PLUGIN:SET_ENVIRONMENT': {
+      const { pluginName, environment, workingDir } = action.payload
+      return {
+        ...state,
+        [pluginName]: { ...state[pluginName], environment, workingDir }
+      }
+    }
+    case 'PLUGIN:SET_RELEASE_FILTER': {
+      const { pluginName, filter } = action.payload
+      return {
+        ...state,
+        [pluginName]: {
+          ...state[pluginName],
+          releaseFilter: { ...state[pluginName].releaseFilter, ...filter }
+        }
+      }
+    }
+    case 'PLUGIN:ADD_COMMAND_HISTORY': {
+      const { pluginName, command } = action.payload
+      return {
+        ...state,
+        [pluginName]: {
+          ...state[pluginName],
+          commandHistory: addToHistory(
+            state[pluginName].commandHistory,
+            command
+          )
+        }
+      }
+    }
+    case 'PLUGIN:PROFILE:SAVE': {
+      const { pluginName, name, profile } = action.payload
+      return {
+        ...state,
+        [pluginName]: {
+          ...state[pluginName],
+          profiles: { ...state[pluginName].profiles, [name]: profile }
+        }
+      }
+    }
+    case 'PLUGIN:PROFILE:ACTIVATE': {
+      const { pluginName, name } = action.payload
+      return {
+        ...state,
+        [pluginName]: { ...state[pluginName], activeProfile: name }
+      }
+    }
+    case 'PLUGIN:PROFILE:RENAME': {
+      const { pluginName, name, newName } = action.payload
+      const { profiles, activeProfile } = state[pluginName]
+      const newProfiles = {}
+      // Rebuild to keep the order of profiles
+      Object.keys(profiles).forEach(key => {
+        newProfiles[key === name ? newName : key] = profiles[key]
+      })
+      return {
+        ...state,
+        [pluginName]: {
+          ...state[pluginName],
+          activeProfile: activeProfile === name ? newName : activeProfile,
+          profiles: newProfiles
+        }
+      }
+    }
+    case 'PLUGIN:PROFILE:DELETE': {
+      const { pluginName, name } = action.payload
+      const { [name]: deleted, ...profiles } = state[pluginName].profiles
+      return {
+        ...state,
+        [pluginName]: { ...state[pluginName], profiles }
+      }
+    }
     case 'PLUGIN:SET_RELEASE': {
       const { pluginName, release } = action.payload
+      const pluginState = { ...initialPluginState, ...state[pluginName] }
+      const { availableUpdate } = pluginState
       return {
         ...state,
-        [pluginName]: { ...initialPluginState, ...state[pluginName], release }
+        [pluginName]: {
+          ...pluginState,
+          release,
+          // Switching to the update by hand
+          availableUpdate:
+            availableUpdate && availableUpdate.version === release.version
+              ? null
+              : availableUpdate
+        }
       }
     }
     case 'PLUGIN:SET_CONFIG': {
@@ -116,44 +323,230 @@ const plugin = (state = initialState, action) => {
       return { ...state, showCustomFlagWarning: false }
     }
     case 'PLUGIN:START': {
-      const { pluginName, version } = action.payload
-      const activeState = state[pluginName]
-        ? state[pluginName].active
-        : initialPluginState.active
-
+      const { pluginName, version, fileName, time, release } = action.payload
+      const pluginState = { ...initialPluginState, ...state[pluginName] }
+      const newPluginState = {
+        ...pluginState,
+        active: { ...pluginState.active, version, fileName: fileName || null },
+        errors: [],
+        scheduledRestart: null
+      }
+      if (release) {
+        newPluginState.lastStartedRelease = release
+        newPluginState.startOutcome = 'pending'
+      }
+      if (fileName) {
+        newPluginState.releaseUsage = {
+          ...pluginState.releaseUsage,
+          [fileName]: time
+        }
+      }
+      return { ...state, [pluginName]: newPluginState }
+    }
+    case 'PLUGIN:SET_KEEP_RELEASES': {
+      const { pluginName, keepReleases } = action.payload
       return {
         ...state,
         [pluginName]: {
           ...initialPluginState,
           ...state[pluginName],
-          active: { ...activeState, version },
-          errors: []
+          keepReleases
+        }
+      }
+    }
+    case 'PLUGIN:SET_UPDATE_POLICY': {
+      const { pluginName, policy } = action.payload
+      return {
+        ...state,
+        [pluginName]: {
+          ...initialPluginState,
+          ...state[pluginName],
+          updatePolicy: policy
+        }
+      }
+    }
+    case 'PLUGIN:UPDATE_AVAILABLE': {
+      const { pluginName, release } = action.payload
+      return {
+        ...state,
+        [pluginName]: {
+          ...initialPluginState,
+          ...state[pluginName],
+          availableUpdate: release
         }
       }
     }
+    case 'PLUGIN:UPDATE_PENDING': {
+      const { pluginName, release } = action.payload
+      return {
+        ...state,
+        [pluginName]: {
+          ...initialPluginState,
+          ...state[pluginName],
+          pendingUpdate: release
+        }
+      }
+    }
+    case 'PLUGIN:UPDATE_APPLIED': {
+      const { pluginName, previousRelease } = action.payload
+      return {
+        ...state,
+        [pluginName]: {
+          ...initialPluginState,
+          ...state[pluginName],
+          availableUpdate: null,
+          pendingUpdate: null,
+          previousRelease
+        }
+      }
+    }
+    case 'PLUGIN:UPDATE_REVERTED': {
+      const { pluginName } = action.payload
+      return {
+        ...state,
+        [pluginName]: {
+          ...initialPluginState,
+          ...state[pluginName],
+          previousRelease: null
+        }
+      }
+    }
+    case 'PLUGIN:SET_AUTOSTART': {
+      const { pluginName, autostart } = action.payload
+      const pluginState = { ...initialPluginState, ...state[pluginName] }
+      return {
+        ...state,
+        [pluginName]: {
+          ...pluginState,
+          autostart: { ...pluginState.autostart, ...autostart }
+        }
+      }
+    }
+    case 'PLUGIN:SET_DEPENDENCIES': {
+      const { pluginName, dependencies } = action.payload
+      return {
+        ...state,
+        [pluginName]: {
+          ...initialPluginState,
+          ...state[pluginName],
+          userDependencies: dependencies
+        }
+      }
+    }
+    case 'PLUGIN:SET_SKIP_AUTOSTART': {
+      const { skip } = action.payload
+      return { ...state, skipAutostart: skip }
+    }
+    case 'PLUGIN:SET_RESTART_POLICY': {
+      const { pluginName, policy } = action.payload
+      const pluginState = { ...initialPluginState, ...state[pluginName] }
+      return {
+        ...state,
+        [pluginName]: {
+          ...pluginState,
+          restartPolicy: { ...pluginState.restartPolicy, ...policy }
+        }
+      }
+    }
+    case 'PLUGIN:CRASHED': {
+      const { pluginName, reason, time, restart } = action.payload
+      const pluginState = { ...initialPluginState, ...state[pluginName] }
+      const { windowMinutes } = pluginState.restartPolicy
+      return {
+        ...state,
+        [pluginName]: {
+          ...pluginState,
+          crashCount: pluginState.crashCount + 1,
+          crashTimes: getRecentCrashes(
+            [...pluginState.crashTimes, time],
+            time,
+            windowMinutes
+          ),
+          lastExit: { reason, time },
+          scheduledRestart: restart.restart
+            ? { at: time + restart.delay, attempt: restart.attempt }
+            : null,
+          restartStoppedReason: restart.gaveUp ? restart.reason : null
+        }
+      }
+    }
+    case 'PLUGIN:RESTART_CANCELLED': {
+      const { pluginName } = action.payload
+      // Started or stopped by hand, so the retry budget starts over
+      return {
+        ...state,
+        [pluginName]: {
+          ...initialPluginState,
+          ...state[pluginName],
+          crashTimes: [],
+          restartStoppedReason: null,
+          scheduledRestart: null
+        }
+      }
+    }
+    case 'PLUGIN:RELEASE_DELETED': {
+      const { pluginName, fileName } = action.payload
+      const pluginState = { ...initialPluginState, ...state[pluginName] }
+      const { [fileName]: removed, ...releaseUsage } = pluginState.releaseUsage
+      return { ...state, [pluginName]: { ...pluginState, releaseUsage } }
+    }
     case 'PLUGIN:STATUS_UPDATE': {
       const { pluginName, status } = action.payload
-      const activeState = state[pluginName]
-        ? state[pluginName].active
-        : initialPluginState.active
-
+      const pluginState = { ...initialPluginState, ...state[pluginName] }
+      const newPluginState = {
+        ...pluginState,
+        active: { ...pluginState.active, status }
+      }
+      if (pluginState.startOutcome === 'pending') {
+        // Tools have no RPC connection, running is success for them
+        const isSuccess =
+          status === 'CONNECTED' ||
+          (pluginState.type !== 'client' && status === 'STARTED')
+        if (isSuccess) {
+          newPluginState.startOutcome = 'succeeded'
+          newPluginState.releaseHistory = addToReleaseHistory(
+            pluginState.releaseHistory,
+            pluginState.lastStartedRelease
+          )
+        } else if (['ERROR', 'STOPPED'].includes(status)) {
+          newPluginState.startOutcome = 'failed'
+        }
+      }
+      return { ...state, [pluginName]: newPluginState }
+    }
+    case 'PLUGIN:START_FAILED': {
+      const { pluginName } = action.payload
+      const pluginState = { ...initialPluginState, ...state[pluginName] }
+      if (pluginState.startOutcome !== 'pending') return state
+      return {
+        ...state,
+        [pluginName]: { ...pluginState, startOutcome: 'failed' }
+      }
+    }
+    case 'PLUGIN:DISMISS_START_OUTCOME': {
+      const { pluginName } = action.payload
       return {
         ...state,
         [pluginName]: {
           ...initialPluginState,
           ...state[pluginName],
-          active: { ...activeState, status }
+          startOutcome: null
         }
       }
     }
     case 'PLUGIN:STOP': {
       const { pluginName } = action.payload
+      const pluginState = { ...initialPluginState, ...state[pluginName] }
       return {
         ...state,
         [pluginName]: {
-          ...initialPluginState,
-          ...state[pluginName],
-          active: { ...initialPluginState.active }
+          ...pluginState,
+          active: { ...initialPluginState.active },
+          // Stopped by the user before it could succeed or fail
+          startOutcome:
+            pluginState.startOutcome === 'pending'
+              ? null
+              : pluginState.startOutcome
         }
       }
     }
@@ -253,6 +646,21 @@ const plugin = (state = initialState, action) => {
         }
       }
     }
+    case 'PLUGIN:UPDATE_SYNC_ESTIMATE': {
+      const { pluginName, syncEstimate } = action.payload
+      const activeState = state[pluginName]
+        ? state[pluginName].active
+        : initialPluginState.active
+
+      return {
+        ...state,
+        [pluginName]: {
+          ...initialPluginState,
+          ...state[pluginName],
+          active: { ...activeState, syncEstimate }
+        }
+      }
+    }
     case 'PLUGIN:CLEAR_SYNCING': {
       const { pluginName } = action.payload
       const activeState = state[pluginName]
@@ -268,7 +676,8 @@ const plugin = (state = initialState, action) => {
             ...activeState,
             sync: {
               ...initialPluginState.active.sync
-            }
+            },
+            syncEstimate: null
           }
         }
       }
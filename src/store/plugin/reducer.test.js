@@ -58,6 +58,109 @@ describe('the plugin reducer', () => {
     expect(reducer(initialState, action)).toEqual(expectedState)
   })
 
+  it('should handle PLUGIN:ADD_COMMAND_HISTORY', () => {
+    const state = {
+      ...initialState,
+      geth: { ...initialPluginState, commandHistory: ['a', 'b'] }
+    }
+    const action = {
+      type: 'PLUGIN:ADD_COMMAND_HISTORY',
+      payload: { pluginName: 'geth', command: 'a' }
+    }
+
+    expect(reducer(state, action).geth.commandHistory).toEqual(['b', 'a'])
+  })
+
+  describe('profiles', () => {
+    const state = {
+      ...initialState,
+      geth: {
+        ...initialPluginState,
+        activeProfile: 'mainnet',
+        profiles: { mainnet: { config: {} }, goerli: { config: {} } }
+      }
+    }
+
+    it('should handle PLUGIN:PROFILE:SAVE', () => {
+      const profile = { config: { network: 'dev' }, flags: [], release: {} }
+      const action = {
+        type: 'PLUGIN:PROFILE:SAVE',
+        payload: { pluginName: 'geth', name: 'dev', profile }
+      }
+
+      expect(reducer(state, action).geth.profiles.dev).toEqual(profile)
+    })
+
+    it('should handle PLUGIN:PROFILE:ACTIVATE', () => {
+      const action = {
+        type: 'PLUGIN:PROFILE:ACTIVATE',
+        payload: { pluginName: 'geth', name: 'goerli' }
+      }
+
+      expect(reducer(state, action).geth.activeProfile).toEqual('goerli')
+    })
+
+    it('should handle PLUGIN:PROFILE:RENAME', () => {
+      const action = {
+        type: 'PLUGIN:PROFILE:RENAME',
+        payload: { pluginName: 'geth', name: 'mainnet', newName: 'archive' }
+      }
+      const newState = reducer(state, action)
+
+      expect(Object.keys(newState.geth.profiles)).toEqual(['archive', 'goerli'])
+      expect(newState.geth.activeProfile).toEqual('archive')
+    })
+
+    it('should handle PLUGIN:PROFILE:DELETE', () => {
+      const action = {
+        type: 'PLUGIN:PROFILE:DELETE',
+        payload: { pluginName: 'geth', name: 'goerli' }
+      }
+
+      expect(Object.keys(reducer(state, action).geth.profiles)).toEqual([
+        'mainnet'
+      ])
+    })
+  })
+
+  it('should handle PLUGIN:SET_ENVIRONMENT', () => {
+    const state = { ...initialState, geth: initialPluginState }
+    const environment = [{ key: 'LOG_FORMAT', value: 'json' }]
+    const action = {
+      type: 'PLUGIN:SET_ENVIRONMENT',
+      payload: { pluginName: 'geth', environment, workingDir: '/tmp' }
+    }
+
+    expect(reducer(state, action).geth).toEqual({
+      ...initialPluginState,
+      environment,
+      workingDir: '/tmp'
+    })
+  })
+
+  it('should handle PLUGIN:SET_RELEASE_FILTER', () => {
+    const state = { ...initialState, geth: initialPluginState }
+    const action = {
+      type: 'PLUGIN:SET_RELEASE_FILTER',
+      payload: { pluginName: 'geth', filter: { channel: 'stable' } }
+    }
+
+    expect(reducer(state, action).geth.releaseFilter).toEqual({
+      ...initialPluginState.releaseFilter,
+      channel: 'stable'
+    })
+  })
+
+  it('should handle PLUGIN:SET_TERMINAL_CAPACITY', () => {
+    const action = {
+      type: 'PLUGIN:SET_TERMINAL_CAPACITY',
+      payload: { capacity: 10000 }
+    }
+    const expectedState = { ...initialState, terminalCapacity: 10000 }
+
+    expect(reducer(initialState, action)).toEqual(expectedState)
+  })
+
   it('should handle PLUGIN:SET_CONFIG', () => {
     const config = {
       name: 'default',
@@ -99,6 +202,218 @@ describe('the plugin reducer', () => {
     expect(reducer(initialState, action)).toEqual(expectedState)
   })
 
+  it('should record when a release was last started', () => {
+    const action = {
+      type: 'PLUGIN:START',
+      payload: {
+        pluginName: 'geth',
+        version: '1.9.0',
+        fileName: 'geth-1.9.0.zip',
+        time: 1000
+      }
+    }
+    const { geth } = reducer(initialState, action)
+
+    expect(geth.active.fileName).toEqual('geth-1.9.0.zip')
+    expect(geth.releaseUsage).toEqual({ 'geth-1.9.0.zip': 1000 })
+  })
+
+  it('should handle PLUGIN:SET_KEEP_RELEASES', () => {
+    const state = { ...initialState, geth: initialPluginState }
+    const action = {
+      type: 'PLUGIN:SET_KEEP_RELEASES',
+      payload: { pluginName: 'geth', keepReleases: 3 }
+    }
+
+    expect(reducer(state, action).geth.keepReleases).toEqual(3)
+  })
+
+  it('should handle PLUGIN:RELEASE_DELETED', () => {
+    const state = {
+      ...initialState,
+      geth: {
+        ...initialPluginState,
+        releaseUsage: { 'geth-1.8.0.zip': 1, 'geth-1.9.0.zip': 2 }
+      }
+    }
+    const action = {
+      type: 'PLUGIN:RELEASE_DELETED',
+      payload: { pluginName: 'geth', fileName: 'geth-1.8.0.zip' }
+    }
+
+    expect(reducer(state, action).geth.releaseUsage).toEqual({
+      'geth-1.9.0.zip': 2
+    })
+  })
+
+  it('should record the previous release when applying an update', () => {
+    const previous = { version: '1.9.0', fileName: 'geth-1.9.0.zip' }
+    const update = { version: '1.9.1', fileName: 'geth-1.9.1.zip' }
+    let state = { ...initialState, geth: initialPluginState }
+    state = reducer(state, {
+      type: 'PLUGIN:UPDATE_AVAILABLE',
+      payload: { pluginName: 'geth', release: update }
+    })
+    state = reducer(state, {
+      type: 'PLUGIN:UPDATE_PENDING',
+      payload: { pluginName: 'geth', release: update }
+    })
+    expect(state.geth.pendingUpdate).toEqual(update)
+    state = reducer(state, {
+      type: 'PLUGIN:UPDATE_APPLIED',
+      payload: { pluginName: 'geth', previousRelease: previous }
+    })
+
+    expect(state.geth).toMatchObject({
+      availableUpdate: null,
+      pendingUpdate: null,
+      previousRelease: previous
+    })
+    state = reducer(state, {
+      type: 'PLUGIN:UPDATE_REVERTED',
+      payload: { pluginName: 'geth' }
+    })
+    expect(state.geth.previousRelease).toBeNull()
+  })
+
+  it('should remember releases that reached CONNECTED', () => {
+    const release = { version: '1.9.0', fileName: 'geth-1.9.0.zip' }
+    let state = {
+      ...initialState,
+      geth: { ...initialPluginState, type: 'client' }
+    }
+    state = reducer(state, {
+      type: 'PLUGIN:START',
+      payload: { pluginName: 'geth', version: '1.9.0', release }
+    })
+    expect(state.geth.startOutcome).toEqual('pending')
+    state = reducer(state, {
+      type: 'PLUGIN:STATUS_UPDATE',
+      payload: { pluginName: 'geth', status: 'STARTED' }
+    })
+    expect(state.geth.releaseHistory).toEqual([])
+    state = reducer(state, {
+      type: 'PLUGIN:STATUS_UPDATE',
+      payload: { pluginName: 'geth', status: 'CONNECTED' }
+    })
+
+    expect(state.geth.startOutcome).toEqual('succeeded')
+    expect(state.geth.releaseHistory).toEqual([release])
+  })
+
+  it('should mark a start that stops before connecting as failed', () => {
+    const release = { version: '1.9.0', fileName: 'geth-1.9.0.zip' }
+    const started = reducer(
+      { ...initialState, geth: { ...initialPluginState, type: 'client' } },
+      {
+        type: 'PLUGIN:START',
+        payload: { pluginName: 'geth', version: '1.9.0', release }
+      }
+    )
+    const crashed = reducer(started, {
+      type: 'PLUGIN:STATUS_UPDATE',
+      payload: { pluginName: 'geth', status: 'ERROR' }
+    })
+    expect(crashed.geth.startOutcome).toEqual('failed')
+    expect(crashed.geth.releaseHistory).toEqual([])
+
+    // Unless the user stopped it
+    const stopped = reducer(started, {
+      type: 'PLUGIN:STOP',
+      payload: { pluginName: 'geth' }
+    })
+    expect(stopped.geth.startOutcome).toBeNull()
+  })
+
+  it('should count crashes and schedule restarts', () => {
+    const crash = (state, time, restart) =>
+      reducer(state, {
+        type: 'PLUGIN:CRASHED',
+        payload: { pluginName: 'geth', reason: 'Fatal', time, restart }
+      })
+    const first = crash(
+      { ...initialState, geth: { ...initialPluginState } },
+      1000,
+      { restart: true, delay: 1000, attempt: 1 }
+    )
+    expect(first.geth.crashCount).toEqual(1)
+    expect(first.geth.crashTimes).toEqual([1000])
+    expect(first.geth.lastExit).toEqual({ reason: 'Fatal', time: 1000 })
+    expect(first.geth.scheduledRestart).toEqual({ at: 2000, attempt: 1 })
+
+    // Crashes outside the window are forgotten, the count stays
+    const later = 11 * 60 * 1000 + 1000
+    const second = crash(first, later, {
+      restart: false,
+      gaveUp: true,
+      reason: 'Gave up'
+    })
+    expect(second.geth.crashCount).toEqual(2)
+    expect(second.geth.crashTimes).toEqual([later])
+    expect(second.geth.scheduledRestart).toBeNull()
+    expect(second.geth.restartStoppedReason).toEqual('Gave up')
+
+    const cancelled = reducer(second, {
+      type: 'PLUGIN:RESTART_CANCELLED',
+      payload: { pluginName: 'geth' }
+    })
+    expect(cancelled.geth.crashCount).toEqual(2)
+    expect(cancelled.geth.crashTimes).toEqual([])
+    expect(cancelled.geth.restartStoppedReason).toBeNull()
+  })
+
+  it('should handle PLUGIN:SET_AUTOSTART', () => {
+    const state = reducer(
+      { ...initialState, geth: { ...initialPluginState } },
+      {
+        type: 'PLUGIN:SET_AUTOSTART',
+        payload: { pluginName: 'geth', autostart: { enabled: true } }
+      }
+    )
+    expect(state.geth.autostart).toEqual({
+      ...initialPluginState.autostart,
+      enabled: true
+    })
+  })
+
+  it('should handle PLUGIN:SET_DEPENDENCIES', () => {
+    const dependencies = [{ name: 'geth', state: 'CONNECTED' }]
+    const state = reducer(
+      { ...initialState, indexer: { ...initialPluginState } },
+      {
+        type: 'PLUGIN:SET_DEPENDENCIES',
+        payload: { pluginName: 'indexer', dependencies }
+      }
+    )
+    expect(state.indexer.userDependencies).toEqual(dependencies)
+    expect(state.indexer.manifestDependencies).toEqual([])
+  })
+
+  it('should handle PLUGIN:SET_SKIP_AUTOSTART', () => {
+    const action = {
+      type: 'PLUGIN:SET_SKIP_AUTOSTART',
+      payload: { skip: true }
+    }
+    expect(reducer(initialState, action)).toEqual({
+      ...initialState,
+      skipAutostart: true
+    })
+  })
+
+  it('should handle PLUGIN:SET_RESTART_POLICY', () => {
+    const state = reducer(
+      { ...initialState, geth: { ...initialPluginState } },
+      {
+        type: 'PLUGIN:SET_RESTART_POLICY',
+        payload: { pluginName: 'geth', policy: { mode: 'always' } }
+      }
+    )
+    expect(state.geth.restartPolicy).toEqual({
+      ...initialPluginState.restartPolicy,
+      mode: 'always'
+    })
+  })
+
   it('should handle PLUGIN:STATUS_UPDATE', () => {
     const action = {
       type: 'PLUGIN:STATUS_UPDATE',
@@ -323,4 +638,28 @@ describe('the plugin reducer', () => {
       )
     ).toEqual(expectedState)
   })
+
+  it('should handle PLUGIN:UPDATE_SYNC_ESTIMATE', () => {
+    const syncEstimate = {
+      phase: 'blocks',
+      blocksPerSecond: 10,
+      statesPerSecond: 0,
+      blocksRemaining: 900,
+      statesRemaining: 0,
+      eta: 90
+    }
+    const action = {
+      type: 'PLUGIN:UPDATE_SYNC_ESTIMATE',
+      payload: { pluginName: 'geth', syncEstimate }
+    }
+    const expectedState = {
+      ...initialState,
+      geth: {
+        ...initialPluginState,
+        active: { ...initialPluginState.active, syncEstimate }
+      }
+    }
+
+    expect(reducer(initialState, action)).toEqual(expectedState)
+  })
 })
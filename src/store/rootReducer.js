@@ -1,8 +1,12 @@
 import { combineReducers } from 'redux'
 import plugin from './plugin/reducer'
+import metrics from './metrics/reducer'
+import downloads from './downloads/reducer'
 
 const rootReducer = combineReducers({
-  plugin
+  plugin,
+  metrics,
+  downloads
 })
 
 export default rootReducer
@@ -0,0 +1,38 @@
+import { DEFAULT_AUTOSTART, getAutostartPlugins } from '../lib/autostart'
+
+const pluginState = (autostart, version = '1.9.0') => ({
+  autostart: { ...DEFAULT_AUTOSTART, ...autostart },
+  release: { version }
+})
+
+describe('getAutostartPlugins', () => {
+  it('returns enabled plugins with their delay in ms', () => {
+    const geth = { name: 'geth', isRunning: false }
+    const parity = { name: 'parity', isRunning: false }
+    const result = getAutostartPlugins([geth, parity], {
+      geth: pluginState({ enabled: true, delay: 10 }),
+      parity: pluginState({ enabled: false })
+    })
+    expect(result).toEqual([{ plugin: geth, delay: 10000 }])
+  })
+
+  it('skips running plugins and plugins without a release', () => {
+    const geth = { name: 'geth', isRunning: true }
+    const parity = { name: 'parity', isRunning: false }
+    expect(
+      getAutostartPlugins([geth, parity], {
+        geth: pluginState({ enabled: true }),
+        parity: pluginState({ enabled: true }, null)
+      })
+    ).toEqual([])
+  })
+
+  it('treats a negative delay as none', () => {
+    const geth = { name: 'geth', isRunning: false }
+    expect(
+      getAutostartPlugins([geth], {
+        geth: pluginState({ enabled: true, delay: -5 })
+      })
+    ).toEqual([{ plugin: geth, delay: 0 }])
+  })
+})
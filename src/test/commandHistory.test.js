@@ -0,0 +1,64 @@
+import {
+  addToHistory,
+  completeFromHistory,
+  searchHistory
+} from '../lib/commandHistory'
+
+describe('addToHistory', () => {
+  it('appends commands', () => {
+    expect(addToHistory([], 'a')).toEqual(['a'])
+    expect(addToHistory(['a'], 'b')).toEqual(['a', 'b'])
+  })
+
+  it('moves repeated commands to the end', () => {
+    expect(addToHistory(['a', 'b', 'c'], 'a')).toEqual(['b', 'c', 'a'])
+    expect(addToHistory(['a', 'b'], 'b')).toEqual(['a', 'b'])
+  })
+
+  it('ignores empty commands', () => {
+    const history = ['a']
+    expect(addToHistory(history, '')).toBe(history)
+    expect(addToHistory(history, '   ')).toBe(history)
+  })
+
+  it('drops the oldest commands beyond the cap', () => {
+    expect(addToHistory(['a', 'b', 'c'], 'd', 3)).toEqual(['b', 'c', 'd'])
+  })
+})
+
+describe('searchHistory', () => {
+  const history = ['eth_syncing', 'net_peerCount', 'eth_blockNumber']
+
+  it('finds the newest match first', () => {
+    expect(searchHistory(history, 'eth')).toEqual(2)
+  })
+
+  it('steps to older matches', () => {
+    expect(searchHistory(history, 'eth', 2)).toEqual(0)
+    expect(searchHistory(history, 'eth', 0)).toEqual(-1)
+  })
+
+  it('is case insensitive', () => {
+    expect(searchHistory(history, 'PEER')).toEqual(1)
+  })
+
+  it('returns -1 without a query or match', () => {
+    expect(searchHistory(history, '')).toEqual(-1)
+    expect(searchHistory(history, 'admin')).toEqual(-1)
+  })
+})
+
+describe('completeFromHistory', () => {
+  const history = ['eth_syncing', 'eth_block', 'eth_blockNumber']
+
+  it('completes with the newest longer entry', () => {
+    expect(completeFromHistory(history, 'eth_b')).toEqual('eth_blockNumber')
+    expect(completeFromHistory(history, 'eth_s')).toEqual('eth_syncing')
+  })
+
+  it('returns null without a completion', () => {
+    expect(completeFromHistory(history, 'eth_syncing')).toBeNull()
+    expect(completeFromHistory(history, '')).toBeNull()
+    expect(completeFromHistory(history, 'net')).toBeNull()
+  })
+})
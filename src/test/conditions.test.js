@@ -0,0 +1,103 @@
+/* eslint-env jest */
+import {
+  evaluateCondition,
+  getActiveSettingIds,
+  getConditionErrors,
+  getSettingState
+} from '../lib/conditions'
+
+describe('evaluateCondition', () => {
+  it('is true for empty expressions', () => {
+    expect(evaluateCondition(undefined, {})).toBe(true)
+    expect(evaluateCondition('', {})).toBe(true)
+  })
+
+  it('compares setting values', () => {
+    const values = { rpc: 'on', port: '8545' }
+    expect(evaluateCondition("rpc == 'on'", values)).toBe(true)
+    expect(evaluateCondition('rpc != "on"', values)).toBe(false)
+    expect(evaluateCondition('port == 8545', values)).toBe(true)
+    expect(evaluateCondition('port >= 1024 && port < 65536', values)).toBe(true)
+  })
+
+  it('supports lists, negation and grouping', () => {
+    const values = { syncMode: 'archive', light: 'false' }
+    expect(evaluateCondition("syncMode in ['full', 'archive']", values)).toBe(
+      true
+    )
+    expect(evaluateCondition("!(syncMode == 'light') && !light", values)).toBe(
+      true
+    )
+    expect(evaluateCondition("syncMode == 'fast' || light", values)).toBe(false)
+  })
+
+  it('treats unset and off values as false', () => {
+    expect(evaluateCondition('rpc', {})).toBe(false)
+    expect(evaluateCondition('rpc', { rpc: 'off' })).toBe(false)
+    expect(evaluateCondition('rpc', { rpc: '' })).toBe(false)
+    expect(evaluateCondition('rpc', { rpc: 'http' })).toBe(true)
+  })
+
+  it('throws on invalid expressions', () => {
+    expect(() => evaluateCondition("rpc == 'on", {})).toThrow()
+    expect(() => evaluateCondition('rpc ==', {})).toThrow()
+    expect(() => evaluateCondition('(rpc', {})).toThrow('Expected ")"')
+    expect(() => evaluateCondition('rpc; alert(1)', {})).toThrow()
+  })
+})
+
+describe('getActiveSettingIds', () => {
+  const settings = [
+    { id: 'rpc' },
+    { id: 'rpcApi', visibleIf: "rpc == 'on'" },
+    { id: 'rpcCors', enabledIf: 'rpcApi' }
+  ]
+
+  it('keeps settings whose conditions hold', () => {
+    const config = { rpc: 'on', rpcApi: 'eth', rpcCors: '*' }
+    expect(getActiveSettingIds(config, settings)).toEqual([
+      'rpc',
+      'rpcApi',
+      'rpcCors'
+    ])
+  })
+
+  it('deactivates settings depending on inactive ones', () => {
+    const config = { rpc: 'off', rpcApi: 'eth', rpcCors: '*' }
+    expect(getActiveSettingIds(config, settings)).toEqual(['rpc'])
+  })
+
+  it('keeps settings with broken conditions', () => {
+    expect(getActiveSettingIds({}, [{ id: 'a', visibleIf: '==' }])).toEqual([
+      'a'
+    ])
+  })
+})
+
+describe('getConditionErrors', () => {
+  it('reports conditions that do not parse', () => {
+    const settings = [
+      { id: 'rpc', visibleIf: "mode == 'full'" },
+      { id: 'rpcApi', label: 'RPC API', enabledIf: 'rpc ==' }
+    ]
+    const errors = getConditionErrors(settings)
+    expect(errors).toHaveLength(1)
+    expect(errors[0].id).toEqual('rpcApi')
+    expect(errors[0].message).toMatch(/^Invalid enabledIf of RPC API: /)
+  })
+})
+
+describe('getSettingState', () => {
+  it('reports visibility and enabled state separately', () => {
+    const setting = { id: 'cors', visibleIf: 'rpc', enabledIf: 'rpcApi' }
+    const config = { rpc: 'on', rpcApi: '' }
+    expect(getSettingState(setting, config, ['rpc', 'rpcApi'])).toEqual({
+      isVisible: true,
+      isEnabled: false
+    })
+    expect(getSettingState(setting, config, ['rpcApi'])).toEqual({
+      isVisible: false,
+      isEnabled: false
+    })
+  })
+})
@@ -0,0 +1,208 @@
+import {
+  CONFIG_EXPORT_FORMAT,
+  buildConfigExport,
+  diffConfigImport,
+  parseConfigImport,
+  validateConfigImport
+} from '../lib/configTransfer'
+
+const settings = [
+  { id: 'dataDir', flag: '--datadir %s' },
+  {
+    id: 'syncMode',
+    options: [
+      { value: 'fast', flag: '--syncmode fast' },
+      { value: 'light', flag: '--syncmode light' }
+    ]
+  },
+  { id: 'network', options: ['main', 'goerli'] }
+]
+const options = {
+  pluginName: 'geth',
+  settingsIds: settings.map(setting => setting.id),
+  settings
+}
+const date = new Date(Date.UTC(2019, 5, 10))
+const doc = buildConfigExport({
+  pluginName: 'geth',
+  config: { dataDir: '/data', syncMode: 'light' },
+  flags: ['--datadir', '/data', '--syncmode', 'light'],
+  release: {
+    version: '1.8.23',
+    fileName: 'geth-1.8.23.tar.gz',
+    location: '/x'
+  },
+  date
+})
+
+describe('buildConfigExport', () => {
+  it('creates a versioned document pinning the release', () => {
+    expect(doc).toEqual({
+      format: CONFIG_EXPORT_FORMAT,
+      version: 1,
+      plugin: 'geth',
+      exportedAt: '2019-06-10T00:00:00.000Z',
+      config: { dataDir: '/data', syncMode: 'light' },
+      flags: ['--datadir', '/data', '--syncmode', 'light'],
+      release: { version: '1.8.23', fileName: 'geth-1.8.23.tar.gz' }
+    })
+  })
+
+  it('omits releases without a version', () => {
+    expect(buildConfigExport({ pluginName: 'geth', release: {} }).release).toBe(
+      null
+    )
+  })
+})
+
+describe('validateConfigImport', () => {
+  it('accepts its own exports', () => {
+    expect(validateConfigImport(doc, options)).toEqual([])
+  })
+
+  it('rejects other documents', () => {
+    expect(validateConfigImport({ foo: 1 }, options)).toEqual([
+      'Not a plugin config export'
+    ])
+  })
+
+  it('rejects newer versions and other plugins', () => {
+    const errors = validateConfigImport(
+      { ...doc, version: 2, plugin: 'parity' },
+      options
+    )
+    expect(errors).toHaveLength(2)
+    expect(errors[0]).toMatch(/newer/)
+    expect(errors[1]).toMatch(/parity/)
+  })
+
+  it('checks ids and values against the settings', () => {
+    const errors = validateConfigImport(
+      {
+        ...doc,
+        config: {
+          cache: 1024,
+          syncMode: 'warp',
+          network: 'goerli',
+          dataDir: {}
+        }
+      },
+      options
+    )
+    expect(errors).toEqual([
+      'Unknown setting "cache"',
+      'Setting "syncMode" must be one of: fast, light',
+      'Setting "dataDir" must be a string, number or boolean'
+    ])
+  })
+
+  it('checks boolean and list settings', () => {
+    const typedSettings = [
+      { id: 'rpc', type: 'boolean', flag: '--rpc' },
+      {
+        id: 'api',
+        type: 'multiselect',
+        flag: '--rpcapi %s',
+        options: ['eth', 'net']
+      },
+      { id: 'labels', type: 'keyvalue', flag: '--label %s' }
+    ]
+    const typedOptions = {
+      pluginName: 'geth',
+      settingsIds: ['rpc', 'api', 'labels'],
+      settings: typedSettings
+    }
+    const valid = {
+      ...doc,
+      config: {
+        rpc: false,
+        api: ['eth', 'net'],
+        labels: [{ key: 'a', value: '1' }]
+      }
+    }
+    expect(validateConfigImport(valid, typedOptions)).toEqual([])
+    expect(
+      validateConfigImport(
+        {
+          ...doc,
+          config: { rpc: 'yes', api: ['eth', 'web3'], labels: ['a=1'] }
+        },
+        typedOptions
+      )
+    ).toEqual([
+      'Setting "rpc" must be true or false',
+      'Setting "api" must be one of: eth, net',
+      'Setting "labels" must be a list of { key, value } pairs'
+    ])
+  })
+
+  it('checks flags and release', () => {
+    const errors = validateConfigImport(
+      { ...doc, flags: [1], release: { fileName: 'x' } },
+      options
+    )
+    expect(errors).toEqual([
+      '"flags" must be a list of strings',
+      '"release" must have a version'
+    ])
+  })
+})
+
+describe('parseConfigImport', () => {
+  it('returns config, flags and release', () => {
+    expect(parseConfigImport(JSON.stringify(doc), options)).toEqual({
+      config: doc.config,
+      flags: doc.flags,
+      release: doc.release
+    })
+  })
+
+  it('throws on invalid JSON or documents', () => {
+    expect(() => parseConfigImport('{', options)).toThrow(/Invalid JSON/)
+    expect(() => parseConfigImport('{}', options)).toThrow(/Not a plugin/)
+  })
+})
+
+describe('diffConfigImport', () => {
+  it('lists changed settings, flags and release', () => {
+    const current = {
+      config: { dataDir: '/data', syncMode: 'fast', network: 'main' },
+      flags: ['--datadir', '/data', '--syncmode', 'fast'],
+      release: { version: '1.8.22' }
+    }
+    expect(
+      diffConfigImport(current, parseConfigImport(JSON.stringify(doc), options))
+    ).toEqual([
+      { label: 'syncMode', from: 'fast', to: 'light' },
+      { label: 'network', from: 'main', to: '(empty)' },
+      {
+        label: 'flags',
+        from: '--datadir /data --syncmode fast',
+        to: '--datadir /data --syncmode light'
+      },
+      { label: 'release', from: '1.8.22', to: '1.8.23' }
+    ])
+  })
+
+  it('compares and formats list values', () => {
+    const current = {
+      config: { api: ['eth'], labels: [{ key: 'a', value: '1' }] },
+      flags: []
+    }
+    const imported = {
+      config: { api: ['eth'], labels: [{ key: 'a', value: '2' }] }
+    }
+    expect(diffConfigImport(current, imported)).toEqual([
+      { label: 'labels', from: 'a=1', to: 'a=2' }
+    ])
+  })
+
+  it('is empty when nothing changes', () => {
+    const current = {
+      config: doc.config,
+      flags: doc.flags,
+      release: doc.release
+    }
+    expect(diffConfigImport(current, current)).toEqual([])
+  })
+})
@@ -0,0 +1,76 @@
+import {
+  SPEED_WINDOW,
+  appendProgressSample,
+  getDownloadStats,
+  formatBytes,
+  formatEta,
+  describeDownload
+} from '../lib/downloadStats'
+
+describe('appendProgressSample', () => {
+  it('keeps one sample older than the window', () => {
+    let samples = []
+    samples = appendProgressSample(samples, 0, 0)
+    samples = appendProgressSample(samples, 1000, 10)
+    samples = appendProgressSample(samples, SPEED_WINDOW + 2000, 20)
+    expect(samples).toEqual([
+      { time: 1000, progress: 10 },
+      { time: SPEED_WINDOW + 2000, progress: 20 }
+    ])
+  })
+})
+
+describe('getDownloadStats', () => {
+  it('needs two samples', () => {
+    expect(getDownloadStats([{ time: 0, progress: 0 }], 100)).toEqual({
+      speed: null,
+      eta: null
+    })
+  })
+
+  it('computes speed from the total size and eta from progress', () => {
+    const samples = [{ time: 0, progress: 10 }, { time: 2000, progress: 30 }]
+    expect(getDownloadStats(samples, 1000)).toEqual({ speed: 100, eta: 7 })
+  })
+
+  it('has an eta without a known size', () => {
+    const samples = [{ time: 0, progress: 0 }, { time: 1000, progress: 50 }]
+    expect(getDownloadStats(samples)).toEqual({ speed: null, eta: 1 })
+  })
+
+  it('has no stats while stalled', () => {
+    const samples = [{ time: 0, progress: 40 }, { time: 1000, progress: 40 }]
+    expect(getDownloadStats(samples, 1000)).toEqual({ speed: null, eta: null })
+  })
+})
+
+describe('formatting', () => {
+  it('formats bytes', () => {
+    expect(formatBytes(512)).toEqual('512 B')
+    expect(formatBytes(1536)).toEqual('1.5 KB')
+    expect(formatBytes(5 * 1024 * 1024)).toEqual('5.0 MB')
+  })
+
+  it('formats eta', () => {
+    expect(formatEta(42)).toEqual('42s')
+    expect(formatEta(95)).toEqual('1m 35s')
+    expect(formatEta(3720)).toEqual('1h 2m')
+  })
+
+  it('describes a download', () => {
+    expect(
+      describeDownload({
+        status: 'downloading',
+        progress: 42,
+        speed: 1536,
+        eta: 95
+      })
+    ).toEqual('42% - 1.5 KB/s - 1m 35s left')
+    expect(describeDownload({ status: 'interrupted', progress: 42 })).toEqual(
+      'Interrupted at 42%'
+    )
+    expect(describeDownload({ status: 'error', error: 'Timeout' })).toEqual(
+      'Failed: Timeout'
+    )
+  })
+})
@@ -0,0 +1,40 @@
+import { toEnvironmentObject, validateEnvironment } from '../lib/environment'
+
+describe('validateEnvironment', () => {
+  it('accepts valid names and skips empty rows', () => {
+    expect(
+      validateEnvironment([
+        { key: 'JAVA_OPTS', value: '-Xmx4g' },
+        { key: '_LOG', value: 'json' },
+        { key: '', value: 'x' }
+      ])
+    ).toEqual([])
+  })
+
+  it('reports invalid and repeated names', () => {
+    expect(
+      validateEnvironment([
+        { key: '1ST', value: '' },
+        { key: 'LOG FORMAT', value: 'json' },
+        { key: 'A', value: '1' },
+        { key: 'A', value: '2' }
+      ])
+    ).toEqual([
+      'Environment variable "1ST" has an invalid name',
+      'Environment variable "LOG FORMAT" has an invalid name',
+      'Environment variable "A" is set more than once'
+    ])
+  })
+})
+
+describe('toEnvironmentObject', () => {
+  it('converts pairs to an object', () => {
+    expect(
+      toEnvironmentObject([
+        { key: 'JAVA_OPTS', value: '-Xmx4g' },
+        { key: 'EMPTY' },
+        { key: '', value: 'skipped' }
+      ])
+    ).toEqual({ JAVA_OPTS: '-Xmx4g', EMPTY: '' })
+  })
+})
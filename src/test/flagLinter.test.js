@@ -0,0 +1,91 @@
+import { groupFlags, lintFlags } from '../lib/flagLinter'
+
+const rules = findings => findings.map(f => `${f.severity}:${f.rule}:${f.flag}`)
+
+describe('groupFlags', () => {
+  it('groups flags with their values', () => {
+    expect(
+      groupFlags(['--rpcport', '8545', '--rpc', '--cache=512', '', 'x'])
+    ).toEqual([
+      { name: '--rpcport', value: '8545' },
+      { name: '--rpc', value: null },
+      { name: '--cache', value: '512' },
+      { name: 'x', value: null }
+    ])
+  })
+})
+
+describe('lintFlags', () => {
+  it('finds nothing in safe flags', () => {
+    expect(
+      lintFlags(['--rpc', '--rpcaddr', '127.0.0.1', '--rpcapi', 'eth,net'])
+    ).toEqual([])
+  })
+
+  it('finds duplicate flags unless repeatable', () => {
+    const flags = ['--cache', '512', '--cache=1024', '--label', 'a', '--label']
+    expect(rules(lintFlags(flags, { repeatableFlags: ['--label'] }))).toEqual([
+      'warning:duplicate:--cache'
+    ])
+    expect(rules(lintFlags(flags))).toEqual([
+      'warning:duplicate:--cache',
+      'warning:duplicate:--label'
+    ])
+  })
+
+  it('finds mutually exclusive flags', () => {
+    const catalog = { exclusive: [['--light', '--fast']] }
+    expect(
+      rules(
+        lintFlags(['--testnet', '--rinkeby', '--light', '--fast'], { catalog })
+      )
+    ).toEqual([
+      'error:exclusive:--testnet --rinkeby',
+      'error:exclusive:--light --fast'
+    ])
+  })
+
+  it('finds unknown flags only with a catalog', () => {
+    const flags = ['--datadir', '/data', '--rcp', '--syncmode', 'fast']
+    expect(lintFlags(flags)).toEqual([])
+    expect(
+      rules(
+        lintFlags(flags, {
+          catalog: { flags: ['--datadir'] },
+          knownFlags: ['--syncmode']
+        })
+      )
+    ).toEqual(['warning:unknown:--rcp'])
+  })
+
+  it('flags RPC on all interfaces with the personal API as an error', () => {
+    const findings = lintFlags([
+      '--http.addr',
+      '0.0.0.0',
+      '--http.api',
+      'eth,personal'
+    ])
+    expect(rules(findings)).toEqual(['error:exposure:--http.addr 0.0.0.0'])
+    expect(findings[0].message).toMatch(/personal/)
+    expect(rules(lintFlags(['--wsaddr=0.0.0.0', '--wsapi=eth']))).toEqual([
+      'warning:exposure:--wsaddr 0.0.0.0'
+    ])
+  })
+
+  it('flags wildcard CORS domains and vhosts', () => {
+    expect(
+      rules(lintFlags(['--rpcvhosts', '*', '--rpccorsdomain', 'a.com,*']))
+    ).toEqual([
+      'warning:exposure:--rpccorsdomain a.com,*',
+      'info:exposure:--rpcvhosts *'
+    ])
+  })
+  it('finds unresolved references', () => {
+    // eslint-disable-next-line no-template-curly-in-string
+    const flags = ['--ipcpath', '${dataDir}/geth.ipc']
+    expect(rules(lintFlags(flags))).toEqual([
+      // eslint-disable-next-line no-template-curly-in-string
+      'error:unresolved:${dataDir}'
+    ])
+  })
+})
@@ -0,0 +1,44 @@
+/* eslint-disable no-template-curly-in-string */
+import { getReferences, interpolate } from '../lib/interpolation'
+
+describe('getReferences', () => {
+  it('lists referenced names once', () => {
+    expect(getReferences('${dataDir}/${network}/${dataDir}')).toEqual([
+      'dataDir',
+      'network'
+    ])
+    expect(getReferences('--cache %s')).toEqual([])
+    expect(getReferences(undefined)).toEqual([])
+  })
+})
+
+describe('interpolate', () => {
+  it('replaces references with variables', () => {
+    expect(
+      interpolate('${dataDir}/geth.ipc', { dataDir: '/data dir' })
+    ).toEqual({ value: '/data dir/geth.ipc', unresolved: [] })
+  })
+
+  it('resolves references inside variables', () => {
+    const variables = { home: '/home/me', dataDir: '${home}/.ethereum' }
+    expect(interpolate('${dataDir}/geth.ipc', variables).value).toEqual(
+      '/home/me/.ethereum/geth.ipc'
+    )
+  })
+
+  it('leaves unknown, empty and cyclic references unresolved', () => {
+    const variables = { dataDir: '', a: '${b}', b: '${a}' }
+    expect(interpolate('${dataDir}/${missing}', variables)).toEqual({
+      value: '${dataDir}/${missing}',
+      unresolved: ['dataDir', 'missing']
+    })
+    expect(interpolate('${a}', variables).unresolved).toHaveLength(1)
+  })
+
+  it('ignores values that are not strings', () => {
+    expect(interpolate(undefined, {})).toEqual({
+      value: undefined,
+      unresolved: []
+    })
+  })
+})
@@ -0,0 +1,76 @@
+import { buildLogHeader, formatLogs, getLogFileName } from '../lib/logExport'
+import { parseLogLine } from '../lib/logParser'
+
+const date = new Date(2019, 5, 10, 12, 0, 5)
+const entries = [
+  parseLogLine('\u001b[32mINFO\u001b[0m [06-10|12:00:00.000] Started  id=1'),
+  parseLogLine('plain line')
+]
+const header = buildLogHeader({
+  pluginName: 'geth',
+  version: '1.8.23',
+  flags: ['--syncmode', 'light', ''],
+  date,
+  lineCount: entries.length
+})
+
+describe('buildLogHeader', () => {
+  it('describes the plugin run', () => {
+    expect(header).toEqual({
+      plugin: 'geth',
+      version: '1.8.23',
+      flags: '--syncmode light',
+      exportedAt: date.toISOString(),
+      lines: 2,
+      filtered: false
+    })
+  })
+
+  it('falls back to an unknown version', () => {
+    expect(buildLogHeader({ pluginName: 'geth' }).version).toEqual('unknown')
+  })
+})
+
+describe('formatLogs', () => {
+  it('writes plain text without ANSI codes', () => {
+    const lines = formatLogs(entries, header, 'text').split('\n')
+
+    expect(lines[0]).toEqual('# Plugin: geth')
+    expect(lines[1]).toEqual('# Version: 1.8.23')
+    expect(lines[2]).toEqual('# Flags: --syncmode light')
+    expect(lines.slice(-2)).toEqual([
+      'INFO [06-10|12:00:00.000] Started  id=1',
+      'plain line'
+    ])
+  })
+
+  it('marks filtered exports', () => {
+    const filteredHeader = { ...header, filtered: true }
+    expect(formatLogs([], filteredHeader)).toContain(
+      '# Lines: 2 (filtered view)'
+    )
+  })
+
+  it('writes JSON lines with a header object first', () => {
+    const lines = formatLogs(entries, header, 'json')
+      .split('\n')
+      .map(line => JSON.parse(line))
+
+    expect(lines[0]).toEqual({ header })
+    expect(lines[1].level).toEqual('INFO')
+    expect(lines[1].fields).toEqual({ id: '1' })
+    expect(lines[1].raw).toBeUndefined()
+    expect(lines[2].message).toEqual('plain line')
+  })
+})
+
+describe('getLogFileName', () => {
+  it('uses the plugin name, a timestamp and the format extension', () => {
+    expect(getLogFileName('geth', 'text', date)).toEqual(
+      'geth-20190610-120005.log'
+    )
+    expect(getLogFileName('geth', 'json', date)).toEqual(
+      'geth-20190610-120005.jsonl'
+    )
+  })
+})
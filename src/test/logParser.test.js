@@ -0,0 +1,130 @@
+import {
+  LOG_LEVELS,
+  buildSearchPattern,
+  filterLogs,
+  parseLogLine,
+  splitMatches,
+  stripAnsi
+} from '../lib/logParser'
+
+describe('stripAnsi', () => {
+  it('removes color codes', () => {
+    expect(stripAnsi('\u001b[32mINFO\u001b[0m done')).toEqual('INFO done')
+  })
+})
+
+describe('parseLogLine', () => {
+  it('parses geth lines', () => {
+    const raw =
+      '\u001b[32mINFO\u001b[0m [06-10|12:00:00.000] Imported new chain segment               blocks=1 txs=0 elapsed="1.234 ms" number=123'
+    const entry = parseLogLine(raw)
+
+    expect(entry.raw).toEqual(raw)
+    expect(entry.level).toEqual('INFO')
+    expect(entry.timestamp).toEqual('06-10|12:00:00.000')
+    expect(entry.module).toBeNull()
+    expect(entry.message).toEqual('Imported new chain segment')
+    expect(entry.fields).toEqual({
+      blocks: '1',
+      txs: '0',
+      elapsed: '1.234 ms',
+      number: '123'
+    })
+  })
+
+  it('parses geth lines with abbreviated levels and locations', () => {
+    const entry = parseLogLine(
+      'EROR [06-10|12:00:00.000|eth/downloader/downloader.go:42] Sync failed err=timeout'
+    )
+
+    expect(entry.level).toEqual('ERROR')
+    expect(entry.module).toEqual('eth/downloader/downloader.go:42')
+    expect(entry.message).toEqual('Sync failed')
+    expect(entry.fields).toEqual({ err: 'timeout' })
+  })
+
+  it('parses parity lines', () => {
+    const entry = parseLogLine(
+      '2019-06-10 12:00:00  Verifier #0 INFO import  Imported #123 0xabc (0 txs, 0.00 Mgas, 0 ms, 0.56 KiB)'
+    )
+
+    expect(entry.level).toEqual('INFO')
+    expect(entry.timestamp).toEqual('2019-06-10 12:00:00')
+    expect(entry.module).toEqual('import')
+    expect(entry.message).toEqual(
+      'Imported #123 0xabc (0 txs, 0.00 Mgas, 0 ms, 0.56 KiB)'
+    )
+  })
+
+  it('parses parity lines without a level', () => {
+    const entry = parseLogLine(
+      '2019-06-10 12:00:00  Public node URL: enode://abc@127.0.0.1:30303'
+    )
+
+    expect(entry.level).toEqual('INFO')
+    expect(entry.module).toBeNull()
+    expect(entry.message).toEqual(
+      'Public node URL: enode://abc@127.0.0.1:30303'
+    )
+  })
+
+  it('keeps unknown lines as messages without level', () => {
+    const entry = parseLogLine('Fatal: unable to bind')
+
+    expect(entry.level).toBeNull()
+    expect(entry.message).toEqual('Fatal: unable to bind')
+  })
+})
+
+describe('filterLogs', () => {
+  const entries = [
+    'INFO [06-10|12:00:00.000] Started P2P networking',
+    'WARN [06-10|12:00:01.000] Dropping peer',
+    'some unparsed output'
+  ].map(parseLogLine)
+
+  it('returns everything by default', () => {
+    expect(filterLogs(entries)).toEqual(entries)
+  })
+
+  it('filters by level and hides unparsed lines', () => {
+    expect(filterLogs(entries, { levels: ['WARN'] })).toEqual([entries[1]])
+  })
+
+  it('filters by search pattern', () => {
+    const pattern = buildSearchPattern('p2p')
+    expect(filterLogs(entries, { levels: LOG_LEVELS, pattern })).toEqual([
+      entries[0]
+    ])
+  })
+})
+
+describe('buildSearchPattern', () => {
+  it('escapes plain text queries', () => {
+    expect(buildSearchPattern('a.b').test('axb')).toBe(false)
+  })
+
+  it('supports regular expressions', () => {
+    expect(buildSearchPattern('peer(s)?$', true).test('Dropping peers')).toBe(
+      true
+    )
+  })
+
+  it('throws on invalid regular expressions', () => {
+    expect(() => buildSearchPattern('(', true)).toThrow()
+  })
+})
+
+describe('splitMatches', () => {
+  it('splits text into highlighted segments', () => {
+    expect(splitMatches('Imported block', /port/gi)).toEqual([
+      { text: 'Im', match: false },
+      { text: 'port', match: true },
+      { text: 'ed block', match: false }
+    ])
+  })
+
+  it('does not loop on empty matches', () => {
+    expect(splitMatches('abc', /x*/g)).toEqual([{ text: 'abc', match: false }])
+  })
+})
@@ -0,0 +1,101 @@
+import {
+  findDependencyCycle,
+  getDependencies,
+  getDependents,
+  getStartOrder,
+  isStateReached
+} from '../lib/pluginDependencies'
+
+describe('isStateReached', () => {
+  it('accepts later states', () => {
+    expect(isStateReached('CONNECTED', 'STARTED')).toBe(true)
+    expect(isStateReached('STARTED', 'STARTED')).toBe(true)
+    expect(isStateReached('STARTED', 'CONNECTED')).toBe(false)
+    expect(isStateReached('STOPPED', 'STARTED')).toBe(false)
+  })
+})
+
+describe('getDependencies', () => {
+  it('lets user dependencies override the manifest', () => {
+    expect(
+      getDependencies({
+        manifestDependencies: [{ name: 'geth' }, { name: 'parity' }],
+        userDependencies: [
+          { name: 'geth', state: 'CONNECTED' },
+          { name: 'prysm', state: 'STARTED' }
+        ]
+      })
+    ).toEqual([
+      { name: 'geth', state: 'CONNECTED', source: 'user' },
+      { name: 'parity', state: 'STARTED', source: 'manifest' },
+      { name: 'prysm', state: 'STARTED', source: 'user' }
+    ])
+  })
+})
+
+describe('getStartOrder', () => {
+  it('starts indirect dependencies first', () => {
+    const dependencyMap = {
+      indexer: [{ name: 'prysm', state: 'STARTED' }],
+      prysm: [{ name: 'geth', state: 'CONNECTED' }],
+      geth: []
+    }
+    expect(getStartOrder('indexer', dependencyMap)).toEqual([
+      { name: 'geth', state: 'CONNECTED' },
+      { name: 'prysm', state: 'STARTED' }
+    ])
+  })
+
+  it('waits for the strictest state of a shared dependency', () => {
+    const dependencyMap = {
+      indexer: [
+        { name: 'geth', state: 'STARTED' },
+        { name: 'prysm', state: 'STARTED' }
+      ],
+      prysm: [{ name: 'geth', state: 'CONNECTED' }]
+    }
+    expect(getStartOrder('indexer', dependencyMap)).toEqual([
+      { name: 'geth', state: 'CONNECTED' },
+      { name: 'prysm', state: 'STARTED' }
+    ])
+  })
+
+  it('throws on a cycle', () => {
+    const dependencyMap = {
+      indexer: [{ name: 'geth', state: 'STARTED' }],
+      geth: [{ name: 'prysm', state: 'STARTED' }],
+      prysm: [{ name: 'geth', state: 'STARTED' }]
+    }
+    expect(() => getStartOrder('indexer', dependencyMap)).toThrow(
+      'Dependency cycle: indexer → geth → prysm → geth'
+    )
+  })
+})
+
+describe('findDependencyCycle', () => {
+  it('finds cycles through the plugin', () => {
+    const dependencyMap = {
+      geth: [{ name: 'prysm', state: 'STARTED' }],
+      prysm: [{ name: 'geth', state: 'STARTED' }]
+    }
+    expect(findDependencyCycle('geth', dependencyMap)).toEqual([
+      'geth',
+      'prysm',
+      'geth'
+    ])
+    expect(findDependencyCycle('indexer', dependencyMap)).toBeNull()
+  })
+})
+
+describe('getDependents', () => {
+  it('includes indirect dependents', () => {
+    const dependencyMap = {
+      indexer: [{ name: 'prysm', state: 'STARTED' }],
+      prysm: [{ name: 'geth', state: 'CONNECTED' }],
+      geth: [],
+      parity: []
+    }
+    expect(getDependents('geth', dependencyMap)).toEqual(['prysm', 'indexer'])
+    expect(getDependents('parity', dependencyMap)).toEqual([])
+  })
+})
@@ -0,0 +1,29 @@
+import { getCopyName, validateProfileName } from '../lib/profiles'
+
+describe('validateProfileName', () => {
+  it('accepts new names', () => {
+    expect(validateProfileName('goerli-light', ['Default'])).toBeNull()
+  })
+
+  it('requires a name', () => {
+    expect(validateProfileName('', [])).toEqual('Name is required')
+    expect(validateProfileName('   ', [])).toEqual('Name is required')
+  })
+
+  it('rejects long names', () => {
+    expect(validateProfileName('a'.repeat(41), [])).toMatch(/at most/)
+  })
+
+  it('rejects existing names regardless of case', () => {
+    expect(validateProfileName(' default ', ['Default'])).toMatch(/exists/)
+  })
+})
+
+describe('getCopyName', () => {
+  it('appends copy and a counter when taken', () => {
+    expect(getCopyName('goerli', ['goerli'])).toEqual('goerli copy')
+    expect(getCopyName('goerli', ['goerli', 'goerli copy'])).toEqual(
+      'goerli copy 2'
+    )
+  })
+})
@@ -0,0 +1,101 @@
+import {
+  DEFAULT_RELEASE_FILTER,
+  filterReleases,
+  getReleaseChannel,
+  getReleaseFilterOptions,
+  sortReleases
+} from '../lib/releaseFilters'
+
+const release = (version, extra = {}) => ({
+  version,
+  displayVersion: `v${version}`,
+  fileName: `geth-${version}.tar.gz`,
+  platform: 'linux',
+  arch: 'amd64',
+  remote: true,
+  ...extra
+})
+
+const releases = [
+  release('1.8.23'),
+  release('1.9.0-unstable'),
+  release('1.8.27', { remote: false }),
+  release('1.9.1', { platform: 'darwin' }),
+  release('1.9.2', { arch: '386' }),
+  release('1.9.3-nightly.20190610'),
+  release('latest')
+]
+
+const versions = list => list.map(r => r.version)
+
+describe('getReleaseChannel', () => {
+  it('derives the channel from the version', () => {
+    expect(getReleaseChannel(release('1.8.23'))).toEqual('stable')
+    expect(getReleaseChannel(release('1.9.0-unstable'))).toEqual('unstable')
+    expect(getReleaseChannel(release('2.0.0-rc.1'))).toEqual('unstable')
+    expect(getReleaseChannel(release('1.9.3-nightly.20190610'))).toEqual(
+      'nightly'
+    )
+  })
+
+  it('prefers the channel set by the plugin', () => {
+    expect(
+      getReleaseChannel(release('1.8.23', { channel: 'nightly' }))
+    ).toEqual('nightly')
+  })
+})
+
+describe('filterReleases', () => {
+  it('keeps everything with the default filter', () => {
+    expect(filterReleases(releases, DEFAULT_RELEASE_FILTER)).toEqual(releases)
+  })
+
+  it('filters by channel, platform, arch and location', () => {
+    expect(versions(filterReleases(releases, { channel: 'unstable' }))).toEqual(
+      ['1.9.0-unstable']
+    )
+    expect(versions(filterReleases(releases, { platform: 'darwin' }))).toEqual([
+      '1.9.1'
+    ])
+    expect(versions(filterReleases(releases, { arch: '386' }))).toEqual([
+      '1.9.2'
+    ])
+    expect(versions(filterReleases(releases, { location: 'local' }))).toEqual([
+      '1.8.27'
+    ])
+    expect(filterReleases(releases, { location: 'remote' })).toHaveLength(6)
+  })
+
+  it('searches by semver range or text', () => {
+    expect(versions(filterReleases(releases, { search: '~1.8.25' }))).toEqual([
+      '1.8.27'
+    ])
+    expect(
+      versions(filterReleases(releases, { search: '>=1.9.1 <1.9.3' }))
+    ).toEqual(['1.9.1', '1.9.2'])
+    expect(versions(filterReleases(releases, { search: 'LATEST' }))).toEqual([
+      'latest'
+    ])
+  })
+})
+
+describe('sortReleases', () => {
+  it('sorts by semver and puts unparsable versions last', () => {
+    const list = [release('1.10.0'), release('latest'), release('1.9.0')]
+    expect(versions(sortReleases(list))).toEqual(['1.10.0', '1.9.0', 'latest'])
+    expect(versions(sortReleases(list, 'asc'))).toEqual([
+      '1.9.0',
+      '1.10.0',
+      'latest'
+    ])
+  })
+})
+
+describe('getReleaseFilterOptions', () => {
+  it('lists platforms and archs present', () => {
+    expect(getReleaseFilterOptions(releases)).toEqual({
+      platforms: ['darwin', 'linux'],
+      archs: ['386', 'amd64']
+    })
+  })
+})
@@ -0,0 +1,65 @@
+import {
+  addToReleaseHistory,
+  getPreviousRelease,
+  isFailedFirstStart
+} from '../lib/releaseHistory'
+
+const release = version => ({ version, fileName: `geth-${version}.zip` })
+
+describe('addToReleaseHistory', () => {
+  it('moves the release to the front', () => {
+    const history = [release('1.9.1'), release('1.9.0')]
+    expect(addToReleaseHistory(history, release('1.9.0'))).toEqual([
+      release('1.9.0'),
+      release('1.9.1')
+    ])
+  })
+
+  it('keeps the history when the release is already first', () => {
+    const history = [release('1.9.1')]
+    expect(addToReleaseHistory(history, release('1.9.1'))).toBe(history)
+    expect(addToReleaseHistory(history, null)).toBe(history)
+  })
+
+  it('caps the history', () => {
+    const history = [release('1.9.1'), release('1.9.0')]
+    expect(addToReleaseHistory(history, release('1.9.2'), 2)).toEqual([
+      release('1.9.2'),
+      release('1.9.1')
+    ])
+  })
+})
+
+describe('getPreviousRelease', () => {
+  const history = [release('1.9.1'), release('1.9.0')]
+
+  it('skips the current release', () => {
+    expect(getPreviousRelease(history, release('1.9.1'))).toEqual(
+      release('1.9.0')
+    )
+    expect(getPreviousRelease(history, release('1.9.2'))).toEqual(
+      release('1.9.1')
+    )
+  })
+
+  it('returns null without history', () => {
+    expect(getPreviousRelease([], release('1.9.1'))).toBeNull()
+  })
+})
+
+describe('isFailedFirstStart', () => {
+  it('is true when a release that never worked fails', () => {
+    const state = {
+      startOutcome: 'failed',
+      lastStartedRelease: release('1.9.2'),
+      releaseHistory: [release('1.9.1')]
+    }
+    expect(isFailedFirstStart(state)).toBe(true)
+    expect(
+      isFailedFirstStart({ ...state, lastStartedRelease: release('1.9.1') })
+    ).toBe(false)
+    expect(isFailedFirstStart({ ...state, startOutcome: 'pending' })).toBe(
+      false
+    )
+  })
+})
@@ -0,0 +1,93 @@
+import {
+  getStorageEntries,
+  getReleasesToPrune,
+  getTotalSize
+} from '../lib/releaseStorage'
+
+const release = (version, extra = {}) => ({
+  version,
+  fileName: `geth-${version}.zip`,
+  ...extra
+})
+
+const releases = [
+  release('1.9.0', { size: 300 }),
+  release('1.8.27', { size: 200 }),
+  release('1.8.26'),
+  release('1.8.25', { size: 100 }),
+  release('2.0.0', { remote: true })
+]
+
+const usage = { 'geth-1.8.26.zip': 2000, 'geth-1.8.25.zip': 1000 }
+
+describe('getStorageEntries', () => {
+  it('lists local releases, most recently used first', () => {
+    const entries = getStorageEntries(releases, { usage })
+    expect(entries.map(e => e.release.version)).toEqual([
+      '1.8.26',
+      '1.8.25',
+      '1.9.0',
+      '1.8.27'
+    ])
+    expect(entries[0]).toMatchObject({ size: null, lastUsed: 2000 })
+    expect(entries[2]).toMatchObject({ size: 300, lastUsed: null })
+  })
+
+  it('protects the selected and running releases', () => {
+    const entries = getStorageEntries(releases, {
+      usage,
+      selectedFileName: 'geth-1.9.0.zip',
+      runningFileName: 'geth-1.8.25.zip'
+    })
+    expect(
+      entries.filter(e => e.isProtected).map(e => e.release.version)
+    ).toEqual(['1.8.25', '1.9.0'])
+    expect(entries[1]).toMatchObject({ isRunning: true, isSelected: false })
+  })
+
+  it('protects the last working release', () => {
+    const entries = getStorageEntries(releases, {
+      usage,
+      selectedFileName: 'geth-1.9.0.zip',
+      lastWorkingFileName: 'geth-1.8.27.zip'
+    })
+    const lastWorking = entries.find(e => e.release.version === '1.8.27')
+    expect(lastWorking).toMatchObject({
+      isLastWorking: true,
+      isProtected: true
+    })
+    expect(getReleasesToPrune(entries, 1)).not.toContain(lastWorking)
+  })
+})
+
+describe('getReleasesToPrune', () => {
+  const entries = getStorageEntries(releases, {
+    usage,
+    selectedFileName: 'geth-1.8.27.zip'
+  })
+
+  it('keeps everything with a keep count of 0', () => {
+    expect(getReleasesToPrune(entries, 0)).toEqual([])
+  })
+
+  it('keeps the most recently used and protected releases', () => {
+    expect(getReleasesToPrune(entries, 2).map(e => e.release.version)).toEqual([
+      '1.8.25',
+      '1.9.0'
+    ])
+  })
+
+  it('never prunes protected releases', () => {
+    expect(getReleasesToPrune(entries, 1).map(e => e.release.version)).toEqual([
+      '1.8.26',
+      '1.8.25',
+      '1.9.0'
+    ])
+  })
+})
+
+describe('getTotalSize', () => {
+  it('sums known sizes', () => {
+    expect(getTotalSize(getStorageEntries(releases))).toEqual(600)
+  })
+})
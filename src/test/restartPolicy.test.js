@@ -0,0 +1,108 @@
+import {
+  describeCrashes,
+  getBackoffDelay,
+  getRecentCrashes,
+  getRestartDecision
+} from '../lib/restartPolicy'
+
+const MINUTE = 60 * 1000
+
+describe('getBackoffDelay', () => {
+  it('doubles the delay with every attempt', () => {
+    expect(getBackoffDelay(1)).toEqual(1000)
+    expect(getBackoffDelay(2)).toEqual(2000)
+    expect(getBackoffDelay(4)).toEqual(8000)
+  })
+
+  it('caps the delay at 5 minutes', () => {
+    expect(getBackoffDelay(20)).toEqual(5 * MINUTE)
+  })
+})
+
+describe('getRecentCrashes', () => {
+  it('keeps crashes within the window', () => {
+    const now = 20 * MINUTE
+    expect(getRecentCrashes([MINUTE, 15 * MINUTE, now], now, 10)).toEqual([
+      15 * MINUTE,
+      now
+    ])
+  })
+})
+
+describe('getRestartDecision', () => {
+  const now = 20 * MINUTE
+
+  it('never restarts with the default policy', () => {
+    const decision = getRestartDecision(undefined, {
+      exitState: 'error',
+      crashTimes: [now],
+      now
+    })
+    expect(decision.restart).toBe(false)
+    expect(decision.gaveUp).toBeUndefined()
+  })
+
+  it('restarts on failure only after an error', () => {
+    const policy = { mode: 'on-failure' }
+    expect(
+      getRestartDecision(policy, { exitState: 'error', crashTimes: [now], now })
+    ).toEqual({ restart: true, delay: 1000, attempt: 1 })
+    expect(
+      getRestartDecision(policy, {
+        exitState: 'stopped',
+        crashTimes: [now],
+        now
+      }).restart
+    ).toBe(false)
+  })
+
+  it('always restarts after a clean exit too', () => {
+    const decision = getRestartDecision(
+      { mode: 'always' },
+      { exitState: 'stopped', crashTimes: [now - MINUTE, now], now }
+    )
+    expect(decision).toEqual({ restart: true, delay: 2000, attempt: 2 })
+  })
+
+  it('gives up after too many crashes within the window', () => {
+    const policy = { mode: 'always', maxRetries: 2, windowMinutes: 5 }
+    const crashTimes = [now - 2 * MINUTE, now - MINUTE, now]
+    const decision = getRestartDecision(policy, {
+      exitState: 'error',
+      crashTimes,
+      now
+    })
+    expect(decision.restart).toBe(false)
+    expect(decision.gaveUp).toBe(true)
+
+    // Older crashes don't count
+    expect(
+      getRestartDecision(
+        { ...policy, windowMinutes: 1 },
+        { exitState: 'error', crashTimes, now }
+      ).restart
+    ).toBe(true)
+  })
+})
+
+describe('describeCrashes', () => {
+  it('is empty without crashes', () => {
+    expect(describeCrashes({ crashCount: 0 })).toEqual('')
+  })
+
+  it('describes the last exit and why restarts stopped', () => {
+    expect(
+      describeCrashes({
+        crashCount: 3,
+        lastExit: { reason: 'Fatal: out of memory', time: 0 },
+        scheduledRestart: null,
+        restartStoppedReason: 'Gave up after 2 restarts in 5 minutes'
+      })
+    ).toEqual(
+      'Crashed 3 times, last: Fatal: out of memory - Gave up after 2 restarts in 5 minutes'
+    )
+    expect(describeCrashes({ crashCount: 1, lastExit: null })).toEqual(
+      'Crashed 1 time'
+    )
+  })
+})
@@ -0,0 +1,65 @@
+import RingBuffer from '../lib/ringBuffer'
+
+describe('RingBuffer', () => {
+  it('throws for an invalid capacity', () => {
+    expect(() => new RingBuffer(0)).toThrow(
+      'Capacity must be a positive integer'
+    )
+  })
+
+  it('keeps items in insertion order', () => {
+    const buffer = new RingBuffer(3)
+    buffer.pushAll(['a', 'b'])
+
+    expect(buffer.length).toEqual(2)
+    expect(buffer.toArray()).toEqual(['a', 'b'])
+  })
+
+  it('drops the oldest items once full', () => {
+    const buffer = new RingBuffer(3)
+    buffer.pushAll(['a', 'b', 'c', 'd', 'e'])
+
+    expect(buffer.length).toEqual(3)
+    expect(buffer.toArray()).toEqual(['c', 'd', 'e'])
+    expect(buffer.get(0)).toEqual('c')
+    expect(buffer.get(3)).toBeUndefined()
+  })
+
+  it('returns the item a push dropped', () => {
+    const buffer = new RingBuffer(2)
+
+    expect(buffer.push('a')).toBeUndefined()
+    expect(buffer.push('b')).toBeUndefined()
+    expect(buffer.push('c')).toEqual('a')
+  })
+
+  it('removes the oldest item on shift', () => {
+    const buffer = new RingBuffer(3)
+    buffer.pushAll(['a', 'b', 'c', 'd'])
+
+    expect(buffer.shift()).toEqual('b')
+    expect(buffer.toArray()).toEqual(['c', 'd'])
+    buffer.pushAll(['e', 'f'])
+    expect(buffer.toArray()).toEqual(['d', 'e', 'f'])
+    buffer.clear()
+    expect(buffer.shift()).toBeUndefined()
+  })
+
+  it('keeps the newest items when resized', () => {
+    const buffer = new RingBuffer(4)
+    buffer.pushAll(['a', 'b', 'c', 'd', 'e'])
+    buffer.resize(2)
+
+    expect(buffer.toArray()).toEqual(['d', 'e'])
+    buffer.push('f')
+    expect(buffer.toArray()).toEqual(['e', 'f'])
+  })
+
+  it('clears its items', () => {
+    const buffer = new RingBuffer(2)
+    buffer.pushAll(['a', 'b'])
+    buffer.clear()
+
+    expect(buffer.toArray()).toEqual([])
+  })
+})
@@ -0,0 +1,99 @@
+import {
+  completeMethod,
+  formatRpcResult,
+  getMethodSuggestions,
+  isRpcError,
+  parseRpcInput,
+  tokenize
+} from '../lib/rpcConsole'
+
+describe('tokenize', () => {
+  it('keeps JSON objects and quoted strings together', () => {
+    expect(tokenize('eth_call {"to": "0x1", "data": "0x"} latest')).toEqual([
+      'eth_call',
+      '{"to": "0x1", "data": "0x"}',
+      'latest'
+    ])
+    expect(tokenize('personal_sign "hello world" \'a b\'')).toEqual([
+      'personal_sign',
+      '"hello world"',
+      "'a b'"
+    ])
+  })
+
+  it('throws on unterminated input', () => {
+    expect(() => tokenize('eth_call {"to": "0x1"')).toThrow()
+    expect(() => tokenize('eth_call "abc')).toThrow()
+  })
+})
+
+describe('parseRpcInput', () => {
+  it('parses method and params', () => {
+    expect(parseRpcInput('eth_blockNumber')).toEqual({
+      method: 'eth_blockNumber',
+      params: []
+    })
+    expect(parseRpcInput('eth_getBlockByNumber 0x1b4 true')).toEqual({
+      method: 'eth_getBlockByNumber',
+      params: ['0x1b4', true]
+    })
+    expect(parseRpcInput('eth_call {"to":"0x1"} latest')).toEqual({
+      method: 'eth_call',
+      params: [{ to: '0x1' }, 'latest']
+    })
+    expect(parseRpcInput("personal_sign 'hello world'").params).toEqual([
+      'hello world'
+    ])
+  })
+
+  it('parses raw JSON-RPC requests', () => {
+    const input = '{"jsonrpc":"2.0","id":1,"method":"net_version","params":[]}'
+    expect(parseRpcInput(input)).toEqual({ method: 'net_version', params: [] })
+    expect(parseRpcInput('{"method":"eth_syncing"}')).toEqual({
+      method: 'eth_syncing',
+      params: []
+    })
+  })
+
+  it('rejects invalid input', () => {
+    expect(() => parseRpcInput('  ')).toThrow()
+    expect(() => parseRpcInput('{"method":')).toThrow(/Invalid JSON/)
+    expect(() => parseRpcInput('{"params":[]}')).toThrow(/method/)
+    expect(() => parseRpcInput('{"method":"a","params":1}')).toThrow(/array/)
+    expect(() => parseRpcInput('0x12 abc')).toThrow(/method name/)
+  })
+})
+
+describe('method completion', () => {
+  it('suggests methods by prefix until params are typed', () => {
+    expect(getMethodSuggestions('net_')).toEqual([
+      'net_listening',
+      'net_peerCount',
+      'net_version'
+    ])
+    expect(getMethodSuggestions('net_version 1')).toEqual([])
+    expect(getMethodSuggestions('')).toEqual([])
+  })
+
+  it('completes to the common prefix', () => {
+    expect(completeMethod('eth_getBlockTr')).toEqual(
+      'eth_getBlockTransactionCountBy'
+    )
+    expect(completeMethod('net_pe')).toEqual('net_peerCount ')
+    expect(completeMethod('eth_get')).toEqual('eth_get')
+    expect(completeMethod('foo_')).toEqual('foo_')
+  })
+})
+
+describe('results', () => {
+  it('detects errors resolved by plugin.rpc', () => {
+    expect(isRpcError({ code: -32601, message: 'method not found' })).toBe(true)
+    expect(isRpcError('0x1')).toBe(false)
+    expect(isRpcError(null)).toBe(false)
+  })
+
+  it('pretty prints results as lines', () => {
+    expect(formatRpcResult('0x1')).toEqual(['"0x1"'])
+    expect(formatRpcResult({ a: 1 })).toEqual(['{', '  "a": 1', '}'])
+  })
+})
@@ -3,7 +3,12 @@ import {
   getPluginSettingsConfig,
   getSettingsIds
 } from '../lib/utils'
-import { generateFlags } from '../lib/flags'
+import {
+  generateFlags,
+  getSettingFlagNames,
+  getUnresolvedReferences,
+  parseFlags
+} from '../lib/flags'
 
 describe('getPluginSettingsConfig', () => {
   it('returns an empty array if no plugin', () => {
@@ -242,6 +247,139 @@ describe('generateFlags', () => {
     const flags = generateFlags(input, settings)
     expect(flags).toEqual(['--datadir'])
   })
+
+  it('should leave out flags of hidden or disabled settings', () => {
+    const settings = [
+      {
+        id: 'rpc',
+        options: [{ value: 'on', flag: '--rpc' }, { value: 'off', flag: '' }]
+      },
+      { id: 'rpcApi', flag: '--rpcapi %s', visibleIf: "rpc == 'on'" },
+      { id: 'rpcCors', flag: '--rpccorsdomain %s', enabledIf: 'rpcApi' },
+      {
+        id: 'syncMode',
+        options: [
+          { value: 'light', flag: '--syncmode light' },
+          { value: 'full', flag: '--syncmode full' }
+        ]
+      },
+      {
+        id: 'cache',
+        flag: '--cache %s',
+        visibleIf: "syncMode in ['full', 'archive']"
+      }
+    ]
+    const input = {
+      rpc: 'off',
+      rpcApi: 'eth',
+      rpcCors: '*',
+      syncMode: 'light',
+      cache: '1024'
+    }
+
+    expect(generateFlags(input, settings)).toEqual(['--syncmode', 'light'])
+    expect(
+      generateFlags({ ...input, rpc: 'on', syncMode: 'full' }, settings)
+    ).toEqual([
+      '--rpc',
+      '--rpcapi',
+      'eth',
+      '--rpccorsdomain',
+      '*',
+      '--syncmode',
+      'full',
+      '--cache',
+      '1024'
+    ])
+  })
+})
+
+describe('generateFlags for typed settings', () => {
+  it('should emit boolean flags only when checked', () => {
+    const settings = [{ id: 'rpc', type: 'boolean', flag: '--rpc' }]
+
+    expect(generateFlags({ rpc: true }, settings)).toEqual(['--rpc'])
+    expect(generateFlags({ rpc: 'true' }, settings)).toEqual(['--rpc'])
+    expect(generateFlags({ rpc: false }, settings)).toEqual([])
+  })
+
+  it('should join multi-select values into one flag', () => {
+    const settings = [
+      {
+        id: 'api',
+        type: 'multiselect',
+        flag: '--http.api %s',
+        options: ['eth', 'net', 'web3']
+      }
+    ]
+
+    expect(generateFlags({ api: ['eth', 'net'] }, settings)).toEqual([
+      '--http.api',
+      'eth,net'
+    ])
+    expect(generateFlags({ api: [] }, settings)).toEqual([])
+    expect(generateFlags({ api: 'eth,web3' }, settings)).toEqual([
+      '--http.api',
+      'eth,web3'
+    ])
+  })
+
+  it('should repeat multi-select flags when asked to', () => {
+    const settings = [
+      {
+        id: 'api',
+        type: 'multiselect',
+        flag: '--api=%s',
+        repeatFlag: true,
+        options: ['eth', 'net']
+      }
+    ]
+
+    expect(generateFlags({ api: ['eth', 'net'] }, settings)).toEqual([
+      '--api=eth',
+      '--api=net'
+    ])
+  })
+
+  it('should repeat key/value flags per pair', () => {
+    const settings = [{ id: 'labels', type: 'keyvalue', flag: '--label %s' }]
+    const input = {
+      labels: [{ key: 'a', value: '1' }, { key: '', value: 'x' }, { key: 'b' }]
+    }
+
+    expect(generateFlags(input, settings)).toEqual([
+      '--label',
+      'a=1',
+      '--label',
+      'b='
+    ])
+  })
+
+  it('should join key/value pairs with custom separators', () => {
+    const settings = [
+      {
+        id: 'env',
+        type: 'keyvalue',
+        flag: '--env %s',
+        repeatFlag: false,
+        separator: ';',
+        pairSeparator: ':'
+      }
+    ]
+    const input = {
+      env: [{ key: 'a', value: '1' }, { key: 'b', value: '2' }]
+    }
+
+    expect(generateFlags(input, settings)).toEqual(['--env', 'a:1;b:2'])
+  })
+
+  it('should throw for typed settings without flag', () => {
+    const settings = [{ id: 'rpc', type: 'boolean' }]
+
+    expect(() => generateFlags({ rpc: true }, settings)).toThrow(
+      'Config entry "rpc" must have the "flag" key'
+    )
+  })
 })
 
 describe('generateFlags error handling', () => {
@@ -294,3 +432,176 @@ describe('generateFlags error handling', () => {
     )
   })
 })
+
+describe('parseFlags', () => {
+  const settings = [
+    { id: 'dataDir', flag: '--datadir %s', ignoreIfEmpty: true },
+    { id: 'cache', flag: '--cache=%s' },
+    { id: 'rpc', flag: '--rpc', default: 'on' },
+    {
+      id: 'network',
+      options: [
+        { value: 'main', flag: '' },
+        { value: 'ropsten', flag: '--testnet' },
+        { value: 'rinkeby', flag: '--rinkeby' }
+      ]
+    },
+    {
+      id: 'syncmode',
+      options: [
+        { value: 'fast', flag: '--syncmode %s' },
+        { value: 'light', flag: '--syncmode %s --maxpeers=100' }
+      ]
+    }
+  ]
+
+  it('should throw if settings is not an array', () => {
+    expect(() => parseFlags([], {})).toThrow()
+  })
+
+  it('should reverse generated flags', () => {
+    const config = {
+      dataDir: '/path/with spaces',
+      cache: '1024',
+      network: 'rinkeby',
+      syncmode: 'light'
+    }
+    const flags = generateFlags(config, settings)
+
+    expect(parseFlags(flags, settings)).toEqual({
+      config,
+      unrecognized: []
+    })
+  })
+
+  it('should match the most specific full option', () => {
+    const { config } = parseFlags(['--syncmode', 'fast'], settings)
+    expect(config.syncmode).toEqual('fast')
+  })
+
+  it('should use the option without flag if none matched', () => {
+    const { config } = parseFlags([], settings)
+    expect(config).toEqual({ dataDir: '', network: 'main' })
+  })
+
+  it('should turn on flags without placeholder', () => {
+    const { config } = parseFlags(['--rpc'], settings)
+    expect(config.rpc).toEqual('on')
+  })
+
+  it('should group unrecognized flags with their values', () => {
+    const flags = ['--foo', 'bar', '--testnet', '--verbosity', '4', '--baz']
+    const { config, unrecognized } = parseFlags(flags, settings)
+
+    expect(config.network).toEqual('ropsten')
+    expect(unrecognized).toEqual([
+      ['--foo', 'bar'],
+      ['--verbosity', '4'],
+      ['--baz']
+    ])
+  })
+
+  it('should let the last flag win', () => {
+    const { config } = parseFlags(['--cache=1', '--cache=2'], settings)
+    expect(config.cache).toEqual('2')
+  })
+})
+
+describe('parseFlags for typed settings', () => {
+  const settings = [
+    { id: 'rpc', type: 'boolean', flag: '--rpc' },
+    {
+      id: 'api',
+      type: 'multiselect',
+      flag: '--http.api %s',
+      options: ['eth', 'net']
+    },
+    { id: 'labels', type: 'keyvalue', flag: '--label %s' }
+  ]
+
+  it('should reverse generated flags', () => {
+    const config = {
+      rpc: true,
+      api: ['eth', 'net'],
+      labels: [{ key: 'a', value: '1' }, { key: 'b', value: 'x=y' }]
+    }
+    const flags = generateFlags(config, settings)
+
+    expect(parseFlags(flags, settings)).toEqual({ config, unrecognized: [] })
+  })
+
+  it('should fill in unchecked and empty values', () => {
+    expect(parseFlags([], settings).config).toEqual({
+      rpc: false,
+      api: [],
+      labels: []
+    })
+  })
+})
+
+describe('getSettingFlagNames', () => {
+  it('lists flags settings generate and which repeat', () => {
+    const settings = [
+      { id: 'dataDir', flag: '--datadir %s' },
+      { id: 'cache', flag: '--cache=%s' },
+      {
+        id: 'network',
+        options: [
+          { value: 'main', flag: '' },
+          { value: 'rinkeby', flag: '--rinkeby' }
+        ]
+      },
+      { id: 'labels', type: 'keyvalue', flag: '--label %s' },
+      { id: 'api', type: 'multiselect', flag: '--rpcapi %s', options: [] }
+    ]
+
+    expect(getSettingFlagNames(settings)).toEqual({
+      flags: ['--datadir', '--cache', '--rinkeby', '--label', '--rpcapi'],
+      repeatable: ['--label']
+    })
+  })
+})
+
+/* eslint-disable no-template-curly-in-string */
+describe('flag interpolation', () => {
+  const settings = [
+    { id: 'dataDir', flag: '--datadir %s', ignoreIfEmpty: true },
+    { id: 'ipc', flag: '--ipcpath ${dataDir}/${pluginName}.ipc' },
+    { id: 'log', flag: '--log %s', ignoreIfEmpty: true }
+  ]
+  const builtins = { pluginName: 'geth', platform: 'linux' }
+
+  it('should resolve settings and built-in variables', () => {
+    const config = { dataDir: '/data', ipc: 'on', log: '${dataDir}/log' }
+
+    expect(generateFlags(config, settings, builtins)).toEqual([
+      '--datadir',
+      '/data',
+      '--ipcpath',
+      '/data/geth.ipc',
+      '--log',
+      '/data/log'
+    ])
+    expect(getUnresolvedReferences(config, settings, builtins)).toEqual([])
+  })
+
+  it('should report unresolved references', () => {
+    const config = { dataDir: '', ipc: 'on', log: '${logDir}/x' }
+
+    expect(getUnresolvedReferences(config, settings, builtins)).toEqual([
+      { id: 'ipc', name: 'dataDir' },
+      { id: 'log', name: 'logDir' }
+    ])
+  })
+
+  it('should parse flags generated from references', () => {
+    const config = { dataDir: '/data', ipc: 'on', log: '' }
+    const flags = generateFlags(config, settings, builtins)
+    const variables = { ...builtins, ...config }
+
+    expect(parseFlags(flags, settings, variables)).toEqual({
+      config: { dataDir: '/data', ipc: 'true', log: '' },
+      unrecognized: []
+    })
+  })
+})
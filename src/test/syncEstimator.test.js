@@ -0,0 +1,89 @@
+import { SyncEstimator } from '../lib/syncEstimator'
+
+describe('SyncEstimator', () => {
+  it('has no estimate from a single sample', () => {
+    const estimator = new SyncEstimator()
+    const estimate = estimator.update(
+      { currentBlock: 100, highestBlock: 1100 },
+      0
+    )
+
+    expect(estimate.phase).toEqual('blocks')
+    expect(estimate.blocksPerSecond).toBeNull()
+    expect(estimate.eta).toBeNull()
+    expect(estimate.blocksRemaining).toEqual(1000)
+  })
+
+  it('estimates time left while importing blocks', () => {
+    const estimator = new SyncEstimator()
+    estimator.update({ currentBlock: 100, highestBlock: 1100 }, 0)
+    const estimate = estimator.update(
+      { currentBlock: 200, highestBlock: 1100 },
+      10000
+    )
+
+    expect(estimate.blocksPerSecond).toEqual(10)
+    expect(estimate.eta).toEqual(90)
+  })
+
+  it('smooths sudden changes in throughput', () => {
+    const estimator = new SyncEstimator({ smoothing: 30 })
+    estimator.update({ currentBlock: 0, highestBlock: 10000 }, 0)
+    estimator.update({ currentBlock: 30, highestBlock: 10000 }, 3000)
+    const estimate = estimator.update(
+      { currentBlock: 330, highestBlock: 10000 },
+      6000
+    )
+
+    expect(estimate.blocksPerSecond).toBeGreaterThan(10)
+    expect(estimate.blocksPerSecond).toBeLessThan(100)
+  })
+
+  it('switches to the state phase near the chain head', () => {
+    const estimator = new SyncEstimator()
+    estimator.update(
+      {
+        currentBlock: 1000,
+        highestBlock: 1010,
+        knownStates: 1000,
+        pulledStates: 0
+      },
+      0
+    )
+    const estimate = estimator.update(
+      {
+        currentBlock: 1000,
+        highestBlock: 1010,
+        knownStates: 1100,
+        pulledStates: 300
+      },
+      1000
+    )
+
+    expect(estimate.phase).toEqual('states')
+    expect(estimate.statesPerSecond).toEqual(300)
+    expect(estimate.statesRemaining).toEqual(800)
+    // Gap closes at 300 - 100 = 200 states per second
+    expect(estimate.eta).toEqual(4)
+  })
+
+  it('has no state ETA while known states outgrow pulled states', () => {
+    const estimator = new SyncEstimator()
+    estimator.update(
+      { currentBlock: 1000, highestBlock: 1000, knownStates: 0 },
+      0
+    )
+    const estimate = estimator.update(
+      {
+        currentBlock: 1000,
+        highestBlock: 1000,
+        knownStates: 500,
+        pulledStates: 100
+      },
+      1000
+    )
+
+    expect(estimate.phase).toEqual('states')
+    expect(estimate.eta).toBeNull()
+  })
+})
@@ -0,0 +1,52 @@
+import { findUpdate, isSameRelease } from '../lib/updates'
+
+const release = (version, extra = {}) => ({
+  version,
+  fileName: `geth-${version}.zip`,
+  ...extra
+})
+
+describe('findUpdate', () => {
+  const current = release('1.9.0')
+
+  it('finds the newest newer release', () => {
+    const releases = [release('1.8.0'), release('1.9.2'), release('1.9.1')]
+    expect(findUpdate(releases, current).version).toEqual('1.9.2')
+  })
+
+  it('returns null without a newer release', () => {
+    expect(findUpdate([release('1.8.0'), current], current)).toBeNull()
+    expect(findUpdate([release('1.9.1')], { version: null })).toBeNull()
+  })
+
+  it('keeps stable users on stable releases', () => {
+    const releases = [release('1.10.0-unstable'), release('1.9.1')]
+    expect(findUpdate(releases, current).version).toEqual('1.9.1')
+    expect(findUpdate(releases, release('1.9.0-unstable')).version).toEqual(
+      '1.10.0-unstable'
+    )
+  })
+
+  it('stays on the same platform and architecture', () => {
+    const linux = release('1.9.0', { platform: 'linux', arch: 'amd64' })
+    const releases = [
+      release('1.9.2', { platform: 'darwin', arch: 'amd64' }),
+      release('1.9.1', { platform: 'linux', arch: 'arm64' }),
+      release('1.9.1', { platform: 'linux', arch: 'amd64' })
+    ]
+    expect(findUpdate(releases, linux)).toBe(releases[2])
+  })
+
+  it('prefers a downloaded copy', () => {
+    const remote = release('1.9.1', { remote: true })
+    const local = release('1.9.1', { remote: false })
+    expect(findUpdate([remote, local], current)).toBe(local)
+  })
+})
+
+describe('isSameRelease', () => {
+  it('compares file names', () => {
+    expect(isSameRelease(release('1.9.0'), release('1.9.0'))).toBe(true)
+    expect(isSameRelease(release('1.9.0'), null)).toBe(false)
+  })
+})
@@ -0,0 +1,141 @@
+import {
+  getPathsToCheck,
+  validateConfig,
+  validateSetting
+} from '../lib/validation'
+
+describe('validateSetting', () => {
+  it('passes settings without rules', () => {
+    expect(validateSetting({ id: 'name' }, '')).toBeNull()
+    expect(validateSetting({ id: 'name' }, 'abc')).toBeNull()
+  })
+
+  it('checks required values', () => {
+    const setting = {
+      id: 'dataDir',
+      label: 'Data Dir',
+      validation: { required: true }
+    }
+    expect(validateSetting(setting, '  ')).toEqual('Data Dir is required')
+    expect(validateSetting(setting, undefined)).toEqual('Data Dir is required')
+    expect(validateSetting(setting, '/data')).toBeNull()
+  })
+
+  it('skips other rules for empty values', () => {
+    expect(
+      validateSetting({ id: 'p', validation: { port: true } }, '')
+    ).toBeNull()
+  })
+
+  it('checks numbers, bounds and integers', () => {
+    const setting = {
+      id: 'cache',
+      validation: { min: 16, max: 4096, integer: true }
+    }
+    expect(validateSetting(setting, '1024')).toBeNull()
+    expect(validateSetting(setting, 1024)).toBeNull()
+    expect(validateSetting(setting, '1o24')).toEqual('cache must be a number')
+    expect(validateSetting(setting, '10.5')).toEqual(
+      'cache must be a whole number'
+    )
+    expect(validateSetting(setting, '8')).toEqual('cache must be at least 16')
+    expect(validateSetting(setting, '9000')).toEqual(
+      'cache must be at most 4096'
+    )
+  })
+
+  it('checks ports', () => {
+    const setting = { id: 'port', validation: { port: true } }
+    expect(validateSetting(setting, '30303')).toBeNull()
+    expect(validateSetting(setting, '0')).toMatch(/between 1 and 65535/)
+    expect(validateSetting(setting, '303033')).toMatch(/between 1 and 65535/)
+    expect(validateSetting(setting, '3030e')).toEqual('port must be a number')
+  })
+
+  it('checks patterns against the whole value', () => {
+    const setting = { id: 'identity', validation: { pattern: '[a-z]+' } }
+    expect(validateSetting(setting, 'node')).toBeNull()
+    expect(validateSetting(setting, 'node1')).toEqual(
+      'identity has an invalid format'
+    )
+    const withMessage = {
+      id: 'identity',
+      validation: { pattern: '[a-z]+', patternMessage: 'Only letters' }
+    }
+    expect(validateSetting(withMessage, '1')).toEqual('Only letters')
+  })
+
+  it('ignores broken patterns', () => {
+    const setting = { id: 'x', validation: { pattern: '[' } }
+    expect(validateSetting(setting, 'abc')).toBeNull()
+  })
+
+  it('checks URLs', () => {
+    const setting = { id: 'endpoint', validation: { url: true } }
+    expect(validateSetting(setting, 'http://localhost:8545')).toBeNull()
+    expect(validateSetting(setting, 'wss://node.example.com/ws')).toBeNull()
+    expect(validateSetting(setting, 'localhost:8545')).toEqual(
+      'endpoint must be a valid URL'
+    )
+    expect(validateSetting(setting, 'ftp://example.com')).toEqual(
+      'endpoint must be a valid URL'
+    )
+  })
+
+  it('checks paths when the file system can be queried', () => {
+    const setting = { id: 'ipc', validation: { pathExists: true } }
+    const pathExists = path => path === '/exists'
+    expect(validateSetting(setting, '/exists', { pathExists })).toBeNull()
+    expect(validateSetting(setting, '/missing', { pathExists })).toEqual(
+      'ipc: /missing does not exist'
+    )
+    expect(
+      validateSetting(setting, '/missing', { pathExists: () => undefined })
+    ).toBeNull()
+    expect(validateSetting(setting, '/missing')).toBeNull()
+  })
+})
+
+describe('validateConfig', () => {
+  it('lists errors by setting', () => {
+    const settings = [
+      { id: 'port', label: 'Port', validation: { port: true } },
+      { id: 'dataDir', validation: { required: true } },
+      { id: 'name' }
+    ]
+    const config = { port: '99999', name: '' }
+
+    expect(validateConfig(config, settings)).toEqual([
+      { id: 'port', message: 'Port must be a port between 1 and 65535' },
+      { id: 'dataDir', message: 'dataDir is required' }
+    ])
+  })
+  it('skips settings hidden by their conditions', () => {
+    const settings = [
+      { id: 'rpc', options: ['on', 'off'] },
+      {
+        id: 'rpcPort',
+        visibleIf: "rpc == 'on'",
+        validation: { required: true }
+      }
+    ]
+
+    expect(validateConfig({ rpc: 'off' }, settings)).toEqual([])
+    expect(validateConfig({ rpc: 'on' }, settings)).toEqual([
+      { id: 'rpcPort', message: 'rpcPort is required' }
+    ])
+  })
+})
+
+describe('getPathsToCheck', () => {
+  it('lists the values of active path settings', () => {
+    const settings = [
+      { id: 'dataDir', validation: { pathExists: true } },
+      { id: 'ipc', validation: { pathExists: true }, visibleIf: 'useIpc' },
+      { id: 'keystore', validation: { pathExists: true } },
+      { id: 'name' }
+    ]
+    const config = { dataDir: '/data', ipc: '/geth.ipc', name: 'node' }
+    expect(getPathsToCheck(config, settings)).toEqual(['/data'])
+  })
+})